@@ -0,0 +1,250 @@
+/**
+ * Hashes de imagem para o cache da IA
+ * ════════════════════════════════════════════════════════════
+ *   hashConteudo(base64)      → sha256 dos bytes da imagem (casamento exato)
+ *   hashPerceptual(base64)    → { dhash, proporcao } | null
+ *                               dhash = 16 hex (64 bits), proporcao = largura/altura;
+ *                               null se não for JPEG, se estiver corrompido ou se a foto for lisa demais
+ *                               para distinguir — nunca lança (o cache cai no hash de conteúdo)
+ *   distanciaHamming(a, b)    → bits diferentes entre dois dhash
+ *   bandasDhash(dhash)        → ['0:ab', '1:cd', …] — 8 bandas de 8 bits para indexar:
+ *                               dois hashes a até 7 bits de distância têm ao menos uma banda igual
+ *
+ * O dHash precisa só da luminância em baixa resolução. Num JPEG o coeficiente DC de cada
+ * bloco 8×8 já é a média do bloco, então decodificamos apenas o Huffman da luminância
+ * (sem IDCT) e usamos a grade de DCs como uma miniatura 1/8. Vale para JPEG baseline e
+ * progressivo (1º scan de DC). Outros formatos ficam só com o hash de conteúdo.
+ */
+const crypto = require('crypto');
+
+const LADO_DHASH = 8;
+const BANDAS = 8;
+// Hash com quase todos os bits iguais (foto lisa, tela em branco) casaria com qualquer outro
+const BITS_MIN = 8, BITS_MAX = 56;
+// O app manda fotos de até 2400px; cabeçalho declarando mais que isso não vale a grade de DCs
+const LADO_MAX_PX = 4096;
+
+function bytesDaImagem(base64) {
+  return Buffer.from(String(base64 || '').replace(/^data:[^,]*,/, '').replace(/\s+/g, ''), 'base64');
+}
+
+function hashConteudo(base64) {
+  return crypto.createHash('sha256').update(bytesDaImagem(base64)).digest('hex');
+}
+
+// ── JPEG: grade de coeficientes DC da luminância ────────────
+// Tabela Huffman canônica → mapa "comprimento:código" → símbolo
+function montarHuffman(contagens, simbolos) {
+  const mapa = new Map();
+  let codigo = 0, k = 0;
+  for (let len = 1; len <= 16; len++) {
+    for (let i = 0; i < contagens[len - 1]; i++) mapa.set((len << 16) | codigo++, simbolos[k++]);
+    codigo <<= 1;
+  }
+  return mapa;
+}
+
+function leitorBits(buf, inicio) {
+  let pos = inicio, byte = 0, restantes = 0;
+  const leitor = {
+    bit() {
+      if (!restantes) {
+        // Fim dos dados no meio do scan: para em vez de decodificar zeros pelo resto da grade
+        if (pos >= buf.length) throw new Error('fim dos dados do scan');
+        byte = buf[pos++];
+        if (byte === 0xFF) {
+          const prox = buf[pos];
+          if (prox === 0x00) pos++;
+          else if (prox >= 0xD0 && prox <= 0xD7) { byte = 0; pos--; } // RST: só após realinhar
+        }
+        restantes = 8;
+      }
+      return (byte >> --restantes) & 1;
+    },
+    bits(n) { let v = 0; while (n--) v = (v << 1) | leitor.bit(); return v; },
+    decodificar(tabela) {
+      let codigo = 0;
+      for (let len = 1; len <= 16; len++) {
+        codigo = (codigo << 1) | leitor.bit();
+        const s = tabela.get((len << 16) | codigo);
+        if (s !== undefined) return s;
+      }
+      throw new Error('código Huffman inválido');
+    },
+    // Pula o marcador RSTn e zera o buffer de bits
+    reiniciar() {
+      restantes = 0;
+      while (pos < buf.length - 1 && !(buf[pos] === 0xFF && buf[pos + 1] >= 0xD0 && buf[pos + 1] <= 0xD7)) pos++;
+      pos += 2;
+    },
+    get pos() { return pos; },
+  };
+  return leitor;
+}
+
+function estender(v, n) {
+  return n && v < (1 << (n - 1)) ? v - (1 << n) + 1 : v;
+}
+
+function gradeLuminanciaJPEG(buf) {
+  if (buf.length < 4 || buf[0] !== 0xFF || buf[1] !== 0xD8) return null;
+  const tabelasDC = {}, tabelasAC = {};
+  let quadro = null, intervaloRST = 0, pos = 2;
+
+  while (pos < buf.length - 4) {
+    if (buf[pos] !== 0xFF) { pos++; continue; }
+    const marcador = buf[pos + 1];
+    if (marcador === 0xFF || marcador === 0x00 || (marcador >= 0xD0 && marcador <= 0xD8)) { pos++; continue; }
+    if (marcador === 0xD9) break;
+    const tam = buf.readUInt16BE(pos + 2);
+    const seg = buf.subarray(pos + 4, pos + 2 + tam);
+
+    if (marcador === 0xC0 || marcador === 0xC1 || marcador === 0xC2) {
+      const componentes = [];
+      for (let i = 0; i < seg[5]; i++) componentes.push({ id: seg[6 + i * 3], h: seg[7 + i * 3] >> 4, v: seg[7 + i * 3] & 15 });
+      quadro = { progressivo: marcador === 0xC2, altura: seg.readUInt16BE(1), largura: seg.readUInt16BE(3), componentes };
+      if (!quadro.altura || !quadro.largura || quadro.altura > LADO_MAX_PX || quadro.largura > LADO_MAX_PX) return null;
+      if (!componentes.length || componentes.some(c => c.h < 1 || c.h > 4 || c.v < 1 || c.v > 4)) return null;
+    } else if (marcador >= 0xC3 && marcador <= 0xCF && marcador !== 0xC4 && marcador !== 0xC8 && marcador !== 0xCC) {
+      return null; // sem perdas / aritmético — raro em fotos de celular
+    } else if (marcador === 0xC4) {
+      for (let i = 0; i < seg.length;) {
+        const classe = seg[i] >> 4, id = seg[i] & 15;
+        const contagens = seg.subarray(i + 1, i + 17);
+        const total = contagens.reduce((s, n) => s + n, 0);
+        (classe ? tabelasAC : tabelasDC)[id] = montarHuffman(contagens, seg.subarray(i + 17, i + 17 + total));
+        i += 17 + total;
+      }
+    } else if (marcador === 0xDD) {
+      intervaloRST = seg.readUInt16BE(0);
+    } else if (marcador === 0xDA) {
+      if (!quadro) return null;
+      const lum = quadro.componentes[0];
+      const doScan = [];
+      for (let i = 0; i < seg[0]; i++) {
+        const comp = quadro.componentes.find(c => c.id === seg[1 + i * 2]);
+        if (!comp) return null;
+        doScan.push({ ...comp, dc: tabelasDC[seg[2 + i * 2] >> 4], ac: tabelasAC[seg[2 + i * 2] & 15] });
+      }
+      const p = 1 + seg[0] * 2;
+      const ss = seg[p], se = seg[p + 1], ah = seg[p + 2] >> 4, al = seg[p + 2] & 15;
+      const temLum = doScan.some(c => c.id === lum.id);
+      // Progressivo: só o 1º scan de DC da luminância interessa; os demais são pulados
+      const util = temLum && ss === 0 && (!quadro.progressivo || (se === 0 && ah === 0));
+      if (util) return decodificarScan(buf, pos + 2 + tam, quadro, doScan, { ss, se, al, intervaloRST });
+    }
+    pos += 2 + tam;
+    if (marcador === 0xDA) {
+      // Dados entrópicos até o próximo marcador que não seja byte de enchimento nem RST
+      while (pos < buf.length - 1 && !(buf[pos] === 0xFF && buf[pos + 1] !== 0x00 && !(buf[pos + 1] >= 0xD0 && buf[pos + 1] <= 0xD7))) pos++;
+    }
+  }
+  return null;
+}
+
+function decodificarScan(buf, inicio, quadro, doScan, { se, al, intervaloRST }) {
+  const hMax = Math.max(...quadro.componentes.map(c => c.h));
+  const vMax = Math.max(...quadro.componentes.map(c => c.v));
+  const lum = quadro.componentes[0];
+  // Blocos da luminância que cobrem a imagem (o resto é enchimento do MCU)
+  const colunas = Math.ceil(Math.ceil(quadro.largura * lum.h / hMax) / 8);
+  const linhas  = Math.ceil(Math.ceil(quadro.altura  * lum.v / vMax) / 8);
+  const intercalado = doScan.length > 1;
+  const mcuX = intercalado ? Math.ceil(quadro.largura / (8 * hMax)) : colunas;
+  const mcuY = intercalado ? Math.ceil(quadro.altura  / (8 * vMax)) : linhas;
+  const larguraGrade = intercalado ? mcuX * lum.h : colunas;
+  const grade = new Float64Array(larguraGrade * (intercalado ? mcuY * lum.v : linhas));
+  const leitor = leitorBits(buf, inicio);
+  const predicao = new Map(doScan.map(c => [c.id, 0]));
+
+  const bloco = (comp, linha, coluna) => {
+    const t = leitor.decodificar(comp.dc);
+    const dc = predicao.get(comp.id) + (t ? estender(leitor.bits(t), t) : 0);
+    predicao.set(comp.id, dc);
+    if (se > 0) {
+      for (let k = 1; k < 64;) {
+        const rs = leitor.decodificar(comp.ac), r = rs >> 4, s = rs & 15;
+        if (!s) { if (r !== 15) break; k += 16; continue; }
+        k += r; leitor.bits(s); k++;
+      }
+    }
+    if (comp.id === lum.id) grade[linha * larguraGrade + coluna] = dc * (1 << al);
+  };
+
+  try {
+    for (let my = 0, n = 0; my < mcuY; my++) {
+      for (let mx = 0; mx < mcuX; mx++, n++) {
+        if (intervaloRST && n && n % intervaloRST === 0) {
+          leitor.reiniciar();
+          doScan.forEach(c => predicao.set(c.id, 0));
+        }
+        if (!intercalado) { bloco(doScan[0], my, mx); continue; }
+        for (const comp of doScan)
+          for (let v = 0; v < comp.v; v++)
+            for (let h = 0; h < comp.h; h++) bloco(comp, my * comp.v + v, mx * comp.h + h);
+      }
+    }
+  } catch (e) { return null; }
+
+  // Recorta o enchimento à direita/embaixo
+  const recorte = new Float64Array(colunas * linhas);
+  for (let y = 0; y < linhas; y++)
+    for (let x = 0; x < colunas; x++) recorte[y * colunas + x] = grade[y * larguraGrade + x];
+  return { largura: colunas, altura: linhas, px: recorte, proporcao: quadro.largura / quadro.altura };
+}
+
+// ── dHash ───────────────────────────────────────────────────
+// Reduz a grade por média de área para (LADO+1)×LADO e compara vizinhos na horizontal
+function dhashDaGrade({ largura, altura, px }) {
+  const W = LADO_DHASH + 1, H = LADO_DHASH;
+  if (largura < 2 || altura < 1) return null;
+  const media = (x0, x1, y0, y1) => {
+    let s = 0, n = 0;
+    for (let y = y0; y < y1; y++) for (let x = x0; x < x1; x++) { s += px[y * largura + x]; n++; }
+    return s / n;
+  };
+  const peq = [];
+  for (let j = 0; j < H; j++) {
+    const y0 = Math.floor(j * altura / H), y1 = Math.max(y0 + 1, Math.ceil((j + 1) * altura / H));
+    for (let i = 0; i < W; i++) {
+      const x0 = Math.floor(i * largura / W), x1 = Math.max(x0 + 1, Math.ceil((i + 1) * largura / W));
+      peq.push(media(x0, Math.min(x1, largura), y0, Math.min(y1, altura)));
+    }
+  }
+  let hex = '';
+  for (let j = 0; j < H; j++) {
+    let byte = 0;
+    for (let i = 0; i < LADO_DHASH; i++) byte = (byte << 1) | (peq[j * W + i] > peq[j * W + i + 1] ? 1 : 0);
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+function bitsLigados(x) {
+  let n = 0;
+  while (x) { n += x & 1; x >>= 1; }
+  return n;
+}
+
+function distanciaHamming(a, b) {
+  let d = 0;
+  for (let i = 0; i < a.length; i += 2) d += bitsLigados(parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16));
+  return d;
+}
+
+function hashPerceptual(base64) {
+  let grade;
+  try { grade = gradeLuminanciaJPEG(bytesDaImagem(base64)); }
+  catch(e) { return null; } // segmento truncado (readUInt16BE fora do buffer) e afins
+  const dhash = grade && dhashDaGrade(grade);
+  if (!dhash) return null;
+  const bits = distanciaHamming(dhash, '0'.repeat(dhash.length));
+  if (bits < BITS_MIN || bits > BITS_MAX) return null;
+  return { dhash, proporcao: Math.round(grade.proporcao * 1000) / 1000 };
+}
+
+function bandasDhash(dhash) {
+  return Array.from({ length: BANDAS }, (_, i) => i + ':' + dhash.slice(i * 2, i * 2 + 2));
+}
+
+module.exports = { hashConteudo, hashPerceptual, distanciaHamming, bandasDhash, DISTANCIA_MAX_BANDAS: BANDAS - 1 };
@@ -0,0 +1,130 @@
+/**
+ * IA — camada única de provedores (Gemini em produção, mock local em testes)
+ * ════════════════════════════════════════════════════════════
+ *   criarIA({ provedor, chave, modelos, modelosTexto, timeoutMs, cache }) → ia
+ *   ia.gerar({ prompt, imagens, temperatura, maxTokens, modelos, usarCache, rotulo })
+ *     → { texto, modelo, cache, distancia }   distancia: bits de diferença quando o cache casou foto parecida
+ *                                              (null = mesma foto ou sem cache)
+ *   extrairJSON(texto) → objeto (tira cercas ```json e texto em volta) ou lança erro
+ *
+ * Cada provedor (ia/provedores/<nome>.js) declara:
+ *   nome, rotulo                → identificação na config e nas mensagens de erro
+ *   modelos, modelosTexto       → cadeias padrão de fallback (visão / só texto)
+ *   configurado(opcoes)         → false desativa a IA (rotas respondem 503)
+ *   chamar({ modelo, chave, prompt, imagens, temperatura, maxTokens, timeoutMs }) → { texto }
+ *                                 lança erro; .quota = true quando é cota/limite de taxa
+ *
+ * Erros de gerar() trazem .status para o chamador responder: 503 sem configuração,
+ * 429 quando todos os modelos estouraram a cota, 500 nas demais falhas.
+ *
+ * cache (opcional): { chave(imagens, prompt), ler(chave) → texto | { texto, distancia } | null, gravar(chave, texto) }
+ *   — só para chamadas com imagem; chave pode ser string ou objeto com .hash (ver ia/hashImagem.js).
+ *   A chave deve levar o prompt: a mesma foto com outra pergunta é outra resposta.
+ * Para conferir o fluxo com o provedor mock, sem rede: node ia
+ */
+const PROVEDORES = {
+  gemini: require('./provedores/gemini'),
+  mock:   require('./provedores/mock'),
+};
+
+const TIMEOUT_PADRAO_MS = 30000;
+
+// "a, b" → ['a','b'] (variáveis de ambiente com lista de modelos)
+function lista(valor) {
+  return String(valor || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function extrairJSON(texto) {
+  const limpo = String(texto || '').replace(/```json|```/g, '').trim();
+  try { return JSON.parse(limpo); }
+  catch(e) {
+    const m = limpo.match(/\{[\s\S]*\}/);
+    if (!m) throw new Error('Resposta da IA sem JSON');
+    return JSON.parse(m[0]);
+  }
+}
+
+function criarIA({ provedor = 'gemini', chave = '', modelos, modelosTexto, timeoutMs, cache = null } = {}) {
+  const impl = PROVEDORES[provedor];
+  if (!impl) throw new Error('Provedor de IA desconhecido: ' + provedor + ' (use ' + Object.keys(PROVEDORES).join(' ou ') + ')');
+  const opcoes = {
+    chave,
+    modelos:      modelos && modelos.length ? modelos : impl.modelos,
+    modelosTexto: modelosTexto && modelosTexto.length ? modelosTexto : impl.modelosTexto,
+    timeoutMs:    timeoutMs || TIMEOUT_PADRAO_MS,
+  };
+  const configurada = impl.configurado(opcoes);
+
+  async function gerar({ prompt, imagens = [], temperatura = 0.05, maxTokens = 8192, modelos: cadeia, usarCache = false, rotulo = 'IA' }) {
+    if (!configurada) throw Object.assign(new Error('IA não configurada. Adicione GEMINI_API_KEY nas variáveis de ambiente do Render.'), { status: 503 });
+    if (!prompt) throw Object.assign(new Error('prompt obrigatório'), { status: 400 });
+
+    const chaveCache = usarCache && cache && imagens.length ? cache.chave(imagens, prompt) : null;
+    if (chaveCache) {
+      const salvo = await Promise.resolve(cache.ler(chaveCache)).catch(() => null);
+      const texto = typeof salvo === 'string' ? salvo : salvo?.texto;
+      if (texto) {
+        const distancia = salvo.distancia ?? null;
+        console.log(`[CacheIA] Hit! hash=${String(chaveCache.hash || chaveCache).slice(0, 16)}${distancia != null ? ` (foto parecida, ${distancia} bits)` : ''}`);
+        return { texto, modelo: null, cache: true, distancia };
+      }
+    }
+
+    let ultimoErro = '', quota = false;
+    for (const modelo of (cadeia || opcoes.modelos)) {
+      try {
+        const { texto } = await impl.chamar({ modelo, chave, prompt, imagens, temperatura, maxTokens, timeoutMs: opcoes.timeoutMs });
+        console.log(`[${rotulo}][${modelo}] resposta (${texto.length} chars):`, texto.slice(0, 400));
+        if (chaveCache) Promise.resolve(cache.gravar(chaveCache, texto)).catch(() => {});
+        return { texto, modelo, cache: false, distancia: null };
+      } catch(e) {
+        ultimoErro = e.name === 'TimeoutError' ? `tempo esgotado (${opcoes.timeoutMs / 1000}s)` : (e.message || 'Erro de conexão');
+        if (e.quota) quota = true;
+        console.warn(`[${rotulo}] ${e.quota ? 'Quota/rate limit' : 'Erro'} no modelo ${modelo}: ${ultimoErro} — tentando próximo...`);
+      }
+    }
+    if (quota) throw Object.assign(new Error('Limite de uso da IA atingido. Tente novamente em alguns minutos. Dica: use a aba Manual para lançar preços enquanto isso.'), { status: 429, quota: true });
+    throw Object.assign(new Error(`${impl.rotulo} retornou erro: ${ultimoErro || 'todos os modelos falharam'}`), { status: 500 });
+  }
+
+  return { provedor: impl.nome, configurada, modelos: opcoes.modelos, modelosTexto: opcoes.modelosTexto, gerar };
+}
+
+module.exports = { PROVEDORES, criarIA, extrairJSON, lista };
+
+if (require.main === module) {
+  // Fluxo foto → itens com o provedor mock: cache, fallback, cota e classificação só texto
+  (async () => {
+    const memoria = new Map();
+    const ia = criarIA({ provedor: 'mock', cache: { chave: (imgs, prompt) => 'mock_' + imgs[0].base64.length + ':' + prompt, ler: c => memoria.get(c), gravar: (c, t) => memoria.set(c, t) } });
+    const foto = [{ base64: Buffer.from('foto de gôndola').toString('base64'), mediaType: 'image/jpeg' }];
+    const hashes = require('./hashImagem');
+    const fixture = n => require('fs').readFileSync(require('path').join(__dirname, 'fixtures', n)).toString('base64');
+    const gondolas = [fixture('gondola-320.jpg'), fixture('gondola-240.jpg')]; // mesma foto em dois tamanhos/qualidades
+    const [grande, pequena] = gondolas.map(hashes.hashPerceptual);
+    // Cabeçalho de 65535×65535 com tabelas Huffman de um símbolo e scan sem fim: não pode varrer a grade toda
+    const huffman1 = classe => [0xFF, 0xC4, 0x00, 0x14, classe, 0x01, ...Array(15).fill(0), 0x00];
+    const jpegGigante = Buffer.from([0xFF, 0xD8, 0xFF, 0xC0, 0x00, 0x0B, 0x08, 0xFF, 0xFF, 0xFF, 0xFF, 0x01, 0x01, 0x11, 0x00,
+      ...huffman1(0x00), ...huffman1(0x10), 0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3F, 0x00, 0x00, 0x00]).toString('base64');
+    const casos = [
+      ['foto → itens',         () => ia.gerar({ prompt: 'Extraia os preços', imagens: foto, usarCache: true }), r => extrairJSON(r.texto).itens.length > 0 && !r.cache],
+      ['mesma foto → cache',   () => ia.gerar({ prompt: 'Extraia os preços', imagens: foto, usarCache: true }), r => r.cache],
+      ['outro prompt → IA',    () => ia.gerar({ prompt: 'Liste as marcas', imagens: foto, usarCache: true }),   r => !r.cache],
+      ['fallback de modelo',   () => ia.gerar({ prompt: '[mock:falha:mock-visao] Extraia', imagens: foto }),    r => r.modelo === 'mock-visao-reserva'],
+      ['classificação texto',  () => ia.gerar({ prompt: 'Responda {"emoji":"🥛","categoria":"Laticínios"}', modelos: ia.modelosTexto }), r => extrairJSON(r.texto).categoria === 'Laticínios'],
+      ['cota → 429',           () => ia.gerar({ prompt: '[mock:quota]', imagens: foto }).catch(e => e),          e => e.status === 429],
+      ['falha geral → 500',    () => ia.gerar({ prompt: '[mock:erro]', imagens: foto }).catch(e => e),           e => e.status === 500],
+      ['foto recomprimida → dHash próximo', async () => hashes.distanciaHamming(grande.dhash, pequena.dhash), d => d <= 5 && hashes.hashConteudo(gondolas[0]) !== hashes.hashConteudo(gondolas[1])],
+      ['JPEG truncado → sem dHash', async () => hashes.hashPerceptual(Buffer.from([0xFF, 0xD8, 0xFF, 0xC0, 0x00, 0x04, 0x08, 0x00]).toString('base64')), h => h === null],
+      ['JPEG 65535×65535 → sem dHash, rápido', async () => { const t = Date.now(); return [hashes.hashPerceptual(jpegGigante), Date.now() - t]; }, ([h, ms]) => h === null && ms < 500],
+    ];
+    let falhas = 0;
+    for (const [nome, rodar, conferir] of casos) {
+      const r = await rodar();
+      const ok = conferir(r);
+      if (!ok) falhas++;
+      console.log(`${ok ? '✓' : '✗'} ${nome}`);
+    }
+    process.exitCode = falhas ? 1 : 0;
+  })();
+}
@@ -0,0 +1,42 @@
+/**
+ * Provedor Gemini (Google AI Studio — generateContent)
+ * Uma chamada por modelo; a cadeia de fallback fica em ia/index.js.
+ */
+const URL_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+function erroQuota(msg, status) {
+  return status === 429 || /quota|rate/i.test(msg);
+}
+
+async function chamar({ modelo, chave, prompt, imagens, temperatura, maxTokens, timeoutMs }) {
+  const parts = imagens.map(i => ({ inlineData: { mimeType: i.mediaType || 'image/jpeg', data: i.base64 } }));
+  parts.push({ text: prompt });
+  const r = await fetch(`${URL_BASE}/${modelo}:generateContent?key=${chave}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ contents: [{ parts }], generationConfig: { temperature: temperatura, maxOutputTokens: maxTokens } }),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  const d = await r.json().catch(() => ({}));
+  if (d.error || !r.ok) {
+    const msg = d.error?.message || (d.error ? JSON.stringify(d.error) : 'HTTP ' + r.status);
+    throw Object.assign(new Error(msg), { quota: erroQuota(msg, r.status) });
+  }
+  // Texto costuma vir na 1ª parte; algumas respostas quebram em várias
+  const partes = d.candidates?.[0]?.content?.parts || [];
+  const texto = partes[0]?.text || partes.map(p => p.text || '').join('').trim();
+  if (!texto) {
+    const motivo = d.candidates?.[0]?.finishReason || 'unknown';
+    throw new Error(`Resposta vazia (finishReason: ${motivo})`);
+  }
+  return { texto };
+}
+
+module.exports = {
+  nome: 'gemini',
+  rotulo: 'Gemini',
+  modelos: ['gemini-2.5-flash-preview-04-17', 'gemini-2.5-flash'],
+  modelosTexto: ['gemini-2.0-flash'],
+  configurado: opcoes => !!opcoes.chave,
+  chamar,
+};
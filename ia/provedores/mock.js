@@ -0,0 +1,55 @@
+/**
+ * Provedor local determinístico — sem rede, para testar o fluxo foto → preço
+ *
+ *   Com imagem → ia/fixtures/<sha1 da 1ª imagem, 12 chars>.json, ou ia/fixtures/padrao.json
+ *   Só texto   → devolve o primeiro modelo de JSON do prompt ({"emoji":"🥛","categoria":"Laticínios"})
+ *
+ * Marcadores no prompt simulam falhas:
+ *   [mock:quota]          todos os modelos respondem cota excedida
+ *   [mock:erro]           todos os modelos falham
+ *   [mock:falha:<modelo>] só esse modelo falha (testa o fallback)
+ */
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const DIR_FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+function fixtureDaImagem(base64) {
+  const sha = crypto.createHash('sha1').update(String(base64)).digest('hex').slice(0, 12);
+  for (const nome of [sha + '.json', 'padrao.json']) {
+    const arq = path.join(DIR_FIXTURES, nome);
+    if (fs.existsSync(arq)) return fs.readFileSync(arq, 'utf8').trim();
+  }
+  return '{"itens":[],"erro":"sem fixture"}';
+}
+
+// Primeiro objeto JSON válido escrito no prompt (o formato de resposta pedido)
+function modeloDoPrompt(prompt) {
+  const s = String(prompt);
+  for (let i = s.indexOf('{'); i >= 0; i = s.indexOf('{', i + 1)) {
+    let nivel = 0;
+    for (let j = i; j < s.length; j++) {
+      if (s[j] === '{') nivel++;
+      else if (s[j] === '}' && --nivel === 0) {
+        try { return JSON.stringify(JSON.parse(s.slice(i, j + 1))); } catch(_) { break; }
+      }
+    }
+  }
+  return '{}';
+}
+
+async function chamar({ modelo, prompt, imagens }) {
+  if (prompt.includes('[mock:quota]')) throw Object.assign(new Error('Resource has been exhausted (e.g. check quota).'), { quota: true });
+  if (prompt.includes('[mock:erro]') || prompt.includes(`[mock:falha:${modelo}]`)) throw new Error(`Falha simulada no modelo ${modelo}`);
+  return { texto: imagens.length ? fixtureDaImagem(imagens[0].base64) : modeloDoPrompt(prompt) };
+}
+
+module.exports = {
+  nome: 'mock',
+  rotulo: 'IA mock',
+  modelos: ['mock-visao', 'mock-visao-reserva'],
+  modelosTexto: ['mock-texto'],
+  configurado: () => true,
+  chamar,
+};
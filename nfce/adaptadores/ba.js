@@ -0,0 +1,61 @@
+/**
+ * SEFAZ-BA
+ * O portal da Bahia é uma SPA: o HTML costuma vir vazio e os itens chegam por uma API REST
+ * que devolve o XML da nota convertido em JSON. A consulta REST vem primeiro; o HTML
+ * (layout padrão ou um dos layouts antigos da BA) fica como segunda tentativa.
+ */
+const { adaptadorPadrao } = require('./padrao');
+const { montarItem, dataISOParaBR } = require('../util');
+
+const API_URL = 'https://api.sefaz.ba.gov.br/sfz-nfce-api/api/publico/nfce/consultar';
+
+// Estrutura típica: { nfeProc: { NFe: { infNFe: { ide, emit, det: [...], total } } } }
+function extrairJson(apiData) {
+  const infNFe = apiData?.nfeProc?.NFe?.infNFe || apiData?.NFe?.infNFe || apiData || {};
+  const det = [].concat(infNFe.det || apiData?.det || []);
+  const emit = infNFe.emit || apiData?.emit || {};
+  const itens = det.map(d => {
+    const prod = d?.prod || d;
+    return montarItem({
+      produto: prod?.xProd || prod?.nome,
+      preco:   prod?.vUnCom || prod?.vProd,
+      qtd:     prod?.qCom || prod?.qtd,
+      unidade: prod?.uCom,
+      total:   prod?.vProd,
+      codigo:  prod?.cEAN && prod.cEAN !== 'SEM GTIN' ? prod.cEAN : null,
+    });
+  }).filter(Boolean);
+  if (!itens.length) return null;
+  const vNF = parseFloat(infNFe.total?.ICMSTot?.vNF);
+  return {
+    formato: 'ba-rest',
+    mercado: emit.xNome || emit.xFant || null,
+    cnpj: emit.CNPJ ? String(emit.CNPJ).replace(/\D/g, '') : null,
+    data: dataISOParaBR(infNFe.ide?.dhEmi),
+    itens,
+    total: vNF > 0 ? vNF : null,
+  };
+}
+
+async function consultar({ chave }) {
+  if (!chave || chave.length !== 44) return null;
+  const resp = await fetch(API_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: JSON.stringify({ chNFe: chave }),
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!resp.ok) return null;
+  return extrairJson(await resp.json());
+}
+
+module.exports = {
+  ...adaptadorPadrao({
+    uf: 'BA',
+    nome: 'SEFAZ-BA',
+    hosts: ['sefaz.ba.gov.br'],
+    legado: ['0', '0B', '0C', '1', '3A', '3C'],
+  }),
+  consultar,
+  extrairJson,
+};
@@ -0,0 +1,9 @@
+// SEFAZ-CE — consulta pública NFC-e no layout padrão
+const { adaptadorPadrao } = require('./padrao');
+
+module.exports = adaptadorPadrao({
+  uf: 'CE',
+  nome: 'SEFAZ-CE',
+  hosts: ['nfce.sefaz.ce.gov.br', 'sefaz.ce.gov.br'],
+  legado: ['1', '3B'],
+});
@@ -0,0 +1,13 @@
+// Demais portais permitidos (GO, MA, AL, TO, portal nacional) — layout padrão e, em seguida,
+// toda a cascata de formatos legados na ordem em que o antigo handler os tentava
+const { adaptadorPadrao } = require('./padrao');
+
+module.exports = adaptadorPadrao({
+  uf: null,
+  nome: 'Genérico',
+  hosts: [
+    'nfe.fazenda.gov.br', 'nfce.fazenda.gov.br', 'portalsped.fazenda.gov.br',
+    'sefaz.go.gov.br', 'sefaz.ma.gov.br', 'nfce.sefaz.al.gov.br', 'nfce.sefaz.to.gov.br',
+  ],
+  legado: ['0', '0B', '0C', '1', '2', '3A', '3B', '3C'],
+});
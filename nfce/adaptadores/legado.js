@@ -0,0 +1,97 @@
+/**
+ * Formatos herdados do antigo handler único de /api/nfce/consultar
+ * Cada função recebe o HTML e devolve a lista de itens (vazia se o formato não casar).
+ * Os adaptadores por estado combinam os formatos que fazem sentido para o seu portal.
+ */
+const { montarItem } = require('../util');
+
+function porRegex(html, re, mapear) {
+  const itens = [];
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    const item = montarItem(mapear(m));
+    if (item) itens.push(item);
+  }
+  return itens;
+}
+
+const FORMATOS = {
+  // Formato 0: SEFAZ BA (www.sefaz.ba.gov.br) — fonteTitulo + Vl. Unit.
+  '0': html => porRegex(html,
+    /fonteTitulo[^>]*>\s*([^<]{3,80})\s*<\/td>[\s\S]{0,400}?Vl\. Unit\.<\/td>\s*<td>([0-9]+[.,][0-9]{2})<\/td>/gi,
+    m => ({ produto: m[1], preco: m[2] })),
+
+  // Formato 0B: SEFAZ BA variante — layout Bootstrap com classes label/value ou h7/h8
+  '0B': html => porRegex(html,
+    /<span[^>]*class="(?:Descricao|h7|h6|label)[^"]*"[^>]*>([^<]{3,80})<\/span>[\s\S]{0,800}?<span[^>]*class="(?:Vunitario|h8|valor)[^"]*"[^>]*>([0-9]+[.,][0-9]{2})<\/span>/gi,
+    m => ({ produto: m[1], preco: m[2] })),
+
+  // Formato 0C: SEFAZ BA mobile — xProd e vUnCom em atributos data-*
+  '0C': html => porRegex(html,
+    /data-(?:descricao|xprod|produto)="([^"]{3,80})"[^>]*data-(?:vunitario|vuncom|preco)="([0-9]+[.,][0-9]{2})"/gi,
+    m => ({ produto: m[1], preco: m[2] })),
+
+  // Formato 1: classe txtTit ou nome_item (portais BA, SP, RS, CE...)
+  '1': html => porRegex(html,
+    /class="(?:txtTit|nome_item)[^"]*"[^>]*>\s*([^<]{3,80})<[\s\S]{0,500}?(?:Vl\. Unit\.|R\$)\s*([0-9]+[.,][0-9]{2})/gi,
+    m => ({ produto: m[1], preco: m[2] })),
+
+  // Formato 2: JSON embutido em <script> (alguns estados modernos)
+  '2': html => {
+    const jsonM = html.match(/var\s+\w+\s*=\s*(\{[\s\S]{50,}\})\s*;/);
+    if (!jsonM) return [];
+    try {
+      const obj = JSON.parse(jsonM[1]);
+      return (obj.det || obj.itens || obj.items || []).map(it => {
+        const prod = it.prod || it;
+        return montarItem({
+          produto: prod.xProd || prod.nome || prod.descricao,
+          preco:   prod.vUnCom || prod.preco || prod.vProd,
+          qtd:     prod.qCom || prod.qtd,
+          unidade: prod.uCom || prod.unidade,
+          total:   prod.vProd,
+          codigo:  prod.cEAN,
+        });
+      }).filter(Boolean);
+    } catch(_) { return []; }
+  },
+
+  // Formato 3A: SEFAZ BA novo layout — divNomeItem + lblValorUnitario
+  '3A': html => porRegex(html,
+    /class="[^"]*(?:divNomeItem|Nome|ItemNome)[^"]*"[^>]*>\s*([^<]{3,80})\s*<[\s\S]{0,600}?(?:lblValorUnitario|Vl\. Unit\.|ValUnit)[^>]*>\s*([0-9]+[.,][0-9]{2})/gi,
+    m => ({ produto: m[1], preco: m[2] })),
+
+  // Formato 3B: tabela com <span> de produto e valor unitário
+  '3B': html => porRegex(html,
+    /<span[^>]*class="[^"]*(?:item|produto|descricao)[^"]*"[^>]*>\s*([^<]{3,80})\s*<\/span>[\s\S]{0,400}?<span[^>]*>\s*([0-9]+,[0-9]{2})\s*<\/span>/gi,
+    m => ({ produto: m[1], preco: m[2] })),
+
+  // Formato 3C: padrão nfce.sefaz.ba.gov.br — <td class="col-xs-*"> com produto e valor
+  '3C': html => {
+    const itens = [];
+    const blocos = html.match(/<tr[\s\S]{20,500}?<\/tr>/gi) || [];
+    for (const bloco of blocos) {
+      const nomem = bloco.match(/col-xs-[0-9]+[^>]*>\s*([A-Za-zÀ-ú][^<]{3,70})\s*</);
+      const precom = bloco.match(/([0-9]{1,5},[0-9]{2})/g);
+      if (!nomem || !precom || /total|subtotal|desconto|troco|taxa/i.test(nomem[1])) continue;
+      // Pega o menor valor (mais provável ser unitário, não total)
+      const precos = precom.map(p => parseFloat(p.replace(',', '.'))).filter(p => p > 0 && p < 9999);
+      const item = precos.length ? montarItem({ produto: nomem[1], preco: Math.min(...precos) }) : null;
+      if (item) itens.push(item);
+    }
+    return itens;
+  },
+
+  // Formato 3 (regex genérico de texto) segue DESATIVADO — produzia falsos positivos em páginas SPA
+};
+
+// Aplica os formatos na ordem dada e devolve o primeiro que extrair itens
+function primeiroFormato(html, ordem) {
+  for (const nome of ordem) {
+    const itens = FORMATOS[nome](html);
+    if (itens.length) return { formato: 'legado-' + nome, itens };
+  }
+  return null;
+}
+
+module.exports = { FORMATOS, primeiroFormato };
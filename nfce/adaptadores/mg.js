@@ -0,0 +1,50 @@
+/**
+ * SEFAZ-MG — portal próprio (portalsped.fazenda.mg.gov.br), fora do layout padrão
+ *
+ *   <th><h4><b>NOME DO EMITENTE</b></h4></th> ... CNPJ: 00.000.000/0000-00
+ *   <tbody id="myTable">
+ *     <tr><td><h7>PRODUTO</h7>(Código: 123)</td><td>Qtde total de ítens: 2.0000</td>
+ *         <td>UN: KG</td><td>Valor total R$: R$ 9,98</td></tr>
+ *
+ * O portal só informa o total da linha; o unitário é derivado de total / quantidade.
+ */
+const { numeroBR, texto, extrairCnpj, extrairData, montarItem } = require('../util');
+
+function extrair(html) {
+  const corpo = (html.match(/<tbody[^>]*id="myTable"[^>]*>([\s\S]*?)<\/tbody>/i) || [])[1];
+  if (!corpo) return null;
+  const itens = [];
+  const linhas = /<tr[^>]*>([\s\S]*?)<\/tr>/gi;
+  let m;
+  while ((m = linhas.exec(corpo)) !== null) {
+    const tds = (m[1].match(/<td[^>]*>[\s\S]*?<\/td>/gi) || []).map(texto);
+    const nome = (m[1].match(/<h7[^>]*>([\s\S]*?)<\/h7>/i) || [])[1];
+    if (!nome || tds.length < 4) continue;
+    const item = montarItem({
+      produto: nome,
+      codigo:  (tds[0].match(/C[óo]digo:\s*([\d]+)/i) || [])[1],
+      qtd:     (tds[1].match(/([\d.,]+)\s*$/) || [])[1],
+      unidade: (tds[2].match(/UN:\s*(\S+)/i) || [])[1],
+      total:   (tds[3].match(/([\d.,]+)\s*$/) || [])[1],
+    });
+    if (item) itens.push(item);
+  }
+  if (!itens.length) return null;
+  const mercado = (html.match(/<h4[^>]*>\s*<b>([^<]{3,80})<\/b>/i) || [])[1];
+  const total = (html.match(/Valor a pagar R\$\s*:?\s*(?:<[^>]+>\s*)*([\d.,]+)/i) || [])[1];
+  return {
+    formato: 'mg-portalsped',
+    mercado: mercado ? texto(mercado) : null,
+    cnpj: extrairCnpj(html),
+    data: extrairData(html),
+    itens,
+    total: total ? numeroBR(total) : null,
+  };
+}
+
+module.exports = {
+  uf: 'MG',
+  nome: 'SEFAZ-MG',
+  hosts: ['portalsped.fazenda.mg.gov.br', 'fazenda.mg.gov.br', 'sefaz.mg.gov.br'],
+  extrair,
+};
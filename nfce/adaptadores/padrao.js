@@ -0,0 +1,70 @@
+/**
+ * Layout padrão da consulta pública NFC-e (portal SVRS, adotado por SP, RS, BA, CE, PE e outros)
+ *
+ *   <div id="u20" class="txtTopo">NOME DO EMITENTE</div> ... CNPJ: 00.000.000/0000-00
+ *   <table id="tabResult">
+ *     <tr id="Item + 1">
+ *       <span class="txtTit">PRODUTO</span><span class="RCod">(Código: 789...)</span>
+ *       <span class="Rqtd">Qtde.: 2</span><span class="RUN">UN: KG</span>
+ *       <span class="RvlUnit">Vl. Unit.: 4,99</span> ... <span class="valor">9,98</span>
+ *     </tr>
+ *   </table>
+ *   <span class="totalNumb txtMax">45,37</span>   (Valor a pagar)
+ */
+const { numeroBR, texto, extrairEmitente, extrairCnpj, extrairData, montarItem } = require('../util');
+const { primeiroFormato } = require('./legado');
+
+function campo(bloco, classe) {
+  const m = bloco.match(new RegExp('<span[^>]*class="' + classe + '"[^>]*>([\\s\\S]*?)</span>', 'i'));
+  // Remove o rótulo em <strong> ("Qtde.:", "UN:", "Vl. Unit.:")
+  return m ? texto(m[1].replace(/<strong>[\s\S]*?<\/strong>/gi, '')) : null;
+}
+
+function extrairTotal(html) {
+  const m = html.match(/Valor a pagar[\s\S]{0,120}?totalNumb[^>]*>\s*([\d.,]+)/i)
+         || html.match(/Valor total R\$[\s\S]{0,120}?totalNumb[^>]*>\s*([\d.,]+)/i);
+  return m ? m[1] : null;
+}
+
+function extrair(html) {
+  const itens = [];
+  const linhas = /<tr[^>]*id="Item\s*\+\s*\d+"[^>]*>([\s\S]*?)<\/tr>/gi;
+  let m;
+  while ((m = linhas.exec(html)) !== null) {
+    const bloco = m[1];
+    const item = montarItem({
+      produto: campo(bloco, 'txtTit'),
+      codigo:  campo(bloco, 'RCod'),
+      qtd:     campo(bloco, 'Rqtd'),
+      unidade: campo(bloco, 'RUN'),
+      preco:   campo(bloco, 'RvlUnit'),
+      total:   campo(bloco, 'valor'),
+    });
+    if (item) itens.push(item);
+  }
+  if (!itens.length) return null;
+  const total = extrairTotal(html);
+  return {
+    formato: 'padrao-svrs',
+    mercado: extrairEmitente(html),
+    cnpj: extrairCnpj(html),
+    data: extrairData(html),
+    itens,
+    total: total ? Math.round(numeroBR(total) * 100) / 100 : null,
+  };
+}
+
+// Adaptador de estado que usa o layout padrão e, se ele não casar, os formatos legados indicados
+function adaptadorPadrao({ uf, nome, hosts, legado = [] }) {
+  return {
+    uf, nome, hosts,
+    extrair(html) {
+      const nota = extrair(html);
+      if (nota) return nota;
+      const leg = primeiroFormato(html, legado);
+      return leg ? { ...leg, mercado: extrairEmitente(html), cnpj: extrairCnpj(html), data: extrairData(html), total: null } : null;
+    },
+  };
+}
+
+module.exports = { extrair, extrairTotal, adaptadorPadrao };
@@ -0,0 +1,9 @@
+// SEFAZ-PE — consulta pública NFC-e no layout padrão
+const { adaptadorPadrao } = require('./padrao');
+
+module.exports = adaptadorPadrao({
+  uf: 'PE',
+  nome: 'SEFAZ-PE',
+  hosts: ['nfce.sefaz.pe.gov.br', 'sefaz.pe.gov.br'],
+  legado: ['1', '3B'],
+});
@@ -0,0 +1,9 @@
+// SEFAZ-RS / SVRS — dono do layout padrão (também atende estados que usam a SVRS)
+const { adaptadorPadrao } = require('./padrao');
+
+module.exports = adaptadorPadrao({
+  uf: 'RS',
+  nome: 'SEFAZ-RS',
+  hosts: ['sefaz.rs.gov.br', 'svrs.rs.gov.br'],
+  legado: ['1'],
+});
@@ -0,0 +1,9 @@
+// SEFAZ-SP — consulta pública NFC-e no layout padrão
+const { adaptadorPadrao } = require('./padrao');
+
+module.exports = adaptadorPadrao({
+  uf: 'SP',
+  nome: 'SEFAZ-SP',
+  hosts: ['nfce.fazenda.sp.gov.br', 'fazenda.sp.gov.br', 'sefaz.sp.gov.br'],
+  legado: ['1'],
+});
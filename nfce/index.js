@@ -0,0 +1,153 @@
+/**
+ * NFC-e — registro de adaptadores por portal SEFAZ
+ * ════════════════════════════════════════════════════════════
+ * Cada adaptador (nfce/adaptadores/<uf>.js) declara:
+ *   uf, nome          → identificação nos logs e na resposta
+ *   hosts             → domínios do portal (casam o host exato ou subdomínios)
+ *   extrair(html)     → { formato, mercado, cnpj, data, itens, total } ou null
+ *   consultar(ctx)    → opcional: consulta direta (ex.: API REST da BA) antes do HTML
+ *
+ * Itens: { produto, preco (unitário), qtd, unidade, total, codigo }
+ *
+ * Fixtures gravadas ficam em nfce/fixtures/<uf>-<descrição>.(html|json).
+ * Para conferir todos os adaptadores sem rede: node nfce
+ */
+const fs   = require('fs');
+const path = require('path');
+const { extrairEmitente, extrairData } = require('./util');
+
+const ba       = require('./adaptadores/ba');
+const sp       = require('./adaptadores/sp');
+const rs       = require('./adaptadores/rs');
+const mg       = require('./adaptadores/mg');
+const ce       = require('./adaptadores/ce');
+const pe       = require('./adaptadores/pe');
+const generico = require('./adaptadores/generico');
+
+const ADAPTADORES = [ba, sp, rs, mg, ce, pe, generico];
+
+function hostCasa(hostname, host) {
+  return hostname === host || hostname.endsWith('.' + host);
+}
+
+function adaptadorPorHost(hostname) {
+  const h = String(hostname || '').toLowerCase();
+  return ADAPTADORES.find(a => a.hosts.some(host => hostCasa(h, host))) || null;
+}
+
+function adaptadorPorUf(uf) {
+  return ADAPTADORES.find(a => a.uf === String(uf || '').toUpperCase()) || null;
+}
+
+// Extrai chave de acesso de 44 dígitos da URL (identifica a nota unicamente)
+function extrairChaveNFe(url) {
+  const m = url.match(/(\d{44})/);
+  return m ? m[1] : url.replace(/[^a-zA-Z0-9]/g,'').substring(0, 60);
+}
+
+// Roda o extrator do adaptador e, se nada casar, a cascata genérica
+function extrairHtml(adaptador, html) {
+  const nota = adaptador.extrair(html);
+  if (nota) return { adaptador, nota };
+  if (adaptador !== generico) {
+    const fallback = generico.extrair(html);
+    if (fallback) return { adaptador: generico, nota: fallback };
+  }
+  return { adaptador, nota: null };
+}
+
+function logNota(adaptador, nota, host) {
+  console.log(`[NFC-e] ${adaptador.nome} (${nota.formato}): ${nota.itens.length} itens — ${host}`);
+}
+
+/**
+ * Consulta uma NFC-e pela URL do QR Code.
+ * Retorna { ok:true, adaptador, uf, formato, mercado, cnpj, data, itens, total }
+ *      ou { ok:false, adaptador, mercado, data, htmlSnippet } quando nenhum formato casar.
+ * Lança erro com .status (400 domínio, 502 SEFAZ) para o chamador responder.
+ */
+async function consultarNota(url) {
+  let urlObj;
+  try { urlObj = new URL(url); } catch(e) { throw Object.assign(new Error('URL malformada'), { status: 400 }); }
+  const adaptador = adaptadorPorHost(urlObj.hostname);
+  if (!adaptador) throw Object.assign(new Error('Dominio nao permitido: ' + urlObj.hostname), { status: 400 });
+  const chave = extrairChaveNFe(url);
+
+  if (adaptador.consultar) {
+    try {
+      const nota = await adaptador.consultar({ chave, url });
+      if (nota) {
+        logNota(adaptador, nota, urlObj.hostname);
+        return { ok: true, adaptador: adaptador.nome, uf: adaptador.uf, ...nota };
+      }
+    } catch(e) {
+      console.warn(`[NFC-e] ${adaptador.nome} consulta direta falhou:`, e.message, '— tentando HTML');
+    }
+  }
+
+  const resp = await fetch(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'pt-BR,pt;q=0.9',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1',
+    },
+    signal: AbortSignal.timeout(8000),
+  });
+  if (!resp.ok) throw Object.assign(new Error('SEFAZ retornou HTTP ' + resp.status), { status: 502 });
+  const html = await resp.text();
+
+  const { adaptador: usado, nota } = extrairHtml(adaptador, html);
+  if (nota) {
+    logNota(usado, nota, urlObj.hostname);
+    return { ok: true, adaptador: usado.nome, uf: usado.uf, ...nota };
+  }
+
+  // Log diagnóstico: trecho do HTML para identificar o formato e escrever um adaptador/fixture
+  const htmlSnippet = html.replace(/<script[\s\S]*?<\/script>/gi,'').replace(/<style[\s\S]*?<\/style>/gi,'').replace(/\s+/g,' ').substring(0,3000);
+  console.warn(`[NFC-e] ${adaptador.nome}: nenhum formato casou. URL:`, url.substring(0,120));
+  console.warn('[NFC-e] Classes detectadas:', (html.match(/class="([^"]+)"/g)||[]).slice(0,30).join(' '));
+  console.warn('[NFC-e] HTML snippet:', htmlSnippet.substring(0,500));
+  return { ok: false, adaptador: adaptador.nome, mercado: extrairEmitente(html), data: extrairData(html), htmlSnippet };
+}
+
+// Confere cada fixture gravada contra o adaptador do seu estado (sem rede)
+function verificarFixtures(dir = path.join(__dirname, 'fixtures')) {
+  const resultados = [];
+  for (const arquivo of fs.readdirSync(dir).sort()) {
+    const m = arquivo.match(/^([a-z]{2}|generico)-.+\.(html|json)$/);
+    if (!m) continue;
+    const adaptador = m[1] === 'generico' ? generico : adaptadorPorUf(m[1]);
+    const conteudo = fs.readFileSync(path.join(dir, arquivo), 'utf8');
+    let nota = null, erro = null;
+    try {
+      nota = m[2] === 'json' ? adaptador.extrairJson(JSON.parse(conteudo)) : adaptador.extrair(conteudo);
+    } catch(e) { erro = e.message; }
+    const soma = nota ? Math.round(nota.itens.reduce((s, i) => s + i.total, 0) * 100) / 100 : null;
+    if (!erro && !nota) erro = 'nenhum item extraído';
+    // Total da nota pode ter desconto/acréscimo; aqui as fixtures não têm, então precisa bater
+    if (!erro && nota.total != null && Math.abs(nota.total - soma) > 0.01) erro = `soma dos itens ${soma} ≠ total ${nota.total}`;
+    resultados.push({ arquivo, adaptador: adaptador ? adaptador.nome : '?', formato: nota?.formato || null, itens: nota?.itens.length || 0, cnpj: nota?.cnpj || null, erro });
+  }
+  return resultados;
+}
+
+module.exports = {
+  ADAPTADORES,
+  adaptadorPorHost,
+  adaptadorPorUf,
+  extrairChaveNFe,
+  extrairHtml,
+  consultarNota,
+  verificarFixtures,
+};
+
+if (require.main === module) {
+  const resultados = verificarFixtures();
+  for (const r of resultados) {
+    console.log(`${r.erro ? '✗' : '✓'} ${r.arquivo.padEnd(28)} ${r.adaptador.padEnd(10)} ${String(r.formato).padEnd(16)} ${String(r.itens).padStart(3)} itens${r.erro ? ' — ' + r.erro : ''}`);
+  }
+  process.exitCode = resultados.some(r => r.erro) ? 1 : 0;
+}
@@ -0,0 +1,77 @@
+/**
+ * NFC-e — utilitários compartilhados pelos adaptadores
+ * Números no formato brasileiro, limpeza de texto de HTML e montagem padronizada de itens.
+ */
+
+// "1.234,56" → 1234.56 | "1.0000" (MG usa ponto decimal) → 1 | "27,9" → 27.9
+function numeroBR(txt) {
+  if (txt == null) return NaN;
+  if (typeof txt === 'number') return txt;
+  const s = String(txt).replace(/[^\d.,-]/g, '');
+  if (!s) return NaN;
+  if (s.includes(',')) return parseFloat(s.replace(/\./g, '').replace(',', '.'));
+  return parseFloat(s);
+}
+
+const ENTIDADES = { '&nbsp;':' ', '&amp;':'&', '&lt;':'<', '&gt;':'>', '&quot;':'"', '&#39;':"'", '&apos;':"'" };
+
+// Remove tags e entidades, colapsa espaços
+function texto(html) {
+  return String(html || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(?:nbsp|amp|lt|gt|quot|apos|#39);/g, e => ENTIDADES[e])
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Razão social do emitente (topo da página de consulta)
+function extrairEmitente(html) {
+  const s = String(html || '');
+  const m = s.match(/id="u20"[^>]*>([^<]+)</)
+         || s.match(/class="txtTopo"[^>]*>\s*([^<]{3,80})</)
+         || s.match(/<div[^>]*txtTopo[^>]*>\s*([^<]{3,80})</)
+         || s.match(/Emitente[^:]*:\s*<[^>]+>([^<]{3,60})</);
+  return m ? texto(m[1]) || null : null;
+}
+
+// CNPJ do emitente: primeiro "CNPJ: 00.000.000/0000-00" do documento, só dígitos
+function extrairCnpj(html) {
+  const m = String(html || '').match(/CNPJ\s*:?\s*(?:<[^>]+>\s*)*(\d{2}\.?\d{3}\.?\d{3}\/?\d{4}-?\d{2})/i);
+  return m ? m[1].replace(/\D/g, '') : null;
+}
+
+// Data de emissão DD/MM/AAAA — prefere o rótulo "Emissão", senão a primeira data da página
+function extrairData(html) {
+  const s = String(html || '');
+  const m = s.match(/Emiss[ãa]o\s*:?\s*(?:<[^>]+>\s*)*(\d{2}\/\d{2}\/\d{4})/i) || s.match(/(\d{2}\/\d{2}\/\d{4})/);
+  return m ? m[1] : null;
+}
+
+// Data ISO (2024-03-12T18:22:05-03:00) → 12/03/2024
+function dataISOParaBR(iso) {
+  const m = String(iso || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return m ? `${m[3]}/${m[2]}/${m[1]}` : null;
+}
+
+// Item no formato que o app consome: produto, preco (unitário), qtd, unidade, total
+function montarItem({ produto, preco, qtd, unidade, total, codigo }) {
+  const nome = texto(produto);
+  let unit = numeroBR(preco);
+  const q = numeroBR(qtd);
+  const tot = numeroBR(total);
+  const quantidade = Number.isFinite(q) && q > 0 ? q : 1;
+  // Alguns layouts só trazem o total da linha: deriva o unitário
+  if (!(unit > 0) && tot > 0) unit = tot / quantidade;
+  if (nome.length < 3 || !(unit > 0) || unit >= 9999) return null;
+  return {
+    produto: nome,
+    preco: Math.round(unit * 100) / 100,
+    qtd: quantidade,
+    unidade: unidade ? texto(unidade).toUpperCase() : null,
+    total: tot > 0 ? Math.round(tot * 100) / 100 : Math.round(unit * quantidade * 100) / 100,
+    codigo: codigo ? String(codigo).replace(/\D/g, '') || null : null,
+  };
+}
+
+module.exports = { numeroBR, texto, extrairEmitente, extrairCnpj, extrairData, dataISOParaBR, montarItem };
@@ -0,0 +1,237 @@
+/**
+ * Planilhas de preços enviadas pelos mercados (CSV ou XLSX)
+ * ════════════════════════════════════════════════════════════
+ *   lerPlanilha(buffer, nomeArquivo) → { formato, linhas }   linhas = array de arrays de texto
+ *   detectarColunas(linhas)          → { cabecalho, colunas:{ produto, preco, ean } } (índices ou null)
+ *   precoPlanilha(valor)             → número ou NaN ("R$ 4,99", "4.99", "1.234,56", "1,234.56", "1.234")
+ *
+ * XLSX é um zip de XMLs: lemos o diretório central, inflamos só o que interessa
+ * (workbook, rels, sharedStrings e a primeira aba) e extraímos as células por regex.
+ * Sem dependências — só o zlib do Node.
+ */
+const zlib = require('zlib');
+const { numeroBR } = require('../nfce/util');
+
+const MAX_LINHAS = 1000;
+// Teto por XML descompactado: um zip de 5 MB pode inflar a gigabytes (zip bomb)
+const MAX_DESCOMPACTADO = 8 * 1024 * 1024;
+
+// ── CSV ─────────────────────────────────────────────────────
+// Excel em pt-BR salva CSV em Windows-1252 com ";" — detecta codificação e separador
+function decodificarTexto(buffer) {
+  const utf8 = buffer.toString('utf8');
+  const txt = utf8.includes('\uFFFD') ? buffer.toString('latin1') : utf8;
+  return txt.replace(/^\uFEFF/, '');
+}
+
+function separadorCSV(txt) {
+  const primeira = txt.split(/\r?\n/).find(l => l.trim()) || '';
+  const semAspas = primeira.replace(/"[^"]*"/g, '');
+  const contagem = [';', ',', '\t'].map(s => [s, semAspas.split(s).length - 1]);
+  contagem.sort((a, b) => b[1] - a[1]);
+  return contagem[0][1] ? contagem[0][0] : ';';
+}
+
+function lerCSV(buffer) {
+  const txt = decodificarTexto(buffer);
+  const sep = separadorCSV(txt);
+  const linhas = [];
+  let linha = [], campo = '', aspas = false;
+  for (let i = 0; i < txt.length; i++) {
+    const c = txt[i];
+    if (aspas) {
+      if (c === '"' && txt[i + 1] === '"') { campo += '"'; i++; }
+      else if (c === '"') aspas = false;
+      else campo += c;
+    } else if (c === '"' && !campo) aspas = true;
+    else if (c === sep) { linha.push(campo.trim()); campo = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && txt[i + 1] === '\n') i++;
+      linha.push(campo.trim()); campo = '';
+      if (linha.some(Boolean)) linhas.push(linha);
+      linha = [];
+      if (linhas.length > MAX_LINHAS) break;
+    } else campo += c;
+  }
+  linha.push(campo.trim());
+  if (linha.some(Boolean)) linhas.push(linha);
+  return linhas;
+}
+
+// ── XLSX ────────────────────────────────────────────────────
+// Entradas do zip pelo diretório central: { nome → { metodo, tamanho, descompactado, offset } }
+function entradasZip(buf) {
+  let fim = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { fim = i; break; }
+  }
+  if (fim < 0) throw Object.assign(new Error('Arquivo XLSX inválido (zip sem diretório central)'), { status: 400 });
+  const total = buf.readUInt16LE(fim + 10);
+  let pos = buf.readUInt32LE(fim + 16);
+  const entradas = {};
+  for (let n = 0; n < total; n++) {
+    if (buf.readUInt32LE(pos) !== 0x02014b50) break;
+    const nomeLen = buf.readUInt16LE(pos + 28), extraLen = buf.readUInt16LE(pos + 30), comentLen = buf.readUInt16LE(pos + 32);
+    const nome = buf.toString('utf8', pos + 46, pos + 46 + nomeLen);
+    entradas[nome] = { metodo: buf.readUInt16LE(pos + 10), tamanho: buf.readUInt32LE(pos + 20), descompactado: buf.readUInt32LE(pos + 24), offset: buf.readUInt32LE(pos + 42) };
+    pos += 46 + nomeLen + extraLen + comentLen;
+  }
+  return entradas;
+}
+
+const erroGrande = () => Object.assign(new Error(`Planilha grande demais depois de descompactada (máx. ${MAX_DESCOMPACTADO / 1024 / 1024} MB por aba) — salve só as colunas de produto e preço ou use .csv`), { status: 400 });
+
+function lerEntradaZip(buf, entrada) {
+  if (!entrada) return null;
+  // O tamanho declarado pode mentir: ele barra o caso óbvio e maxOutputLength o resto
+  if (entrada.descompactado > MAX_DESCOMPACTADO) throw erroGrande();
+  const ini = entrada.offset + 30 + buf.readUInt16LE(entrada.offset + 26) + buf.readUInt16LE(entrada.offset + 28);
+  const dados = buf.subarray(ini, ini + entrada.tamanho);
+  if (entrada.metodo === 0) return dados.toString('utf8');
+  if (entrada.metodo === 8) {
+    try { return zlib.inflateRawSync(dados, { maxOutputLength: MAX_DESCOMPACTADO }).toString('utf8'); }
+    catch(e) {
+      if (e instanceof RangeError) throw erroGrande();
+      throw Object.assign(new Error('Arquivo XLSX corrompido'), { status: 400 });
+    }
+  }
+  throw Object.assign(new Error('Compressão não suportada no XLSX'), { status: 400 });
+}
+
+const ENTIDADES_XML = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+function textoXML(s) {
+  return String(s || '')
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, e) => ENTIDADES_XML[e])
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)));
+}
+
+// Texto de um <si>/<is> (rich text vem partido em vários <t>)
+function textoRico(xml) {
+  return textoXML((String(xml).match(/<t\b[^>]*>[\s\S]*?<\/t>/g) || []).map(t => t.replace(/<[^>]+>/g, '')).join(''));
+}
+
+// "AB12" → 27 (índice da coluna, base 0)
+function indiceColuna(ref) {
+  const letras = String(ref || '').replace(/[^A-Z]/gi, '').toUpperCase();
+  let n = 0;
+  for (const l of letras) n = n * 26 + (l.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// Caminho da primeira aba do workbook (pela ordem em workbook.xml e o alvo no .rels)
+function caminhoPrimeiraAba(buf, entradas) {
+  const padrao = 'xl/worksheets/sheet1.xml';
+  const wb = lerEntradaZip(buf, entradas['xl/workbook.xml']);
+  const rels = lerEntradaZip(buf, entradas['xl/_rels/workbook.xml.rels']);
+  const rid = wb && (wb.match(/<sheet\b[^>]*\br:id="([^"]+)"/) || [])[1];
+  if (!rid || !rels) return padrao;
+  const rel = rels.match(new RegExp('<Relationship\\b[^>]*\\bId="' + rid + '"[^>]*>')) || [];
+  const alvo = (String(rel[0] || '').match(/Target="([^"]+)"/) || [])[1];
+  if (!alvo) return padrao;
+  return alvo.startsWith('/') ? alvo.slice(1) : 'xl/' + alvo.replace(/^\.\//, '');
+}
+
+function lerXLSX(buffer) {
+  const entradas = entradasZip(buffer);
+  const aba = lerEntradaZip(buffer, entradas[caminhoPrimeiraAba(buffer, entradas)]);
+  if (!aba) throw Object.assign(new Error('Planilha sem abas legíveis'), { status: 400 });
+  const sst = lerEntradaZip(buffer, entradas['xl/sharedStrings.xml']);
+  const compartilhados = sst ? (sst.match(/<si\b[^>]*>[\s\S]*?<\/si>/g) || []).map(textoRico) : [];
+
+  const linhas = [];
+  const reLinha = /<row\b[^>]*>([\s\S]*?)<\/row>/g;
+  let m;
+  while ((m = reLinha.exec(aba)) !== null && linhas.length <= MAX_LINHAS) {
+    const linha = [];
+    const reCelula = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let c, proxima = 0;
+    while ((c = reCelula.exec(m[1])) !== null) {
+      const attrs = c[1], corpo = c[2] || '';
+      const ref = (attrs.match(/\br="([A-Z]+)\d*"/i) || [])[1];
+      const col = ref ? indiceColuna(ref) : proxima;
+      proxima = col + 1;
+      const tipo = (attrs.match(/\bt="([^"]+)"/) || [])[1] || 'n';
+      const v = textoXML((corpo.match(/<v>([\s\S]*?)<\/v>/) || [])[1] || '');
+      let valor;
+      if (tipo === 's') valor = compartilhados[Number(v)] || '';
+      else if (tipo === 'inlineStr') valor = textoRico(corpo);
+      else if (tipo === 'n' && /e\+/i.test(v)) valor = String(Math.round(Number(v))); // EAN gravado como número
+      else if (tipo === 'n') valor = v.replace('.', ','); // ponto de célula numérica é sempre decimal: vira texto pt-BR
+      else valor = v;
+      linha[col] = String(valor).trim();
+    }
+    for (let i = 0; i < linha.length; i++) if (linha[i] == null) linha[i] = '';
+    if (linha.some(Boolean)) linhas.push(linha);
+  }
+  return linhas;
+}
+
+// ── Leitura e mapeamento ────────────────────────────────────
+function lerPlanilha(buffer, nomeArquivo = '') {
+  const xlsx = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  if (!xlsx && /\.xls$/i.test(nomeArquivo)) throw Object.assign(new Error('Formato .xls antigo não suportado — salve como .xlsx ou .csv'), { status: 400 });
+  const linhas = xlsx ? lerXLSX(buffer) : lerCSV(buffer);
+  return { formato: xlsx ? 'xlsx' : 'csv', linhas: linhas.slice(0, MAX_LINHAS + 1) };
+}
+
+function normCabecalho(s) {
+  return String(s || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+const COLUNAS = {
+  ean:     /\b(ean|ean13|gtin|cod ?barras?|codigo de barras|barcode)\b/,
+  produto: /\b(produto|descricao|desc|nome|item|mercadoria)\b/,
+  preco:   /\b(preco|valor|venda|pvenda|vlr|price)\b/,
+};
+
+// "R$ 4,99" → 4.99 | "4.99" → 4.99 | "1.234,56" e "1,234.56" → 1234.56 | "1.234" → 1234
+function precoPlanilha(valor) {
+  const s = String(valor == null ? '' : valor).replace(/[^\d.,-]/g, '');
+  if (!/\d/.test(s)) return NaN;
+  // Só pontos separando grupos de 3 dígitos: milhar, não decimal
+  if (/^\d{1,3}(\.\d{3})+$/.test(s)) return parseFloat(s.replace(/\./g, ''));
+  // Os dois separadores: o que vem por último é o decimal
+  if (s.includes('.') && s.includes(',')) {
+    const decimal = s.lastIndexOf('.') > s.lastIndexOf(',') ? '.' : ',';
+    return parseFloat(s.split(decimal === '.' ? ',' : '.').join('').replace(decimal, '.'));
+  }
+  return numeroBR(s);
+}
+
+// Sem cabeçalho reconhecível: deduz as colunas pelo conteúdo das primeiras linhas
+function deduzirColunas(linhas) {
+  const amostra = linhas.slice(0, 20);
+  const largura = Math.max(0, ...amostra.map(l => l.length));
+  const perfil = Array.from({ length: largura }, (_, i) => {
+    const vals = amostra.map(l => l[i] || '').filter(Boolean);
+    return {
+      ean:   vals.filter(v => /^\d{8,14}$/.test(v)).length,
+      preco: vals.filter(v => /^(R\$\s*)?\d{1,5}([.,]\d{1,2})?$/.test(v) && precoPlanilha(v) > 0).length,
+      texto: vals.filter(v => /[a-zA-ZÀ-ú]{3,}/.test(v)).length,
+    };
+  });
+  const melhor = campo => {
+    let idx = null, max = 0;
+    perfil.forEach((p, i) => { if (p[campo] > max) { max = p[campo]; idx = i; } });
+    return idx;
+  };
+  const ean = melhor('ean');
+  const produto = melhor('texto');
+  perfil.forEach((p, i) => { if (i === ean || i === produto) p.preco = 0; });
+  return { ean, produto, preco: melhor('preco') };
+}
+
+function detectarColunas(linhas) {
+  const cab = (linhas[0] || []).map(normCabecalho);
+  const achar = re => { const i = cab.findIndex(h => re.test(h)); return i >= 0 ? i : null; };
+  const ean = achar(COLUNAS.ean);
+  const produto = cab.findIndex((h, i) => i !== ean && COLUNAS.produto.test(h));
+  const preco = cab.findIndex((h, i) => i !== ean && i !== produto && COLUNAS.preco.test(h) && !/custo|compra/.test(h));
+  if (produto >= 0 || preco >= 0) {
+    return { cabecalho: true, colunas: { produto: produto >= 0 ? produto : null, preco: preco >= 0 ? preco : null, ean } };
+  }
+  return { cabecalho: false, colunas: deduzirColunas(linhas) };
+}
+
+module.exports = { MAX_LINHAS, lerPlanilha, lerCSV, lerXLSX, detectarColunas, precoPlanilha };
@@ -18,6 +18,10 @@
  *   JWT_SECRET    → chave de assinatura JWT     [OBRIGATÓRIO]
  *   APP_URL       → URL do app no Render        (para links WhatsApp/email)
  *   GEMINI_API_KEY → IA para análise de fotos   (opcional)
+ *   IA_PROVEDOR    → gemini (padrão) | mock     (mock: respostas locais fixas, sem rede — testes)
+ *   IA_MODELOS     → cadeia de fallback com imagem, separada por vírgula (opcional)
+ *   IA_MODELOS_TEXTO → cadeia para tarefas só de texto (opcional)
+ *   IA_TIMEOUT_MS  → tempo máximo por chamada   (opcional, padrão 30000)
  *   RESEND_API_KEY → e-mail transacional        (opcional)
  *   EMAIL_FROM     → remetente dos e-mails      (opcional)
  */
@@ -31,11 +35,16 @@ const jwt       = require('jsonwebtoken');
 const mongoose  = require('mongoose');
 const path      = require('path');
 const crypto    = require('crypto');
+const nfce      = require('./nfce');
+const planilha  = require('./planilha');
+const { criarIA, extrairJSON, lista: listaEnv } = require('./ia');
+const hashImagem = require('./ia/hashImagem');
 
 const app  = express();
 const PORT = process.env.PORT || 3000;
 
 const JWT_SECRET     = process.env.JWT_SECRET     || 'precocerto_dev_secret_v8_mude_em_producao';
+const JWT_SECRET_VERIFICACAO = JWT_SECRET + ':verificar_email'; // link de e-mail nunca vale como sessão
 const MONGODB_URI    = process.env.MONGODB_URI     || '';
 const APP_URL        = process.env.APP_URL         || 'https://precocerto.onrender.com';
 const GEMINI_KEY     = process.env.GEMINI_API_KEY  || '';
@@ -111,7 +120,15 @@ if (MONGODB_URI) {
             rPromos = await Promocao.updateMany({ _id: { $in: idsExpirados } }, { ativa: false });
           }
 
-          console.log('[Limpeza 48h] logs: ' + rLogs.deletedCount + ', solicitacoes: ' + rSolic.deletedCount + ', promos expiradas: ' + rPromos.modifiedCount);
+          // Impulsionamentos vencidos deixam de ser ativos
+          const rImpuls = await Impulsionamento.updateMany(
+            { status: 'ativo', expiraEm: { $lte: new Date() } }, { status: 'expirado' }
+          );
+
+          // Estatísticas de mercado: guarda no máximo ESTATISTICAS_DIAS_MAX dias
+          await EstatisticaDiaria.deleteMany({ dia: { $lt: diaChave(new Date(Date.now() - ESTATISTICAS_DIAS_MAX * 24 * 60 * 60 * 1000)) } });
+
+          console.log('[Limpeza 48h] logs: ' + rLogs.deletedCount + ', solicitacoes: ' + rSolic.deletedCount + ', promos expiradas: ' + rPromos.modifiedCount + ', impulsionamentos expirados: ' + rImpuls.modifiedCount);
         } catch(e) {
           console.error('Erro limpeza automatica:', e.message);
         }
@@ -153,6 +170,7 @@ const ClienteSchema = new mongoose.Schema({
   errosConsecutivos:       { type: Number, default: 0 },
   totalContribuicoes:      { type: Number, default: 0 },
   contribuicoesRejeitadas: { type: Number, default: 0 },
+  reportsRecebidos:        { type: Number, default: 0 }, // preços dele apontados como errados por outros
   ip:                      { type: String, default: '' },
   dataCadastro:            { type: String, default: () => new Date().toLocaleDateString('pt-BR') },
 }, { timestamps: true });
@@ -165,6 +183,7 @@ const MercadoSchema = new mongoose.Schema({
   cidade:    { type: String, default: 'Piatã' },
   estado:    { type: String, default: 'BA' },
   whatsapp:  { type: String, default: '' },
+  email:     { type: String, default: '', trim: true, lowercase: true },
   website:   { type: String, default: null },
   parceiro:  { type: Boolean, default: false },
   plano:     { type: String, default: null },
@@ -182,7 +201,20 @@ const ProdutoSchema = new mongoose.Schema({
   emoji:     { type: String, default: '📦' },
   categoria: { type: String, default: 'Geral' },
   ativo:     { type: Boolean, default: true },
+  ean:       { type: String }, // GTIN-8/13 (UPC-A vira EAN-13); ausente quando desconhecido
+  quantidade:{ type: Number, default: null }, // conteúdo da embalagem na unidade base (0.5 = 500g)
+  unidade:   { type: String, enum: ['kg', 'l', 'un', null], default: null },
 }, { timestamps: true });
+// Produto novo sem medida informada: extrai do nome ("Arroz 5kg", "Guaraná 2L", "Fralda 26un")
+ProdutoSchema.pre('validate', function(next) {
+  if (this.quantidade == null && this.nome) {
+    const m = extrairMedida(this.nome);
+    if (m) { this.quantidade = m.quantidade; this.unidade = m.unidade; }
+  }
+  next();
+});
+// Único só entre produtos que têm código — produtos sem EAN não entram no índice
+ProdutoSchema.index({ ean: 1 }, { unique: true, partialFilterExpression: { ean: { $type: 'string' } } });
 
 const PrecoSchema = new mongoose.Schema({
   produtoId:   { type: mongoose.Schema.Types.ObjectId, ref: 'Produto', required: true },
@@ -194,6 +226,17 @@ const PrecoSchema = new mongoose.Schema({
 }, { timestamps: true });
 PrecoSchema.index({ produtoId: 1, mercadoId: 1 });
 
+// Histórico append-only: cada observação de preço vira um documento (nunca é sobrescrito)
+const PrecoHistoricoSchema = new mongoose.Schema({
+  produtoId:   { type: mongoose.Schema.Types.ObjectId, ref: 'Produto', required: true },
+  mercadoId:   { type: mongoose.Schema.Types.ObjectId, ref: 'Mercado', required: true },
+  preco:       { type: Number, required: true },
+  fonte:       { type: String, default: 'admin' },
+  autor:       { type: String, default: 'Admin' },
+  dataAtu:     { type: String, default: () => new Date().toLocaleDateString('pt-BR') },
+}, { timestamps: true });
+PrecoHistoricoSchema.index({ produtoId: 1, mercadoId: 1, createdAt: -1 });
+
 const PromocaoSchema = new mongoose.Schema({
   produtoId:   { type: mongoose.Schema.Types.Mixed },
   mercadoId:   { type: mongoose.Schema.Types.ObjectId, ref: 'Mercado', required: true },
@@ -217,7 +260,34 @@ const ContribuicaoSchema = new mongoose.Schema({
   fotoUrl:      { type: String, default: null },
   ip:           { type: String, default: '' },
   data:         { type: String, default: () => new Date().toLocaleDateString('pt-BR') },
+  autoAprovada: { type: Boolean, default: false }, // publicada sem revisão (reputação do cliente)
+  suspeita:     { type: mongoose.Schema.Types.Mixed, default: null }, // { motivo, mediana, fator, amostras } — retida pela sanidade de preços
+  notaId:       { type: mongoose.Schema.Types.ObjectId, ref: 'NotaNFCe', default: null }, // lote de uma NFC-e
+  ean:          { type: String, default: null }, // cEAN do item na nota (sugestão de código para o catálogo)
+  chaveNFe:     { type: String, default: null },
+  // Linhas lidas pela IA numa foto da fila (lote revisado em /api/fila-ia/:id/revisao)
+  filaIAId:     { type: mongoose.Schema.Types.ObjectId, ref: 'FilaIA', default: null },
+  confianca:    { type: Number, default: null },  // 0–1: casamento com o catálogo × confiança da leitura
+  casadoPor:    { type: String, default: null },  // ean | nome | revisor
+  alternativas: { type: mongoose.Schema.Types.Mixed, default: null }, // outros candidatos [{ _id, nome, emoji, confianca }]
+  recorte:      { type: [Number], default: undefined }, // [ymin, xmin, ymax, xmax] da etiqueta na foto (0–1000)
+}, { timestamps: true });
+ContribuicaoSchema.index({ notaId: 1 });
+ContribuicaoSchema.index({ filaIAId: 1 });
+
+// NFC-e enviada por cliente: uma por chave de acesso; os itens viram Contribuicao com notaId
+const NotaNFCeSchema = new mongoose.Schema({
+  chave:     { type: String, required: true, unique: true }, // 44 dígitos
+  clienteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Cliente', required: true },
+  mercadoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Mercado', required: true },
+  dataNota:  { type: String, default: '' },
+  cnpj:      { type: String, default: null },
+  total:     { type: Number, default: null },
+  itens:     { type: Number, default: 0 },
+  status:    { type: String, default: 'pendente' }, // pendente | aprovada | parcial | rejeitada
+  ip:        { type: String, default: '' },
 }, { timestamps: true });
+NotaNFCeSchema.index({ status: 1, createdAt: -1 });
 
 const LogSchema = new mongoose.Schema({
   tipo:        { type: String, required: true },
@@ -225,13 +295,39 @@ const LogSchema = new mongoose.Schema({
   usuario:     { type: String, default: 'anon' },
   ip:          { type: String, default: '' },
   data:        { type: String, default: () => new Date().toLocaleString('pt-BR') },
-  // Campos extras para solicitações de produto
+  // Campos extras das solicitações de produto antigas (migradas para SolicitacaoProduto no seed)
   mercadoId:   { type: String, default: '' },
   mercadoNome: { type: String, default: '' },
   preco:       { type: Number, default: 0 },
   nomeProduto: { type: String, default: '' },
 }, { timestamps: true });
 
+// Trilha de auditoria: somente-inclusão (hooks abaixo bloqueiam update/delete pelo Mongoose)
+// e retenção longa via TTL — independente dos Logs, que são limpos em 48h/7 dias
+const AUDITORIA_RETENCAO_DIAS = parseInt(process.env.AUDITORIA_RETENCAO_DIAS) || 365;
+const AuditoriaSchema = new mongoose.Schema({
+  ator:       { id: String, usuario: String, tipo: String },
+  acao:       { type: String, required: true },  // ex: mercado.atualizar
+  metodo:     { type: String, default: '' },
+  rota:       { type: String, default: '' },
+  entidade:   { type: String, default: '' },     // nome do modelo (Mercado, Produto, ...)
+  entidadeId: { type: String, default: '' },
+  antes:      { type: mongoose.Schema.Types.Mixed, default: null },
+  depois:     { type: mongoose.Schema.Types.Mixed, default: null },
+  diff:       { type: Array, default: [] },      // [{ campo, antes, depois }]
+  ip:         { type: String, default: '' },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+AuditoriaSchema.index({ createdAt: 1 }, { expireAfterSeconds: AUDITORIA_RETENCAO_DIAS * 24 * 60 * 60 });
+AuditoriaSchema.index({ entidade: 1, entidadeId: 1, createdAt: -1 });
+AuditoriaSchema.index({ 'ator.usuario': 1, createdAt: -1 });
+['updateOne','updateMany','findOneAndUpdate','replaceOne','findOneAndReplace','deleteOne','deleteMany','findOneAndDelete']
+  .forEach(op => AuditoriaSchema.pre(op, { document: true, query: true }, async function() {
+    throw new Error('Auditoria é somente-inclusão');
+  }));
+AuditoriaSchema.pre('save', async function() {
+  if (!this.isNew) throw new Error('Auditoria é somente-inclusão');
+});
+
 const ConfigSchema = new mongoose.Schema({
   chave: { type: String, required: true, unique: true },
   valor: { type: mongoose.Schema.Types.Mixed, required: true },
@@ -282,6 +378,111 @@ const ChatMsgSchema = new mongoose.Schema({
   dadosCliente: { type: Object, default: null }, // preenchido quando cliente escala ou sai
 }, { timestamps: true });
 
+// Token de redefinição de senha — guardado só o hash SHA-256, uso único, expira sozinho (TTL)
+const ResetSenhaSchema = new mongoose.Schema({
+  tokenHash:  { type: String, required: true, unique: true },
+  tipoConta:  { type: String, required: true }, // cliente | mercado
+  contaId:    { type: mongoose.Schema.Types.ObjectId, required: true },
+  usado:      { type: Boolean, default: false },
+  ip:         { type: String, default: '' },
+  expiraEm:   { type: Date, required: true },
+}, { timestamps: true });
+ResetSenhaSchema.index({ expiraEm: 1 }, { expireAfterSeconds: 0 });
+
+// Lista de compras: pertence a um cliente OU a um dispositivo anônimo (token gerado no app)
+const ItemListaSchema = new mongoose.Schema({
+  produtoId:  { type: mongoose.Schema.Types.ObjectId, ref: 'Produto', required: true },
+  nome:       { type: String, default: '' },
+  emoji:      { type: String, default: '📦' },
+  quantidade: { type: Number, default: 1, min: 1 },
+  comprado:   { type: Boolean, default: false },
+  mercadoId:  { type: mongoose.Schema.Types.ObjectId, ref: 'Mercado', default: null }, // mercado escolhido
+  precoRef:   { type: Number, default: 0 },                                              // preço visto ao adicionar
+}, { _id: false });
+
+const ListaComprasSchema = new mongoose.Schema({
+  clienteId:        { type: mongoose.Schema.Types.ObjectId, ref: 'Cliente', default: null, index: true },
+  dispositivoToken: { type: String, default: null, index: true },
+  nome:             { type: String, default: 'Minha lista', trim: true },
+  itens:            { type: [ItemListaSchema], default: [] },
+}, { timestamps: true });
+
+// Impulsionamento (destaque pago): produto de um mercado no topo da busca até expiraEm
+// Mercado solicita (pendente) → admin ativa após o pagamento; expira sozinho pelo job de limpeza
+const ImpulsionamentoSchema = new mongoose.Schema({
+  mercadoId:    { type: mongoose.Schema.Types.ObjectId, ref: 'Mercado', required: true, index: true },
+  produtoId:    { type: mongoose.Schema.Types.ObjectId, ref: 'Produto', required: true },
+  preco:        { type: Number, default: null },       // preço em destaque (opcional)
+  duracaoHoras: { type: Number, default: 24 },
+  status:       { type: String, default: 'pendente' }, // pendente | ativo | expirado | cancelado
+  ativadoEm:    { type: Date, default: null },
+  expiraEm:     { type: Date, default: null },
+  criadoPor:    { type: String, default: '' },
+  canceladoPor: { type: String, default: '' },
+}, { timestamps: true });
+ImpulsionamentoSchema.index({ status: 1, expiraEm: 1 });
+
+// Alerta de preço ("avise-me quando baixar"): cliente segue um produto, opcionalmente com preço-alvo
+// e restrito a alguns mercados. Sem alvo, avisa quando cair abaixo do menor preço visto ao criar.
+const AlertaPrecoSchema = new mongoose.Schema({
+  clienteId:       { type: mongoose.Schema.Types.ObjectId, ref: 'Cliente', required: true, index: true },
+  produtoId:       { type: mongoose.Schema.Types.ObjectId, ref: 'Produto', required: true, index: true },
+  precoAlvo:       { type: Number, default: null },
+  precoReferencia: { type: Number, default: null },
+  mercadoIds:      { type: [mongoose.Schema.Types.ObjectId], default: [] }, // vazio = todos
+  ativo:           { type: Boolean, default: true },
+  // Última queda avisada — o mesmo preço (ou maior) não gera novo push até o preço voltar a subir
+  ultimoAviso:     { type: { preco: Number, mercadoId: mongoose.Schema.Types.ObjectId, em: Date }, default: null },
+}, { timestamps: true });
+AlertaPrecoSchema.index({ clienteId: 1, produtoId: 1 }, { unique: true });
+
+// Estatísticas de mercado: contador diário por (mercado, produto, tipo de evento)
+// Guardar agregado (e não cada evento) mantém a coleção pequena no plano gratuito do Atlas
+const EstatisticaDiariaSchema = new mongoose.Schema({
+  mercadoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Mercado', required: true },
+  produtoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Produto', default: null },
+  dia:       { type: String, required: true }, // YYYY-MM-DD (horário de Brasília)
+  tipo:      { type: String, required: true }, // visualizacao | lista | rota | impressao_promo
+  total:     { type: Number, default: 0 },
+}, { timestamps: true });
+EstatisticaDiariaSchema.index({ mercadoId: 1, dia: 1, tipo: 1, produtoId: 1 }, { unique: true });
+
+// Sinônimos da busca de produtos: cada grupo lista termos equivalentes ("refri" ↔ "refrigerante").
+// Termos guardados já normalizados (minúsculas, sem acento) — ver normBusca()
+const SinonimoSchema = new mongoose.Schema({
+  termos:    { type: [String], required: true },
+  criadoPor: { type: String, default: 'admin' },
+}, { timestamps: true });
+SinonimoSchema.index({ termos: 1 });
+
+// Pedidos de cadastro de produto feitos pelos clientes. Pedidos do mesmo item (mesma chave normalizada)
+// viram votos no mesmo documento; o admin aprova (cria o produto), mescla num existente ou recusa,
+// e a resposta chega ao solicitante por push e em /api/produtos/solicitacoes/minhas.
+const SolicitacaoProdutoSchema = new mongoose.Schema({
+  nome:          { type: String, required: true },
+  chave:         { type: String, required: true }, // normBusca(nome)
+  categoria:     { type: String, default: 'Geral' },
+  status:        { type: String, enum: ['pendente','aprovado','recusado','mesclado'], default: 'pendente' },
+  votos:         { type: Number, default: 1 },
+  solicitantes:  [{
+    clienteId:   { type: mongoose.Schema.Types.ObjectId, ref: 'Cliente', default: null },
+    login:       { type: String, default: '' },
+    preco:       { type: Number, default: null },
+    mercadoId:   { type: String, default: '' },
+    mercadoNome: { type: String, default: '' },
+    obs:         { type: String, default: '' },
+    em:          { type: Date, default: Date.now },
+  }],
+  produtoId:     { type: mongoose.Schema.Types.ObjectId, ref: 'Produto', default: null }, // criado ou mesclado
+  resposta:      { type: String, default: '' },
+  respondidoPor: { type: String, default: '' },
+  respondidoEm:  { type: Date, default: null },
+}, { timestamps: true });
+SolicitacaoProdutoSchema.index({ chave: 1, status: 1 });
+SolicitacaoProdutoSchema.index({ chave: 1 }, { unique: true, partialFilterExpression: { status: 'pendente' } }); // um pendente por item
+SolicitacaoProdutoSchema.index({ status: 1, votos: -1, createdAt: -1 });
+SolicitacaoProdutoSchema.index({ 'solicitantes.clienteId': 1 });
+
 const BlacklistSchema = new mongoose.Schema({
   telefone:       { type: String, required: true, unique: true },
   dataInicio:     { type: Date, default: Date.now },
@@ -291,6 +492,37 @@ const BlacklistSchema = new mongoose.Schema({
   ativo:          { type: Boolean, default: true },
 }, { timestamps: true });
 
+// Lápides do sync incremental: cada remoção física de mercado, produto, preço ou promoção
+// fica registrada aqui para que os apps com cópia local saibam o que apagar.
+const SYNC_LAPIDES_DIAS = parseInt(process.env.SYNC_LAPIDES_DIAS) || 30;
+const RemocaoSchema = new mongoose.Schema({
+  colecao:   { type: String, required: true }, // mercados | produtos | precos | promocoes
+  docId:     { type: String, required: true },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+RemocaoSchema.index({ createdAt: 1 }, { expireAfterSeconds: SYNC_LAPIDES_DIAS * 24 * 60 * 60 });
+
+// Hooks de remoção: valem para qualquer rota (exclusão, limpezas, seed, cascata de mercado)
+function rastrearRemocoes(schema, colecao) {
+  const gravar = docs => docs.length
+    ? Remocao.insertMany(docs.map(d => ({ colecao, docId: String(d._id) })), { ordered:false }).catch(e => console.warn('[Sync] Falha ao gravar lápides:', e.message))
+    : null;
+  schema.pre(['deleteOne', 'deleteMany'], { document:false, query:true }, async function() {
+    const q = this.model.find(this.getFilter()).select('_id').lean();
+    if (this.op === 'deleteOne') q.limit(1);
+    this._lapides = await q;
+  });
+  schema.post(['deleteOne', 'deleteMany'], { document:false, query:true }, async function() {
+    await gravar(this._lapides || []);
+  });
+  schema.post('findOneAndDelete', async function(doc) {
+    if (doc) await gravar([doc]);
+  });
+}
+rastrearRemocoes(MercadoSchema,  'mercados');
+rastrearRemocoes(ProdutoSchema,  'produtos');
+rastrearRemocoes(PrecoSchema,    'precos');
+rastrearRemocoes(PromocaoSchema, 'promocoes');
+
 // ═══════════════════════════════════════════════════════════
 // MODELOS
 // ═══════════════════════════════════════════════════════════
@@ -299,14 +531,25 @@ const Cliente      = mongoose.model('Cliente',      ClienteSchema);
 const Mercado      = mongoose.model('Mercado',      MercadoSchema);
 const Produto      = mongoose.model('Produto',      ProdutoSchema);
 const Preco        = mongoose.model('Preco',        PrecoSchema);
+const PrecoHistorico = mongoose.model('PrecoHistorico', PrecoHistoricoSchema);
 const Promocao     = mongoose.model('Promocao',     PromocaoSchema);
 const Contribuicao = mongoose.model('Contribuicao', ContribuicaoSchema);
+const NotaNFCe     = mongoose.model('NotaNFCe',     NotaNFCeSchema);
 const Log          = mongoose.model('Log',          LogSchema);
+const Auditoria    = mongoose.model('Auditoria',    AuditoriaSchema);
 const Config       = mongoose.model('Config',       ConfigSchema);
 const Solicitacao  = mongoose.model('Solicitacao',  SolicitacaoSchema);
 const Ocorrencia   = mongoose.model('Ocorrencia',   OcorrenciaSchema);
 const ChatMsg      = mongoose.model('ChatMsg',      ChatMsgSchema);
 const Blacklist    = mongoose.model('Blacklist',    BlacklistSchema);
+const Sinonimo     = mongoose.model('Sinonimo',     SinonimoSchema);
+const SolicitacaoProduto = mongoose.model('SolicitacaoProduto', SolicitacaoProdutoSchema);
+const ResetSenha   = mongoose.model('ResetSenha',   ResetSenhaSchema);
+const ListaCompras = mongoose.model('ListaCompras', ListaComprasSchema);
+const Impulsionamento = mongoose.model('Impulsionamento', ImpulsionamentoSchema);
+const EstatisticaDiaria = mongoose.model('EstatisticaDiaria', EstatisticaDiariaSchema);
+const AlertaPreco  = mongoose.model('AlertaPreco',  AlertaPrecoSchema);
+const Remocao      = mongoose.model('Remocao',      RemocaoSchema);
 
 // ── FILA IA ────────────────────────────────────────────────────────
 const FilaIASchema = new mongoose.Schema({
@@ -316,25 +559,123 @@ const FilaIASchema = new mongoose.Schema({
   mercadoNome:  { type: String, default: '' },
   imagemBase64: { type: String, required: true }, // base64 da foto (TTL 48h)
   mediaType:    { type: String, default: 'image/jpeg' },
-  status:       { type: String, default: 'aguardando' }, // aguardando|processando|concluido|erro
+  status:       { type: String, default: 'aguardando' }, // aguardando|processando|revisao|concluido|erro
   tentativas:   { type: Number, default: 0 },
   erroMsg:      { type: String, default: '' },
   resultado:    { type: mongoose.Schema.Types.Mixed, default: null }, // JSON extraído pela IA
+  precos:       [{ // o que cada item extraído virou — mostrado ao cliente em /api/fila-ia/minhas
+    produtoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Produto', default: null },
+    produto:   String,
+    preco:     Number,
+    status:    String, // retido (em revisão) | publicado | rejeitado | ignorado (sem nome ou preço legível)
+  }],
   processadaEm: { type: Date, default: null },
-  expiraEm:     { type: Date, default: () => new Date(Date.now() + 48*60*60*1000) }, // TTL 48h
+  expiraEm:     { type: Date, default: () => new Date(Date.now() + 48*60*60*1000) }, // TTL 48h (não corre durante a revisão)
 }, { timestamps: true });
+FilaIASchema.index({ clienteId: 1, createdAt: -1 });
 const FilaIA = mongoose.model('FilaIA', FilaIASchema);
 
 // ── CACHE IA (hash de imagem → resultado) ────────────────────
+// hashImagem casa a mesma foto byte a byte; dhash casa a mesma foto recomprimida/redimensionada.
+// A resposta depende da pergunta: a chave leva o hash do prompt, e foto parecida só casa com o mesmo prompt.
 const CacheIASchema = new mongoose.Schema({
-  hashImagem:  { type: String, required: true, unique: true, index: true },
+  hashImagem:  { type: String, required: true, unique: true, index: true }, // hashPrompt:sha256 da imagem
+  hashPrompt:  { type: String, default: null },  // 16 hex do sha256 do prompt
+  dhash:       { type: String, default: null },  // hash perceptual 64 bits (ver ia/hashImagem.js)
+  proporcao:   { type: Number, default: null },  // largura/altura — foto cortada não é a mesma foto
+  bandas:      { type: [String], default: [], index: true }, // pedaços do dhash para achar candidatos
   resultado:   { type: mongoose.Schema.Types.Mixed, required: true }, // JSON com itens extraídos
   usos:        { type: Number, default: 1 },
+  usosSimilares: { type: Number, default: 0 },   // acertos por foto parecida (não idêntica)
   expiraEm:    { type: Date, default: () => new Date(Date.now() + 90*24*60*60*1000) }, // TTL 90 dias
 }, { timestamps: true });
 CacheIASchema.index({ expiraEm: 1 }, { expireAfterSeconds: 0 }); // MongoDB deleta automaticamente
 const CacheIA = mongoose.model('CacheIA', CacheIASchema);
 
+// ── USO DE IA (contadores diários por conta e modelo — cotas e relatório de custo) ──
+const USO_IA_DIAS_MAX = 90;
+const UsoIASchema = new mongoose.Schema({
+  dia:       { type: String, required: true }, // YYYY-MM-DD (horário de Brasília)
+  tipo:      { type: String, required: true }, // cliente | mercado | admin | sistema (fila IA, classificação)
+  contaId:   { type: mongoose.Schema.Types.ObjectId, default: null }, // Cliente, Mercado ou Admin; null no sistema
+  login:     { type: String, default: '' },
+  modelo:    { type: String, default: '' },   // '' = sem modelo cobrado (cache ou falha)
+  chamadas:  { type: Number, default: 0 },    // respostas cobradas da IA — contam na cota
+  imagens:   { type: Number, default: 0 },
+  cacheHits: { type: Number, default: 0 },    // respondidas pelo CacheIA, não contam na cota
+  cacheSimilares: { type: Number, default: 0 }, // dos cacheHits, quantos por foto parecida (dhash)
+  cacheConsultas: { type: Number, default: 0 }, // chamadas com imagem que consultaram o cache
+  falhas:    { type: Number, default: 0 },
+  reservadas: { type: Number, default: 0 },   // só na linha modelo '': cota tomada (cobradas + em andamento)
+  expiraEm:  { type: Date, default: () => new Date(Date.now() + USO_IA_DIAS_MAX*24*60*60*1000) },
+}, { timestamps: true });
+UsoIASchema.index({ dia: 1, tipo: 1, contaId: 1, modelo: 1 }, { unique: true });
+UsoIASchema.index({ expiraEm: 1 }, { expireAfterSeconds: 0 });
+const UsoIA = mongoose.model('UsoIA', UsoIASchema);
+
+// Provedor de IA único para rotas, fila e classificação (ver ia/index.js)
+const CACHE_IA_TTL_MS = 90*24*60*60*1000;
+const ia = criarIA({
+  provedor:     process.env.IA_PROVEDOR || 'gemini',
+  chave:        GEMINI_KEY,
+  modelos:      listaEnv(process.env.IA_MODELOS),
+  modelosTexto: listaEnv(process.env.IA_MODELOS_TEXTO),
+  timeoutMs:    parseInt(process.env.IA_TIMEOUT_MS) || undefined,
+  cache: {
+    chave: (imagens, prompt) => {
+      const hashPrompt = sha256(String(prompt)).slice(0, 16);
+      return { hash: hashPrompt + ':' + hashImagem.hashConteudo(imagens[0].base64), hashPrompt, perceptual: hashImagem.hashPerceptual(imagens[0].base64) };
+    },
+    async ler({ hash, hashPrompt, perceptual }) {
+      // distancia null = mesma foto byte a byte; número = foto parecida
+      let cached = await CacheIA.findOne({ hashImagem: hash }), distancia = null;
+      if (!cached && perceptual) ({ cached, distancia } = await cacheIASimilar(perceptual, hashPrompt));
+      if (!cached || !cached.resultado) return null;
+      // Só a mesma foto renova o TTL de 90 dias; a parecida não estende a vida de uma leitura antiga
+      const renovar = distancia == null ? { $set: { expiraEm: new Date(Date.now()+CACHE_IA_TTL_MS) } } : {};
+      await CacheIA.updateOne({ _id: cached._id }, { $inc: { usos: 1, usosSimilares: distancia == null ? 0 : 1 }, ...renovar }).catch(()=>{});
+      const texto = typeof cached.resultado === 'string' ? cached.resultado : JSON.stringify(cached.resultado);
+      return { texto, distancia };
+    },
+    gravar: ({ hash, hashPrompt, perceptual }, texto) => CacheIA.findOneAndUpdate(
+      { hashImagem: hash },
+      { hashImagem: hash, hashPrompt, resultado: texto, usos: 1, expiraEm: new Date(Date.now()+CACHE_IA_TTL_MS),
+        dhash: perceptual?.dhash || null, proporcao: perceptual?.proporcao || null, bandas: perceptual ? hashImagem.bandasDhash(perceptual.dhash) : [] },
+      { upsert: true }
+    ),
+  },
+});
+
+// Foto parecida (Config 'cache_ia'):
+//   distanciaMax        bits do dhash para aceitar; 0 = só dhash idêntico
+//   janelaSimilarHoras  idade máxima da leitura reaproveitada — o dHash 8×8 não enxerga os dígitos
+//                       da etiqueta, então a mesma gôndola fotografada dias depois (preço trocado) casaria
+const CACHE_IA_PADRAO = { distanciaMax: 5, janelaSimilarHoras: 24 };
+const CACHE_IA_JANELA_MAX_HORAS = 24 * 30;
+const CACHE_IA_TOLERANCIA_PROPORCAO = 0.02;
+
+async function configCacheIA() {
+  const cfg = await Config.findOne({ chave: 'cache_ia' }).lean().catch(() => null);
+  return { ...CACHE_IA_PADRAO, ...(cfg?.valor || {}) };
+}
+
+// Entrada do cache com a foto mais parecida dentro da distância configurada.
+// Candidatos vêm pelas bandas do dhash (ao menos uma banda igual é garantida até 7 bits)
+async function cacheIASimilar({ dhash, proporcao }, hashPrompt) {
+  const { distanciaMax, janelaSimilarHoras } = await configCacheIA();
+  const desde = new Date(Date.now() - janelaSimilarHoras * 60*60*1000);
+  const candidatos = await CacheIA.find({ bandas: { $in: hashImagem.bandasDhash(dhash) }, hashPrompt, createdAt: { $gte: desde } })
+    .select('dhash proporcao resultado hashImagem').limit(500).lean();
+  let melhor = null, menor = Infinity;
+  for (const c of candidatos) {
+    if (!c.dhash || Math.abs((c.proporcao || 0) - proporcao) > CACHE_IA_TOLERANCIA_PROPORCAO * proporcao) continue;
+    const d = hashImagem.distanciaHamming(dhash, c.dhash);
+    if (d <= distanciaMax && d < menor) { melhor = c; menor = d; }
+  }
+  return melhor ? { cached: melhor, distancia: menor } : { cached: null, distancia: null };
+}
+if (ia.provedor !== 'gemini') console.log(`⚠️  IA usando provedor "${ia.provedor}" (${ia.modelos.join(', ')})`);
+
 // ── QR NOTAS (fotos de QR Code enviadas por clientes) ────────
 // ── WEB PUSH SUBSCRIPTIONS ────────────────────────────────
 const PushSubSchema = new mongoose.Schema({
@@ -357,15 +698,6 @@ const QRNotaSchema = new mongoose.Schema({
 }, { timestamps: true });
 const QRNota = mongoose.model('QRNota', QRNotaSchema);
 
-// Hash leve: primeiros+últimos 500 chars do base64 + tamanho
-function hashBase64Leve(b64) {
-  const s = String(b64||'');
-  const sample = s.slice(0,500) + '|' + s.slice(-500) + '|' + s.length;
-  let h = 0;
-  for(let i=0;i<sample.length;i++){ h = ((h<<5)-h) + sample.charCodeAt(i); h|=0; }
-  return 'ia_' + Math.abs(h).toString(36) + '_' + s.length;
-}
-
 // ═══════════════════════════════════════════════════════════
 // MIDDLEWARE
 // ═══════════════════════════════════════════════════════════
@@ -390,7 +722,7 @@ app.use(cors({
     cb(new Error('CORS: origem nao permitida: ' + origin));
   },
   methods: ['GET','POST','PUT','PATCH','DELETE','OPTIONS'],
-  allowedHeaders: ['Content-Type','Authorization'],
+  allowedHeaders: ['Content-Type','Authorization','X-Dispositivo'],
   credentials: true,
 }));
 
@@ -403,6 +735,17 @@ app.use(helmet({
 
 // ── JSON BODY ───────────────────────────────────────────────
 app.use(express.json({ limit: '12mb' }));
+// Rede de segurança da auditoria: mutação de admin bem-sucedida que não chamou auditar()
+// ainda fica registrada com rota e corpo (sem snapshots)
+const AUDITORIA_IGNORAR = ['/api/ia/'];
+app.use('/api', (req, res, next) => {
+  if (['GET','HEAD','OPTIONS'].includes(req.method) || AUDITORIA_IGNORAR.some(r => req.originalUrl.startsWith(r))) return next();
+  res.on('finish', () => {
+    if (req._auditado || req.user?.tipo !== 'admin' || res.statusCode >= 400) return;
+    auditar(req, { acao: req.method + ' ' + (req.route?.path || req.path), depois: req.body && Object.keys(req.body).length ? req.body : null });
+  });
+  next();
+});
 
 // ── SANITIZADOR ─────────────────────────────────────────────
 function sanitize(str, maxLen=500) {
@@ -415,6 +758,81 @@ function validarPreco(p) {
   const n = parseFloat(p);
   return !isNaN(n) && n > 0 && n < 99999;
 }
+
+// ── MEDIDA DO PRODUTO ───────────────────────────────────────
+// Lê o tamanho da embalagem no nome e converte para a unidade base (kg, l, un):
+//   "Café Rigno 500g" → 0.5 kg | "Guaraná 2L" → 2 l | "Cerveja 12x350ml" → 4.2 l
+//   "Fralda M 26un" → 26 un   | "Banana Prata kg" → 1 kg (vendido a granel) | "Ovos dúzia" → 12 un
+const MEDIDA_BASE = {
+  kg:'kg', kilo:'kg', kilos:'kg', quilo:'kg', quilos:'kg', g:'g', gr:'g', grs:'g', grama:'g', gramas:'g', mg:'mg',
+  l:'l', lt:'l', lts:'l', litro:'l', litros:'l', ml:'ml',
+  un:'un', und:'un', unid:'un', unidade:'un', unidades:'un', rolo:'un', rolos:'un',
+};
+const MEDIDA_FATOR = { kg:[1,'kg'], g:[0.001,'kg'], mg:[0.000001,'kg'], l:[1,'l'], ml:[0.001,'l'], un:[1,'un'] };
+const MEDIDA_RE = '(\\d+(?:[.,]\\d+)?)\\s*(' + Object.keys(MEDIDA_BASE).sort((a, b) => b.length - a.length).join('|') + ')(?![a-z])';
+
+// Quantidade numa unidade qualquer ("500", "g") → { quantidade, unidade } na unidade base, ou null
+function converterMedida(qtd, un) {
+  const fator = MEDIDA_FATOR[MEDIDA_BASE[String(un || '').toLowerCase()]];
+  const n = parseFloat(String(qtd).replace(',', '.'));
+  if (!fator || !(n > 0)) return null;
+  return { quantidade: Math.round(n * fator[0] * 1e6) / 1e6, unidade: fator[1] };
+}
+
+function extrairMedida(nome) {
+  const n = String(nome || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  const num = v => parseFloat(String(v).replace(',', '.'));
+  let m = n.match(new RegExp('(\\d+)\\s*x\\s*' + MEDIDA_RE)); // multipack: 6x350ml
+  if (m) return converterMedida(num(m[1]) * num(m[2]), m[3]);
+  m = n.match(new RegExp('(?:^|[^a-z0-9])' + MEDIDA_RE));
+  if (m) return converterMedida(m[1], m[2]);
+  if (/\b(duzia|dz)\b/.test(n)) return { quantidade: 12, unidade: 'un' };
+  if (/\b(kg|quilo)\b/.test(n)) return { quantidade: 1, unidade: 'kg' };
+  if (/\b(un|und|unidade|maco|bandeja)\b/.test(n)) return { quantidade: 1, unidade: 'un' };
+  return null;
+}
+
+// Preço por unidade base (R$/kg, R$/l, R$/un) — null se o produto não tem medida
+function precoUnitario(preco, produto) {
+  if (!produto?.quantidade || !produto.unidade || !(preco > 0)) return null;
+  return { precoUnitario: Math.round(preco / produto.quantidade * 100) / 100, unidadeBase: produto.unidade };
+}
+
+// Preco com produtoId populado → acrescenta precoUnitario/unidadeBase
+function comPrecoUnitario(p) {
+  const obj = typeof p.toObject === 'function' ? p.toObject() : p;
+  return { ...obj, ...(precoUnitario(obj.preco, obj.produtoId) || { precoUnitario: null, unidadeBase: null }) };
+}
+
+// Preenche quantidade/unidade dos produtos sem medida (refazer=true reprocessa todos a partir do nome)
+async function preencherMedidas(refazer = false) {
+  const filtro = refazer ? {} : { quantidade: null };
+  const produtos = await Produto.find(filtro).select('nome quantidade unidade').lean();
+  const ops = [];
+  let semMedida = 0;
+  for (const p of produtos) {
+    const m = extrairMedida(p.nome);
+    if (!m) { semMedida++; continue; }
+    if (p.quantidade === m.quantidade && p.unidade === m.unidade) continue;
+    ops.push({ updateOne: { filter: { _id: p._id }, update: { $set: m } } });
+  }
+  if (ops.length) await Produto.bulkWrite(ops, { ordered: false });
+  return { analisados: produtos.length, atualizados: ops.length, semMedida };
+}
+
+// ── EAN / GTIN ──────────────────────────────────────────────
+// Normaliza um código de barras: só dígitos, UPC-A (12) e GTIN-14 com zero à esquerda viram EAN-13.
+// Retorna null para "SEM GTIN", dígito verificador errado e códigos internos de loja (prefixo 2, ex.: balança).
+function normalizarEAN(codigo) {
+  let d = String(codigo || '').replace(/\D/g, '');
+  if (d.length === 12) d = '0' + d;
+  if (d.length === 14 && d[0] === '0') d = d.slice(1);
+  if (![8, 13, 14].includes(d.length) || /^0+$/.test(d)) return null;
+  if (d.length === 13 && d[0] === '2') return null;
+  const corpo = d.slice(0, -1).split('').reverse();
+  const soma = corpo.reduce((t, n, i) => t + Number(n) * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - soma % 10) % 10 === Number(d[d.length - 1]) ? d : null;
+}
 app.use(express.urlencoded({ extended: true }));
 app.use((req,res,next)=>{res.setHeader('Cache-Control','no-cache,no-store,must-revalidate');res.setHeader('Pragma','no-cache');res.setHeader('Expires','0');next();});
 // ── MANIFEST.JSON dinâmico — garante display:standalone ─────────────────────
@@ -491,6 +909,20 @@ const limiter      = rateLimit({ windowMs: 15*60*1000, max: 300, standardHeaders
 const loginLimiter = rateLimit({ windowMs: 10*60*1000, max: 10,
   message: { erro: 'Muitas tentativas de login. Aguarde 10 minutos.' }
 });
+const recuperarSenhaLimiter = rateLimit({ windowMs: 60*60*1000, max: 5,
+  message: { erro: 'Muitos pedidos de recuperação. Aguarde 1 hora.' }
+});
+const verificacaoLimiter = rateLimit({ windowMs: 60*60*1000, max: 3,
+  keyGenerator: req => 'verif_' + (req.user?.id || getIP(req)),
+  message: { erro: 'Muitos reenvios de verificação. Aguarde 1 hora.' }
+});
+const eventosLimiter = rateLimit({ windowMs: 60*1000, max: 60,
+  message: { erro: 'Muitos eventos. Aguarde 1 minuto.' }
+});
+// Busca pública: cada consulta roda distância de edição contra o catálogo todo
+const buscaLimiter   = rateLimit({ windowMs: 60*1000, max: 60,
+  message: { erro: 'Muitas buscas. Aguarde 1 minuto.' }
+});
 const iaLimiter      = rateLimit({ windowMs: 60*1000, max: 20,
   message: { erro: 'Limite de analise IA atingido. Aguarde 1 minuto.' }
 });
@@ -535,11 +967,65 @@ const isObjId = id  => mongoose.Types.ObjectId.isValid(id) && String(new mongoos
 const normTel = t   => String(t||'').replace(/\D/g,'');
 const horaAtual = () => new Date().toLocaleTimeString('pt-BR',{hour:'2-digit',minute:'2-digit'});
 const gerarSenha = (n=10) => crypto.randomBytes(16).toString('base64').replace(/[^a-zA-Z0-9]/g,'').substring(0,n);
+const sha256    = v   => crypto.createHash('sha256').update(String(v)).digest('hex');
 
 async function registrarLog(tipo, descricao, usuario='sistema', ip='') {
   try { await Log.create({ tipo, descricao, usuario, ip }); } catch(e) {}
 }
 
+// ── AUDITORIA ────────────────────────────────────────────
+const AUDITORIA_OCULTAR = ['senhaHash','senha','novaSenha','senhaDesejada','credenciais','token'];
+const AUDITORIA_TEXTO_MAX = 300; // corta base64 e textos longos nos snapshots
+
+function objetoAuditoria(doc) {
+  if (!doc) return null;
+  return JSON.parse(JSON.stringify(typeof doc.toObject === 'function' ? doc.toObject() : doc));
+}
+
+function ocultarAuditoria(obj) {
+  if (!obj || typeof obj !== 'object') return obj;
+  const out = {};
+  Object.entries(obj).forEach(([k, v]) => {
+    if (k === '__v') return;
+    if (AUDITORIA_OCULTAR.includes(k)) out[k] = '[oculto]';
+    else if (typeof v === 'string' && v.length > AUDITORIA_TEXTO_MAX) out[k] = v.slice(0, AUDITORIA_TEXTO_MAX) + '…';
+    else out[k] = v;
+  });
+  return out;
+}
+
+// Campos de primeiro nível que mudaram; segredos aparecem só como "[oculto]"
+function diffAuditoria(antes, depois) {
+  const a = antes || {}, d = depois || {};
+  const diff = [];
+  new Set([...Object.keys(a), ...Object.keys(d)]).forEach(campo => {
+    if (['__v','createdAt','updatedAt'].includes(campo)) return;
+    if (JSON.stringify(a[campo]) === JSON.stringify(d[campo])) return;
+    const oculto = AUDITORIA_OCULTAR.includes(campo);
+    diff.push({
+      campo,
+      antes:  oculto ? '[oculto]' : ocultarAuditoria({ v: a[campo] ?? null }).v,
+      depois: oculto ? '[oculto]' : ocultarAuditoria({ v: d[campo] ?? null }).v,
+    });
+  });
+  return diff;
+}
+
+// Registra uma mutação com snapshots antes/depois. Nunca lança — auditoria não derruba a rota.
+async function auditar(req, { acao, entidade = '', entidadeId = '', antes = null, depois = null }) {
+  req._auditado = true;
+  try {
+    const a = objetoAuditoria(antes), d = objetoAuditoria(depois);
+    await Auditoria.create({
+      ator: { id: String(req.user?.id || ''), usuario: req.user?.usuario || req.user?.login || 'anon', tipo: req.user?.tipo || 'anon' },
+      acao, metodo: req.method, rota: req.originalUrl, entidade,
+      entidadeId: String(entidadeId || a?._id || d?._id || ''),
+      antes: ocultarAuditoria(a), depois: ocultarAuditoria(d),
+      diff: diffAuditoria(a, d), ip: getIP(req),
+    });
+  } catch(e) { console.warn('[Auditoria] Erro ao registrar:', e.message); }
+}
+
 async function telNaBlacklist(telefone) {
   return Blacklist.findOne({ telefone: normTel(telefone), ativo: true, dataVencimento: { $gt: new Date() } });
 }
@@ -556,13 +1042,95 @@ async function enviarEmail(para, assunto, html) {
   } catch(e) { console.error('Email error:', e.message); return false; }
 }
 
+// Envia link assinado (JWT 48h) de confirmação de e-mail — o token carrega o e-mail,
+// então trocar o e-mail invalida links antigos
+async function enviarVerificacaoEmail(cliente) {
+  if (!cliente?.email) return false;
+  const token = jwt.sign({ id: cliente._id, email: cliente.email, tipo: 'verificar_email' }, JWT_SECRET_VERIFICACAO, { expiresIn: '48h' });
+  const link = `${APP_URL}/api/auth/verificar-email?token=${encodeURIComponent(token)}`;
+  return enviarEmail(cliente.email, '📧 PreçoCerto — Confirme seu e-mail',
+    `<h2>Olá, ${cliente.nome}!</h2>
+     <p>Confirme que este e-mail pertence à conta <b>${cliente.login}</b> no PreçoCerto:</p>
+     <p><a href="${link}">Confirmar meu e-mail</a></p>
+     <p>O link vale por 48 horas.</p>`
+  );
+}
+
+// Publica um preço: atualiza o Preco vigente e anexa a observação ao histórico
+async function publicarPreco({ produtoId, mercadoId, preco, fonte='admin', autor='Admin' }) {
+  const entry = { produtoId, mercadoId, preco: parseFloat(preco), fonte, autor, dataAtu: new Date().toLocaleDateString('pt-BR') };
+  const p = await Preco.findOneAndUpdate({ produtoId, mercadoId }, entry, { upsert:true, new:true });
+  await PrecoHistorico.create(entry).catch(e => console.warn('[Histórico] Erro ao registrar:', e.message));
+  verificarAlertasPreco(produtoId, mercadoId);
+  return p;
+}
+
+// ── SANIDADE DE PREÇOS ───────────────────────────────────
+// Compara um preço novo com a distribuição recente do produto em todos os mercados.
+// Suspeito = fator ≥ SANIDADE_FATOR em relação à mediana (ex.: 459,00 no lugar de 4,59),
+// ou desvio robusto (MAD) ≥ SANIDADE_Z quando há amostra suficiente. Suspeitos vão para revisão.
+const SANIDADE_DIAS         = 90;
+const SANIDADE_MIN_AMOSTRAS = 3;
+const SANIDADE_FATOR        = 3;
+const SANIDADE_Z            = 6;
+
+function mediana(vals) {
+  const v = [...vals].sort((a, b) => a - b);
+  const m = Math.floor(v.length / 2);
+  return v.length % 2 ? v[m] : (v[m - 1] + v[m]) / 2;
+}
+
+const fmtBRL = v => 'R$ ' + Number(v).toFixed(2).replace('.', ',');
+
+// Retorna null (preço plausível ou sem base de comparação) ou { motivo, mediana, fator, amostras }.
+// Nunca lança: falha na consulta não pode travar a publicação.
+async function avaliarPreco(produtoId, preco) {
+  try {
+    const valor = parseFloat(preco);
+    if (!isObjId(String(produtoId)) || !(valor > 0)) return null;
+    const desde = new Date(Date.now() - SANIDADE_DIAS*24*60*60*1000);
+    let amostras = (await PrecoHistorico.find({ produtoId, createdAt: { $gte: desde } })
+      .sort({ createdAt:-1 }).limit(300).select('preco').lean()).map(h => h.preco);
+    // Histórico curto (produto novo ou migrado): usa os preços vigentes
+    if (amostras.length < SANIDADE_MIN_AMOSTRAS) {
+      amostras = amostras.concat((await Preco.find({ produtoId }).select('preco').lean()).map(p => p.preco));
+    }
+    amostras = amostras.filter(v => v > 0);
+    if (amostras.length < SANIDADE_MIN_AMOSTRAS) return null;
+
+    const med = mediana(amostras);
+    const acima = valor >= med;
+    const fator = acima ? valor / med : med / valor;
+    const suspeita = (motivo) => ({ motivo, mediana: Math.round(med*100)/100, fator: Math.round(fator*10)/10, amostras: amostras.length });
+    const vezes = fator >= 10 ? Math.round(fator) : Math.round(fator*10)/10;
+    if (fator >= SANIDADE_FATOR) {
+      return suspeita(`${String(vezes).replace('.', ',')}x ${acima ? 'acima' : 'abaixo'} da mediana (${fmtBRL(med)})`);
+    }
+    // Produtos de preço estável: desvio pequeno em valor absoluto ainda pode ser erro de digitação
+    if (amostras.length >= 8 && fator >= 1.5) {
+      const mad = mediana(amostras.map(v => Math.abs(v - med)));
+      const z = mad > 0 ? 0.6745 * Math.abs(valor - med) / mad : Infinity;
+      if (z >= SANIDADE_Z) return suspeita(`muito ${acima ? 'acima' : 'abaixo'} do padrão do produto (mediana ${fmtBRL(med)}, ${amostras.length} preços)`);
+    }
+    return null;
+  } catch(e) {
+    console.warn('[Sanidade] Erro ao avaliar preço:', e.message);
+    return null;
+  }
+}
+
 // ═══════════════════════════════════════════════════════════
 // AUTH MIDDLEWARES
 // ═══════════════════════════════════════════════════════════
 function authMiddleware(req, res, next) {
   const token = req.headers.authorization?.split(' ')[1];
   if (!token) return res.status(401).json({ erro: 'Token não fornecido' });
-  try { req.user = jwt.verify(token, JWT_SECRET); next(); }
+  try {
+    req.user = jwt.verify(token, JWT_SECRET);
+    // Links de verificação assinados com a chave antiga carregam id — não são sessão
+    if (req.user.tipo === 'verificar_email') throw new Error('token de verificação');
+    next();
+  }
   catch { res.status(401).json({ erro: 'Sessão expirada — faça login novamente' }); }
 }
 
@@ -573,6 +1141,90 @@ function adminAuth(req, res, next) {
   });
 }
 
+// ── PERMISSÕES DE ADMIN ──────────────────────────────────
+// Matriz nível → permissões. Toda rota de admin declara a permissão que exige via requirePerm().
+const NIVEIS_ADMIN = ['super', 'admin', 'moderador'];
+const TODOS_NIVEIS = NIVEIS_ADMIN;
+const GESTAO       = ['super', 'admin'];
+const SO_SUPER     = ['super'];
+const PERMISSOES = {
+  'painel:ver':             TODOS_NIVEIS, // leituras gerais do painel
+  'ia:usar':                TODOS_NIVEIS, // análise de fotos, fila IA, QR notas
+  'ia:gerenciar':           GESTAO,       // apagar itens da fila / QR notas, relatório de uso
+  'contribuicoes:moderar':  TODOS_NIVEIS,
+  'suporte:atender':        TODOS_NIVEIS, // ocorrências e chats
+  'clientes:ver':           TODOS_NIVEIS,
+  'clientes:moderar':       TODOS_NIVEIS, // bloquear, desbloquear, zerar erros
+  'clientes:editar':        GESTAO,       // dados pessoais e senha
+  'clientes:excluir':       GESTAO,
+  'precos:editar':          GESTAO,
+  'promocoes:editar':       GESTAO,
+  'impulsionamentos:gerenciar': GESTAO,
+  'catalogo:editar':        GESTAO,       // produtos, consolidação, emojis
+  'catalogo:reset':         SO_SUPER,     // seed, limpezas em massa, deduplicação
+  'mercados:editar':        GESTAO,
+  'mercados:excluir':       SO_SUPER,
+  'solicitacoes:gerenciar': GESTAO,
+  'blacklist:gerenciar':    GESTAO,
+  'push:enviar':            GESTAO,
+  'propagandas:gerenciar':  GESTAO,
+  'logs:ver':               GESTAO,
+  'logs:limpar':            SO_SUPER,
+  'auditoria:ver':          SO_SUPER,
+  'config:editar':          SO_SUPER,
+  'admins:ver':             GESTAO,
+  'admins:gerenciar':       SO_SUPER,
+};
+
+function permissoesDoNivel(nivel) {
+  return Object.keys(PERMISSOES).filter(p => PERMISSOES[p].includes(nivel));
+}
+
+// Middleware: exige admin com a permissão. O nível vem do banco (não do token) para que
+// rebaixar ou desativar um admin valha na hora, sem esperar o JWT de 12h expirar.
+function requirePerm(perm) {
+  if (!PERMISSOES[perm]) throw new Error('Permissão desconhecida: ' + perm);
+  return (req, res, next) => adminAuth(req, res, async () => {
+    try {
+      const a = await Admin.findById(req.user.id).select('nivel ativo').lean();
+      if (!a || a.ativo === false) return res.status(401).json({ erro: 'Sessão expirada — faça login novamente' });
+      req.user.nivel = a.nivel || 'admin';
+      if (!PERMISSOES[perm].includes(req.user.nivel))
+        return res.status(403).json({ erro: 'Seu nível de acesso não permite esta ação', permissao: perm });
+      next();
+    } catch(e) { res.status(500).json({ erro: e.message }); }
+  });
+}
+
+// Aceita mercado (dono do recurso, checado na rota) ou admin com a permissão
+function adminComPermOuMercado(perm) {
+  const checarAdmin = requirePerm(perm);
+  return (req, res, next) => authMiddleware(req, res, () => {
+    if (req.user.tipo === 'mercado') return next();
+    if (req.user.tipo === 'admin') return checarAdmin(req, res, next);
+    return res.status(403).json({ erro: 'Acesso negado' });
+  });
+}
+
+// Qualquer conta logada; admin só com a permissão (nível e ativo checados no banco, como em requirePerm)
+function permSeAdmin(perm) {
+  const checarAdmin = requirePerm(perm);
+  return (req, res, next) => authMiddleware(req, res, () => {
+    if (req.user.tipo === 'admin') return checarAdmin(req, res, next);
+    next();
+  });
+}
+
+// Aceita cliente (dono do recurso e reputação checados na rota) ou admin com a permissão
+function adminComPermOuCliente(perm) {
+  const checarAdmin = requirePerm(perm);
+  return (req, res, next) => authMiddleware(req, res, () => {
+    if (req.user.tipo === 'cliente') return next();
+    if (req.user.tipo === 'admin') return checarAdmin(req, res, next);
+    return res.status(403).json({ erro: 'Acesso negado' });
+  });
+}
+
 // ═══════════════════════════════════════════════════════════
 // SEED INICIAL (roda quando banco está vazio)
 // ═══════════════════════════════════════════════════════════
@@ -586,13 +1238,20 @@ async function seedInicial() {
       });
       console.log('✅ Admin criado: admin / Deusdaminhavida4321');
     }
+    // Nível 'editor' do formulário antigo não existe na matriz de permissões (todo requirePerm dava 403):
+    // vira moderador — o nível de menor acesso; o super promove se for o caso
+    const editores = await Admin.updateMany({ nivel: 'editor' }, { nivel: 'moderador' });
+    if (editores.modifiedCount) console.log(`✅ Admins 'editor' passados a moderador: ${editores.modifiedCount}`);
 
     // Configs padrão
     const configs = [
       { chave:'cidade',       valor:'Piatã' },
       { chave:'estado',       valor:'BA' },
       { chave:'whatsapp',     valor:'5575999999999' },
-      { chave:'precos_planos', valor:{ basico:39.90, pro:69.90, premium:119.90 } }
+      { chave:'precos_planos', valor:{ basico:39.90, pro:69.90, premium:119.90 } },
+      { chave:'reputacao',     valor:REPUTACAO_PADRAO },
+      { chave:'cotas_ia',      valor:COTAS_IA_PADRAO },
+      { chave:'cache_ia',      valor:CACHE_IA_PADRAO }
     ];
     for (const c of configs) {
       await Config.findOneAndUpdate({ chave: c.chave }, { $setOnInsert: { valor: c.valor } }, { upsert: true });
@@ -609,6 +1268,17 @@ async function seedInicial() {
       const totalAtivos = await Produto.countDocuments({ ativo: true });
       console.log(`✅ Catálogo OK: ${totalAtivos} produtos ativos no banco`);
     }
+    if (await Sinonimo.estimatedDocumentCount() === 0) {
+      await Sinonimo.insertMany(SINONIMOS_PADRAO.map(termos => ({ termos, criadoPor: 'sistema' })));
+    }
+
+    // Pedidos de produto antigos (gravados como Log) passam para a coleção própria
+    const migrados = await migrarSolicitacoesLog();
+    if (migrados) console.log(`✅ Solicitações de produto migradas dos logs: ${migrados}`);
+
+    // Medida da embalagem (quantidade + unidade) para produtos antigos, extraída do nome
+    const medidas = await preencherMedidas();
+    if (medidas.atualizados) console.log(`✅ Medidas preenchidas: ${medidas.atualizados} produto(s)`);
 
     // Mercados demo — APENAS se banco completamente vazio E variável de ambiente SEED_DEMO=true
     // NUNCA inserir automaticamente em produção — protege dados reais
@@ -623,6 +1293,18 @@ async function seedInicial() {
       console.log('[Seed] Mercados no banco: ' + totalMercados + ' — seed demo ignorado');
     }
 
+    // Histórico de preços: na primeira subida, cada Preco vigente vira a observação inicial
+    if (await PrecoHistorico.estimatedDocumentCount() === 0) {
+      const vigentes = await Preco.find({}, 'produtoId mercadoId preco fonte autor dataAtu updatedAt').lean();
+      if (vigentes.length) {
+        await PrecoHistorico.insertMany(vigentes.map(p => ({
+          produtoId: p.produtoId, mercadoId: p.mercadoId, preco: p.preco, fonte: p.fonte, autor: p.autor,
+          dataAtu: p.dataAtu, createdAt: p.updatedAt, updatedAt: p.updatedAt,
+        })), { ordered: false }).catch(()=>{});
+        console.log(`✅ Histórico de preços iniciado com ${vigentes.length} observações`);
+      }
+    }
+
     // Limpar blacklist vencida inicial
     await Blacklist.updateMany({ dataVencimento: { $lte: new Date() }, ativo: true }, { ativo: false });
 
@@ -1071,98 +1753,226 @@ app.get('/api/health', (req, res) => {
   res.json({ status:'ok', app:'PreçoCerto', versao:'8.0.0', db: mongoose.connection.readyState===1 ? 'conectado':'desconectado', ts: new Date().toISOString() });
 });
 
-// ── IA PROXY (Gemini) ────────────────────────────────────
-app.post('/api/ia/analisar', iaLimiter, async (req, res) => {
-  if (!GEMINI_KEY) return res.status(503).json({ erro:'IA não configurada. Adicione GEMINI_API_KEY nas variáveis de ambiente do Render.' });
-  const { imageBase64, mediaType, prompt } = req.body;
-  if (!prompt) return res.status(400).json({ erro:'prompt obrigatório' });
-  try {
-    // ── Verifica cache de imagem (evita chamar IA para a mesma foto) ──
-    if (imageBase64) {
-      const hash = hashBase64Leve(imageBase64);
-      const cached = await CacheIA.findOne({ hashImagem: hash }).catch(()=>null);
-      if (cached && cached.resultado) {
-        await CacheIA.updateOne({ _id: cached._id }, { $inc: { usos: 1 }, $set: { expiraEm: new Date(Date.now()+90*24*60*60*1000) } }).catch(()=>{}); // Renova TTL 90 dias a cada uso
-        const textoCache = typeof cached.resultado === 'string'
-          ? cached.resultado
-          : JSON.stringify(cached.resultado);
-        console.log(`[CacheIA] Hit! hash=${hash} usos=${cached.usos+1}`);
-        return res.json({ texto: textoCache, cache: true });
-      }
-    }
+// ── COTAS E USO DA IA ────────────────────────────────────
+// Chamadas cobradas por dia; mercado pelo plano. null = sem limite. Ajustável em Config 'cotas_ia'.
+const COTAS_IA_PADRAO = { cliente: 20, admin: 500, mercado: { basico: 10, pro: 40, premium: 150 } };
 
-    const parts = [];
-    if (imageBase64) parts.push({ inlineData:{ mimeType: mediaType||'image/jpeg', data: imageBase64 } });
-    parts.push({ text: prompt });
+async function configCotasIA() {
+  const cfg = await Config.findOne({ chave: 'cotas_ia' }).lean().catch(() => null);
+  const v = cfg?.valor || {};
+  return { ...COTAS_IA_PADRAO, ...v, mercado: { ...COTAS_IA_PADRAO.mercado, ...(v.mercado || {}) } };
+}
 
-    // Cadeia de fallback ampla: tenta vários modelos do Gemini
-    // Ordena por estabilidade com imagens: 1.5-flash é o mais testado, 2.0-flash tem boa visão
-    const modelos = ['gemini-2.5-flash-preview-04-17', 'gemini-2.5-flash'];
-    let ultimoErro = '';
-    let quotaExceeded = false;
-    for (const modelo of modelos) {
-      try {
-        const r = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${modelo}:generateContent?key=${GEMINI_KEY}`, {
-          method:'POST', headers:{'Content-Type':'application/json'},
-          body: JSON.stringify({ contents:[{parts}], generationConfig:{ temperature:0.05, maxOutputTokens:8192 } })
-        });
-        const d = await r.json();
-        if (d.error) {
-          ultimoErro = d.error.message || JSON.stringify(d.error);
-          // Se é erro de quota, marca e tenta próximo modelo
-          if (ultimoErro.toLowerCase().includes('quota') || ultimoErro.toLowerCase().includes('rate') || r.status === 429) {
-            quotaExceeded = true;
-            console.warn(`[IA] Quota/rate limit no modelo ${modelo}, tentando próximo...`);
-            continue;
-          }
-          // Outros erros: tenta próximo modelo
-          console.warn(`[IA] Erro no modelo ${modelo}: ${ultimoErro}`);
-          continue;
-        }
-        // Extrai texto — tenta múltiplos caminhos da resposta do Gemini
-        let texto = d.candidates?.[0]?.content?.parts?.[0]?.text || '';
-        if (!texto) {
-          // Tenta outras partes da resposta
-          const parts2 = d.candidates?.[0]?.content?.parts || [];
-          texto = parts2.map(p => p.text || '').join('').trim();
-        }
-        if (!texto) {
-          const finishReason = d.candidates?.[0]?.finishReason;
-          ultimoErro = `Resposta vazia do modelo ${modelo} (finishReason: ${finishReason || 'unknown'})`;
-          console.warn('[IA]', ultimoErro, '| promptFeedback:', JSON.stringify(d.promptFeedback));
-          continue;
-        }
-        // Log dos primeiros 400 chars da resposta para debug
-        console.log('[IA]['+modelo+'] resposta ('+texto.length+' chars):', texto.slice(0,400));
-        // Salva no cache se veio com imagem
-        if (imageBase64) {
-          const hash = hashBase64Leve(imageBase64);
-          CacheIA.findOneAndUpdate(
-            { hashImagem: hash },
-            { hashImagem: hash, resultado: texto, usos: 1, expiraEm: new Date(Date.now()+90*24*60*60*1000) },
-            { upsert: true }
-          ).catch(()=>{});
-        }
-        return res.json({ texto, modelo });
-      } catch(fetchErr) {
-        ultimoErro = fetchErr.message || 'Erro de conexão';
-        console.warn(`[IA] Fetch erro no modelo ${modelo}: ${ultimoErro}`);
-        continue;
-      }
+// Conta dona do uso a partir do token; mercado sem plano conhecido cai no básico
+async function contaUsoIA(user) {
+  const cotas = await configCotasIA();
+  if (user.tipo === 'cliente') return { tipo: 'cliente', contaId: user.id, login: user.login || '', limite: cotas.cliente };
+  if (user.tipo === 'admin')   return { tipo: 'admin', contaId: user.id, login: user.usuario || '', limite: cotas.admin };
+  if (user.tipo === 'mercado' && isObjId(String(user.mercadoId))) {
+    const merc = await Mercado.findById(user.mercadoId).select('plano').lean();
+    const planoNorm = (merc?.plano||'').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g,'');
+    const plano = Object.hasOwn(cotas.mercado, planoNorm) ? planoNorm : 'basico';
+    return { tipo: 'mercado', contaId: user.mercadoId, login: user.usuario || '', plano, limite: cotas.mercado[plano] };
+  }
+  return null;
+}
+
+async function usoIAHoje(conta) {
+  const linhas = await UsoIA.find({ dia: diaChave(new Date()), tipo: conta.tipo, contaId: conta.contaId }).lean();
+  const soma = campo => linhas.reduce((s, l) => s + (l[campo] || 0), 0);
+  // usadas = reservas da cota; linhas de antes da reserva só têm chamadas
+  return { chamadas: soma('chamadas'), usadas: Math.max(soma('chamadas'), soma('reservadas')), imagens: soma('imagens'), cacheHits: soma('cacheHits'), falhas: soma('falhas') };
+}
+
+function resumoCotaIA(conta, uso) {
+  return {
+    tipo: conta.tipo, plano: conta.plano || null, dia: diaChave(new Date()),
+    limite: conta.limite, usadas: uso.usadas, cacheHits: uso.cacheHits,
+    restantes: conta.limite == null ? null : Math.max(0, conta.limite - uso.usadas),
+  };
+}
+
+function msgCotaEsgotada(conta) {
+  return `Cota diária de IA esgotada (${conta.limite} análises). Ela renova à meia-noite — até lá, use a aba Manual para lançar preços.`;
+}
+
+// Middleware (depois de authMiddleware/requirePerm): barra quem já gastou a cota do dia
+async function cotaIA(req, res, next) {
+  try {
+    const conta = await contaUsoIA(req.user);
+    if (!conta) return res.status(403).json({ erro: 'Conta sem acesso à IA' });
+    const uso = await usoIAHoje(conta);
+    if (conta.limite != null && uso.usadas >= conta.limite) {
+      return res.status(429).json({ erro: msgCotaEsgotada(conta), cota: resumoCotaIA(conta, uso) });
     }
-    // Mensagem amigável dependendo do tipo de erro
-    if (quotaExceeded) {
-      return res.status(429).json({ erro: 'Limite de uso da IA atingido. Tente novamente em alguns minutos. Dica: use a aba Manual para lançar preços enquanto isso.' });
+    req.contaIA = { ...conta, usadas: uso.usadas };
+    next();
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+}
+
+// Soma uma chamada no contador do dia; conta null = uso interno (fila IA, classificação)
+function registrarUsoIA(conta, { imagens = 0, modelo = '', cache = false, similar = false, consultouCache = false, falhou = false } = {}) {
+  const c = conta || { tipo: 'sistema', contaId: null, login: '' };
+  const cobrada = !cache && !falhou;
+  return UsoIA.updateOne(
+    { dia: diaChave(new Date()), tipo: c.tipo, contaId: c.contaId, modelo: cobrada ? (modelo || '') : '' },
+    { $inc: {
+        chamadas: cobrada ? 1 : 0, imagens: cobrada ? imagens : 0, falhas: falhou ? 1 : 0,
+        cacheHits: cache ? 1 : 0, cacheSimilares: similar ? 1 : 0, cacheConsultas: consultouCache ? 1 : 0,
+      }, $set: { login: c.login || '' } },
+    { upsert: true }
+  ).catch(e => console.warn('[UsoIA]', e.message));
+}
+
+// Toma uma unidade da cota antes de chamar a IA. Checagem e $inc no mesmo update, então requisições
+// paralelas não passam todas; sem linha que case, o upsert bate no índice único (11000) — cota esgotada,
+// ou outra requisição acabou de criar a linha do dia, daí a segunda tentativa.
+async function reservarCotaIA(conta) {
+  if (conta.limite <= 0) return false;
+  const filtro = { dia: diaChave(new Date()), tipo: conta.tipo, contaId: conta.contaId, modelo: '' };
+  for (let tentativa = 0; tentativa < 2; tentativa++) {
+    try {
+      const linha = await UsoIA.findOneAndUpdate(
+        { ...filtro, reservadas: { $not: { $gte: conta.limite } } },
+        { $inc: { reservadas: 1 }, $set: { login: conta.login || '' } },
+        { upsert: true, new: true }
+      ).lean();
+      conta.usadas = linha.reservadas;
+      return true;
+    } catch(e) {
+      if (e.code !== 11000) throw e;
     }
-    return res.status(500).json({ erro: `Gemini retornou erro: ${ultimoErro}` });
+  }
+  return false;
+}
+
+// Devolve a unidade reservada quando a IA não foi cobrada (cache ou falha)
+function liberarCotaIA(conta) {
+  conta.usadas = Math.max(0, (conta.usadas || 0) - 1);
+  return UsoIA.updateOne(
+    { dia: diaChave(new Date()), tipo: conta.tipo, contaId: conta.contaId, modelo: '', reservadas: { $gt: 0 } },
+    { $inc: { reservadas: -1 } }
+  ).catch(e => console.warn('[UsoIA]', e.message));
+}
+
+// ia.gerar() contabilizado na conta; erros de validação/configuração não contam como falha
+async function gerarIA(conta, opcoes) {
+  const consultouCache = !!(opcoes.usarCache && opcoes.imagens?.length);
+  const reservou = conta?.limite != null;
+  if (reservou && !(await reservarCotaIA(conta))) {
+    const err = new Error(msgCotaEsgotada(conta));
+    err.status = 429;
+    err.cota = resumoCotaIA(conta, await usoIAHoje(conta));
+    throw err;
+  }
+  try {
+    const r = await ia.gerar(opcoes);
+    registrarUsoIA(conta, { imagens: (opcoes.imagens || []).length, modelo: r.modelo, cache: r.cache, similar: r.distancia != null, consultouCache });
+    if (reservou && r.cache) liberarCotaIA(conta);
+    return r;
+  } catch(e) {
+    if (reservou) liberarCotaIA(conta);
+    if (e.status !== 400 && e.status !== 503) registrarUsoIA(conta, { falhou: true, consultouCache });
+    throw e;
+  }
+}
+
+// Cota restante para a resposta das rotas de análise
+function cotaResposta(conta) {
+  if (!conta || conta.limite == null) return undefined;
+  return { limite: conta.limite, restantes: Math.max(0, conta.limite - conta.usadas) };
+}
+
+// Cliente, mercado ou admin: quanto da cota de IA de hoje ainda resta
+app.get('/api/ia/cota', authMiddleware, async (req, res) => {
+  try {
+    const conta = await contaUsoIA(req.user);
+    if (!conta) return res.status(403).json({ erro: 'Conta sem acesso à IA' });
+    res.json(resumoCotaIA(conta, await usoIAHoje(conta)));
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Relatório de uso para prever a conta do Gemini: série diária, por tipo de conta, por modelo e maiores consumidores
+app.get('/api/admin/ia/uso', requirePerm('ia:gerenciar'), async (req, res) => {
+  try {
+    const dias = Math.min(Math.max(parseInt(req.query.dias) || 30, 1), USO_IA_DIAS_MAX);
+    const chaves = [];
+    for (let i = dias - 1; i >= 0; i--) chaves.push(diaChave(new Date(Date.now() - i * 24 * 60 * 60 * 1000)));
+    const linhas = await UsoIA.find({ dia: { $gte: chaves[0] } }).lean();
+
+    const vazio = () => ({ chamadas: 0, imagens: 0, cacheHits: 0, falhas: 0 });
+    const somar = (alvo, l) => { for (const k of Object.keys(vazio())) alvo[k] += l[k] || 0; return alvo; };
+    const totais = vazio();
+    const porDia = new Map(chaves.map(d => [d, { dia: d, ...vazio() }]));
+    const porTipo = {}, porModelo = {}, porConta = new Map();
+    linhas.forEach(l => {
+      somar(totais, l);
+      if (porDia.has(l.dia)) somar(porDia.get(l.dia), l);
+      somar(porTipo[l.tipo] || (porTipo[l.tipo] = vazio()), l);
+      if (l.modelo) porModelo[l.modelo] = (porModelo[l.modelo] || 0) + l.chamadas;
+      const k = l.tipo + '|' + (l.contaId || '');
+      if (!porConta.has(k)) porConta.set(k, { tipo: l.tipo, contaId: l.contaId, login: l.login, ...vazio() });
+      somar(porConta.get(k), l);
+    });
+
+    const topContas = [...porConta.values()].sort((a, b) => b.chamadas - a.chamadas).slice(0, 20);
+    const idsMerc = topContas.filter(c => c.tipo === 'mercado').map(c => c.contaId);
+    const mercs = new Map((await Mercado.find({ _id: { $in: idsMerc } }).select('nome').lean()).map(m => [String(m._id), m.nome]));
+    topContas.forEach(c => { if (c.tipo === 'mercado') c.nome = mercs.get(String(c.contaId)) || c.login; });
+
+    res.json({ dias, cotas: await configCotasIA(), totais, serie: [...porDia.values()], porTipo, porModelo, topContas });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Taxa de acerto do CacheIA (exata e por foto parecida) e as entradas mais reaproveitadas
+app.get('/api/admin/ia/cache', requirePerm('ia:gerenciar'), async (req, res) => {
+  try {
+    const dias = Math.min(Math.max(parseInt(req.query.dias) || 30, 1), USO_IA_DIAS_MAX);
+    const chaves = [];
+    for (let i = dias - 1; i >= 0; i--) chaves.push(diaChave(new Date(Date.now() - i * 24 * 60 * 60 * 1000)));
+    const linhas = await UsoIA.find({ dia: { $gte: chaves[0] }, cacheConsultas: { $gt: 0 } })
+      .select('dia cacheConsultas cacheHits cacheSimilares').lean();
+
+    const porDia = new Map(chaves.map(d => [d, { dia: d, consultas: 0, hits: 0, similares: 0 }]));
+    const totais = { consultas: 0, hits: 0, similares: 0 };
+    linhas.forEach(l => {
+      const soma = alvo => { alvo.consultas += l.cacheConsultas; alvo.hits += l.cacheHits || 0; alvo.similares += l.cacheSimilares || 0; };
+      soma(totais);
+      if (porDia.has(l.dia)) soma(porDia.get(l.dia));
+    });
+    const taxa = (n, d) => d ? Math.round(n / d * 1000) / 10 : 0; // %
+
+    const [entradas, comDhash, maisUsadas] = await Promise.all([
+      CacheIA.countDocuments(),
+      CacheIA.countDocuments({ dhash: { $ne: null } }),
+      CacheIA.find({ usos: { $gt: 1 } }).sort({ usos: -1 }).limit(10).select('hashImagem dhash usos usosSimilares createdAt').lean(),
+    ]);
+    res.json({
+      dias, config: await configCacheIA(),
+      totais: { ...totais, exatos: totais.hits - totais.similares, taxaAcerto: taxa(totais.hits, totais.consultas), taxaSimilares: taxa(totais.similares, totais.consultas) },
+      serie: [...porDia.values()].map(d => ({ ...d, taxaAcerto: taxa(d.hits, d.consultas) })),
+      entradas, comDhash,
+      maisUsadas: maisUsadas.map(c => ({ hash: c.hashImagem.slice(0, 12), dhash: c.dhash, acertos: c.usos - 1, similares: c.usosSimilares || 0, criadoEm: c.createdAt })),
+    });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
+// ── IA PROXY (Gemini) ────────────────────────────────────
+app.post('/api/ia/analisar', iaLimiter, authMiddleware, cotaIA, async (req, res) => {
+  const { imageBase64, mediaType, prompt } = req.body;
+  try {
+    // Cache de imagem evita chamar a IA para a mesma foto
+    const r = await gerarIA(req.contaIA, { prompt, imagens: imageBase64 ? [{ base64: imageBase64, mediaType }] : [], usarCache: true });
+    const cota = cotaResposta(req.contaIA);
+    res.json(r.cache ? { texto: r.texto, cache: true, cota } : { texto: r.texto, modelo: r.modelo, cota });
+  } catch(e) { res.status(e.status || 500).json({ erro: e.message, cota: e.cota }); }
+});
+
 // ── CONFIG ───────────────────────────────────────────────
 
 // ─── Rota multipart para iOS PWA (evita 'Load failed' com JSON grande) ────────
-app.post('/api/ia/analisar-form', iaLimiter, async (req, res) => {
-  if (!GEMINI_KEY) return res.status(503).json({ erro:'IA não configurada.' });
+app.post('/api/ia/analisar-form', iaLimiter, authMiddleware, cotaIA, async (req, res) => {
+  if (!ia.configurada) return res.status(503).json({ erro:'IA não configurada.' });
   try {
     const chunks = [];
     req.on('data', c => chunks.push(c));
@@ -1194,141 +2004,34 @@ app.post('/api/ia/analisar-form', iaLimiter, async (req, res) => {
       imageBase64 = parts2['imageBase64'];
       mediaType = parts2['mediaType'] || 'image/jpeg';
     }
-    const iaParts = [];
-    if (imageBase64) iaParts.push({ inlineData: { mimeType: mediaType, data: imageBase64 } });
-    iaParts.push({ text: prompt });
-    const modelos = ['gemini-2.5-flash-preview-04-17', 'gemini-2.5-flash'];
-    let ultimoErro = '';
-    for (const modelo of modelos) {
-      try {
-        const r = await fetch('https://generativelanguage.googleapis.com/v1beta/models/'+modelo+':generateContent?key='+GEMINI_KEY, {
-          method:'POST', headers:{'Content-Type':'application/json'},
-          body: JSON.stringify({ contents:[{parts:iaParts}], generationConfig:{ temperature:0.05, maxOutputTokens:8192 } }),
-          signal: AbortSignal.timeout(25000)
-        });
-        const d = await r.json();
-        if (d.error) { ultimoErro = d.error.message||''; continue; }
-        const texto = d.candidates?.[0]?.content?.parts?.[0]?.text || '';
-        if (texto) return res.json({ texto });
-      } catch(e){ ultimoErro = e.message; }
-    }
-    return res.status(500).json({ erro: ultimoErro || 'Todos os modelos falharam' });
+    const r = await gerarIA(req.contaIA, { prompt, imagens: imageBase64 ? [{ base64: imageBase64, mediaType }] : [], rotulo: 'IA form' });
+    return res.json({ texto: r.texto, cota: cotaResposta(req.contaIA) });
   } catch(e) {
     console.error('[IA form]', e.message);
-    return res.status(500).json({ erro: e.message });
+    return res.status(e.status || 500).json({ erro: e.message, cota: e.cota });
   }
 });
 
 
 // ─── IA Multi-imagem: recebe várias fotos, 1 chamada ao Gemini ────────────────
-app.post('/api/ia/analisar-multi', iaLimiter, async (req, res) => {
-  if (!GEMINI_KEY) return res.status(503).json({ erro: 'IA não configurada.' });
+app.post('/api/ia/analisar-multi', iaLimiter, authMiddleware, cotaIA, async (req, res) => {
   const { prompt, imagens } = req.body;
-  if (!prompt) return res.status(400).json({ erro: 'prompt obrigatorio' });
   if (!imagens || !imagens.length) return res.status(400).json({ erro: 'imagens obrigatorio' });
-
   try {
-    // Monta parts com todas as imagens + prompt
-    const parts = [];
-    for (const img of imagens.slice(0, 6)) {
-      if (img.base64) {
-        parts.push({ inlineData: { mimeType: img.mediaType || 'image/jpeg', data: img.base64 } });
-      }
-    }
-    parts.push({ text: prompt });
-
-    const modelos = ['gemini-2.5-flash-preview-04-17', 'gemini-2.5-flash'];
-    let ultimoErro = '';
-    for (const modelo of modelos) {
-      try {
-        const r = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${modelo}:generateContent?key=${GEMINI_KEY}`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ contents: [{ parts }], generationConfig: { temperature: 0.05, maxOutputTokens: 8192 } })
-        });
-        const d = await r.json();
-        if (d.error) { ultimoErro = d.error.message || ''; continue; }
-        const texto = d.candidates?.[0]?.content?.parts?.[0]?.text || '';
-        if (texto) return res.json({ texto });
-      } catch(e) { ultimoErro = e.message; }
-    }
-    return res.status(500).json({ erro: ultimoErro || 'Gemini falhou' });
-  } catch(e) {
-    return res.status(500).json({ erro: e.message });
-  }
+    const fotos = imagens.slice(0, 6).filter(img => img.base64).map(img => ({ base64: img.base64, mediaType: img.mediaType }));
+    const r = await gerarIA(req.contaIA, { prompt, imagens: fotos, rotulo: 'IA multi' });
+    res.json({ texto: r.texto, cota: cotaResposta(req.contaIA) });
+  } catch(e) { res.status(e.status || 500).json({ erro: e.message, cota: e.cota }); }
 });
 
-app.post('/api/ia/analisar-admin', iaAdminLimiter, adminAuth, async (req, res) => {
-  if (!GEMINI_KEY) return res.status(503).json({ erro:'IA não configurada. Adicione GEMINI_API_KEY nas variáveis de ambiente do Render.' });
+app.post('/api/ia/analisar-admin', iaAdminLimiter, requirePerm('ia:usar'), cotaIA, async (req, res) => {
   const { imageBase64, mediaType, prompt } = req.body;
-  if (!prompt) return res.status(400).json({ erro:'prompt obrigatório' });
   try {
     // Cache também para admin (economiza cota)
-    if (imageBase64) {
-      const hash = hashBase64Leve(imageBase64);
-      const cached = await CacheIA.findOne({ hashImagem: hash }).catch(()=>null);
-      if (cached && cached.resultado) {
-        await CacheIA.updateOne({ _id: cached._id }, { $inc: { usos: 1 }, $set: { expiraEm: new Date(Date.now()+90*24*60*60*1000) } }).catch(()=>{}); // Renova TTL 90 dias a cada uso
-        const textoCache = typeof cached.resultado === 'string' ? cached.resultado : JSON.stringify(cached.resultado);
-        return res.json({ texto: textoCache, cache: true });
-      }
-    }
-    const parts = [];
-    if (imageBase64) parts.push({ inlineData:{ mimeType: mediaType||'image/jpeg', data: imageBase64 } });
-    parts.push({ text: prompt });
-
-    // Cadeia de fallback ampla: tenta vários modelos do Gemini
-    // Ordena por estabilidade com imagens: 1.5-flash é o mais testado, 2.0-flash tem boa visão
-    const modelos = ['gemini-2.5-flash-preview-04-17', 'gemini-2.5-flash'];
-    let ultimoErro = '';
-    let quotaExceeded = false;
-    for (const modelo of modelos) {
-      try {
-        const r = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${modelo}:generateContent?key=${GEMINI_KEY}`, {
-          method:'POST', headers:{'Content-Type':'application/json'},
-          body: JSON.stringify({ contents:[{parts}], generationConfig:{ temperature:0.05, maxOutputTokens:8192 } })
-        });
-        const d = await r.json();
-        if (d.error) {
-          ultimoErro = d.error.message || JSON.stringify(d.error);
-          // Se é erro de quota, marca e tenta próximo modelo
-          if (ultimoErro.toLowerCase().includes('quota') || ultimoErro.toLowerCase().includes('rate') || r.status === 429) {
-            quotaExceeded = true;
-            console.warn(`[IA] Quota/rate limit no modelo ${modelo}, tentando próximo...`);
-            continue;
-          }
-          // Outros erros: tenta próximo modelo
-          console.warn(`[IA] Erro no modelo ${modelo}: ${ultimoErro}`);
-          continue;
-        }
-        // Extrai texto — tenta múltiplos caminhos da resposta do Gemini
-        let texto = d.candidates?.[0]?.content?.parts?.[0]?.text || '';
-        if (!texto) {
-          // Tenta outras partes da resposta
-          const parts2 = d.candidates?.[0]?.content?.parts || [];
-          texto = parts2.map(p => p.text || '').join('').trim();
-        }
-        if (!texto) {
-          const finishReason = d.candidates?.[0]?.finishReason;
-          ultimoErro = `Resposta vazia do modelo ${modelo} (finishReason: ${finishReason || 'unknown'})`;
-          console.warn('[IA]', ultimoErro, '| promptFeedback:', JSON.stringify(d.promptFeedback));
-          continue;
-        }
-        // Log dos primeiros 400 chars da resposta para debug
-        console.log('[IA]['+modelo+'] resposta ('+texto.length+' chars):', texto.slice(0,400));
-        return res.json({ texto, modelo });
-      } catch(fetchErr) {
-        ultimoErro = fetchErr.message || 'Erro de conexão';
-        console.warn(`[IA] Fetch erro no modelo ${modelo}: ${ultimoErro}`);
-        continue;
-      }
-    }
-    // Mensagem amigável dependendo do tipo de erro
-    if (quotaExceeded) {
-      return res.status(429).json({ erro: 'Limite de uso da IA atingido. Tente novamente em alguns minutos. Dica: use a aba Manual para lançar preços enquanto isso.' });
-    }
-    return res.status(500).json({ erro: `Gemini retornou erro: ${ultimoErro}` });
-  } catch(e) { res.status(500).json({ erro: e.message }); }
+    const r = await gerarIA(req.contaIA, { prompt, imagens: imageBase64 ? [{ base64: imageBase64, mediaType }] : [], usarCache: true, rotulo: 'IA admin' });
+    const cota = cotaResposta(req.contaIA);
+    res.json(r.cache ? { texto: r.texto, cache: true, cota } : { texto: r.texto, modelo: r.modelo, cota });
+  } catch(e) { res.status(e.status || 500).json({ erro: e.message, cota: e.cota }); }
 });
 
 // ── CONFIG ───────────────────────────────────────────────
@@ -1340,10 +2043,29 @@ app.get('/api/config', async (req, res) => {
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.put('/api/config', adminAuth, async (req, res) => {
+app.put('/api/config', requirePerm('config:editar'), async (req, res) => {
   try {
     const { chave, valor } = req.body;
-    await Config.findOneAndUpdate({ chave }, { chave, valor }, { upsert: true });
+    if (chave === 'reputacao') {
+      const limiar = Number(valor?.limiarAutoAprovacao), amostra = Number(valor?.amostraRevisao);
+      if (!(limiar >= 0 && limiar <= 101) || !(amostra >= 0 && amostra <= 1))
+        return res.status(400).json({ erro:'reputacao: limiarAutoAprovacao entre 0 e 101 (101 desliga) e amostraRevisao entre 0 e 1' });
+    }
+    if (chave === 'cotas_ia') {
+      const cotaOk = v => v === null || (Number.isInteger(v) && v >= 0);
+      const planos = valor?.mercado || {};
+      if (!cotaOk(valor?.cliente ?? null) || !cotaOk(valor?.admin ?? null) || !Object.values(planos).every(cotaOk))
+        return res.status(400).json({ erro:'cotas_ia: { cliente, admin, mercado:{ basico, pro, premium } } com inteiros >= 0 (null = sem limite)' });
+    }
+    if (chave === 'cache_ia') {
+      const d = valor?.distanciaMax, janela = valor?.janelaSimilarHoras ?? CACHE_IA_PADRAO.janelaSimilarHoras;
+      if (!Number.isInteger(d) || d < 0 || d > hashImagem.DISTANCIA_MAX_BANDAS)
+        return res.status(400).json({ erro:`cache_ia: distanciaMax inteiro entre 0 e ${hashImagem.DISTANCIA_MAX_BANDAS}` });
+      if (typeof janela !== 'number' || !(janela > 0) || janela > CACHE_IA_JANELA_MAX_HORAS)
+        return res.status(400).json({ erro:`cache_ia: janelaSimilarHoras entre 0 e ${CACHE_IA_JANELA_MAX_HORAS}` });
+    }
+    const antes = await Config.findOneAndUpdate({ chave }, { chave, valor }, { upsert: true });
+    await auditar(req, { acao:'config.atualizar', entidade:'Config', entidadeId:chave, antes, depois:{ ...objetoAuditoria(antes), chave, valor } });
     res.json({ ok:true });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
@@ -1360,7 +2082,7 @@ app.post('/api/auth/login', loginLimiter, async (req, res) => {
     if (a && await bcrypt.compare(senha, a.senhaHash)) {
       const token = jwt.sign({ id: a._id, usuario: a.usuario, tipo: 'admin', nivel: a.nivel }, JWT_SECRET, { expiresIn: '12h' });
       await registrarLog('auth', `Admin ${login} logou`, login, getIP(req));
-      return res.json({ tipo: 'admin', token, nome: a.nome, nivel: a.nivel });
+      return res.json({ tipo: 'admin', token, nome: a.nome, nivel: a.nivel, permissoes: permissoesDoNivel(a.nivel) });
     }
 
     // 2. Tenta como Cliente
@@ -1370,6 +2092,7 @@ app.post('/api/auth/login', loginLimiter, async (req, res) => {
       if (c.bloqueado) return res.status(403).json({ erro: c.motivoBloqueio || 'Conta suspensa. Entre em contato com o suporte pelo chat.' });
       const token = jwt.sign({ id: c._id, login: c.login, tipo: 'cliente' }, JWT_SECRET, { expiresIn: '30d' });
       await registrarLog('auth', `Cliente ${c.login} logou`, c.login, getIP(req));
+      if (req.body.dispositivoToken) await mesclarListasDispositivo(c._id, req.body.dispositivoToken).catch(()=>{});
       return res.json({ tipo: 'cliente', token, nome: c.nome, login: c.login, bloqueado: c.bloqueado, motivoBloqueio: c.motivoBloqueio || '', emailVerificado: c.emailVerificado, bairro: c.bairro, telefone: c.telefone || '' });
     }
 
@@ -1387,7 +2110,7 @@ app.post('/api/auth/admin', loginLimiter, async (req, res) => {
       return res.status(401).json({ erro:'Usuário ou senha incorretos' });
     const token = jwt.sign({ id:a._id, usuario:a.usuario, tipo:'admin', nivel:a.nivel }, JWT_SECRET, { expiresIn:'12h' });
     await registrarLog('auth', `Admin ${usuario} logou`, usuario, getIP(req));
-    res.json({ token, nome:a.nome, nivel:a.nivel });
+    res.json({ token, nome:a.nome, nivel:a.nivel, permissoes:permissoesDoNivel(a.nivel) });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
@@ -1402,6 +2125,7 @@ app.post('/api/auth/cliente', loginLimiter, async (req, res) => {
     if (c.banPermanente) return res.status(403).json({ erro:'Conta banida permanentemente. Contacte o suporte.' });
     if (c.bloqueado) return res.status(403).json({ erro:'Conta bloqueada: ' + (c.motivoBloqueio||'Contacte o suporte') });
     const token = jwt.sign({ id:c._id, login:c.login, tipo:'cliente' }, JWT_SECRET, { expiresIn:'30d' });
+    if (req.body.dispositivoToken) await mesclarListasDispositivo(c._id, req.body.dispositivoToken).catch(()=>{});
     res.json({ token, nome:c.nome, login:c.login, bloqueado:c.bloqueado, emailVerificado:c.emailVerificado, bairro:c.bairro });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
@@ -1447,11 +2171,14 @@ app.post('/api/auth/cadastro', loginLimiter, async (req, res) => {
     }
     const c = await Cliente.create({
       nome, login: login.toLowerCase(), senhaHash: await bcrypt.hash(senha, 10),
-      email: emailNorm || null, telefone: telNorm, bairro: bairro||'', notifWhats: !!notifWhats, ip: getIP(req)
+      email: emailNorm || null, emailVerificado: !emailNorm, telefone: telNorm, bairro: bairro||'', notifWhats: !!notifWhats, ip: getIP(req)
     });
+    if (emailNorm) enviarVerificacaoEmail(c).catch(()=>{});
+    if (req.body.dispositivoToken) await mesclarListasDispositivo(c._id, req.body.dispositivoToken).catch(()=>{});
     const token = jwt.sign({ id:c._id, login:c.login, tipo:'cliente' }, JWT_SECRET, { expiresIn:'30d' });
     await registrarLog('cadastro', `Novo cliente: ${login}`, login, getIP(req));
-    res.status(201).json({ token, nome:c.nome, login:c.login, mensagem:'Conta criada com sucesso!' });
+    res.status(201).json({ token, nome:c.nome, login:c.login, emailVerificado:c.emailVerificado,
+      mensagem: emailNorm ? 'Conta criada! Enviamos um link de confirmação para o seu e-mail.' : 'Conta criada com sucesso!' });
   } catch(e) {
     // E11000 = índice único violado (email duplicado ou vazio com índice legado)
     if (e.code === 11000) {
@@ -1474,11 +2201,12 @@ app.get('/api/auth/me', authMiddleware, async (req, res) => {
     if (req.user.tipo === 'cliente') {
       const c = await Cliente.findById(req.user.id).select('-senhaHash');
       if (!c) return res.status(404).json({ erro:'Cliente não encontrado' });
-      res.json({ tipo:'cliente', login:c.login, nome:c.nome, email:c.email, telefone:c.telefone, bairro:c.bairro, bloqueado:c.bloqueado, emailVerificado:c.emailVerificado });
+      const r = calcularReputacao(c);
+      res.json({ tipo:'cliente', login:c.login, nome:c.nome, email:c.email, telefone:c.telefone, bairro:c.bairro, bloqueado:c.bloqueado, emailVerificado:c.emailVerificado, reputacao:{ pontos:r.pontos, nivel:r.nivel, nome:r.nome } });
     } else {
       const a = await Admin.findById(req.user.id).select('-senhaHash');
       if (!a) return res.status(404).json({ erro:'Admin não encontrado' });
-      res.json({ tipo:'admin', usuario:a.usuario, nome:a.nome, nivel:a.nivel });
+      res.json({ tipo:'admin', usuario:a.usuario, nome:a.nome, nivel:a.nivel, permissoes:permissoesDoNivel(a.nivel) });
     }
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
@@ -1501,48 +2229,146 @@ app.post('/api/auth/alterar-senha', authMiddleware, async (req, res) => {
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
+// ── RECUPERAR SENHA (cliente ou mercado, por e-mail) ─────
+const RESET_SENHA_TTL = 60 * 60 * 1000; // link vale 1h
+
+app.post('/api/auth/recuperar-senha', recuperarSenhaLimiter, async (req, res) => {
+  // Resposta sempre igual — não revela se o e-mail existe
+  const resposta = { mensagem:'Se o e-mail estiver cadastrado, você receberá um link para redefinir a senha.' };
+  try {
+    const email = String(req.body.email||'').trim().toLowerCase();
+    if (!email || !email.includes('@')) return res.status(400).json({ erro:'Informe um e-mail válido' });
+    // E-mails antigos foram gravados como digitados: compara sem caixa
+    const emailRe = new RegExp('^' + email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '$', 'i');
+    const [clientes, mercados] = await Promise.all([
+      Cliente.find({ email: emailRe }),
+      Mercado.find({ email: emailRe, ativo:true, usuario:{ $ne:null } }),
+    ]);
+    const contas = [
+      ...clientes.map(c => ({ tipoConta:'cliente', conta:c, nome:c.nome, login:c.login })),
+      ...mercados.map(m => ({ tipoConta:'mercado', conta:m, nome:m.nome, login:m.usuario })),
+    ];
+    for (const { tipoConta, conta, nome, login } of contas) {
+      // Pedido novo invalida links anteriores da mesma conta
+      await ResetSenha.deleteMany({ tipoConta, contaId:conta._id, usado:false });
+      const token = crypto.randomBytes(32).toString('hex');
+      await ResetSenha.create({ tokenHash:sha256(token), tipoConta, contaId:conta._id, ip:getIP(req), expiraEm:new Date(Date.now()+RESET_SENHA_TTL) });
+      const link = `${APP_URL}/?redefinir=${token}`;
+      await enviarEmail(email, '🔐 PreçoCerto — Redefinição de senha',
+        `<h2>Olá, ${nome}!</h2>
+         <p>Recebemos um pedido para redefinir a senha da conta <b>${login}</b>${tipoConta==='mercado'?' (Portal do Mercado)':''}.</p>
+         <p><a href="${link}">Clique aqui para criar uma nova senha</a></p>
+         <p>O link vale por 1 hora e só pode ser usado uma vez.</p>
+         <p><i>Se não foi você, ignore este e-mail — sua senha continua a mesma.</i></p>`
+      );
+      await registrarLog('auth', `Recuperação de senha solicitada: ${tipoConta} ${login}`, login, getIP(req));
+    }
+    if (!contas.length) await registrarLog('auth', `Recuperação de senha para e-mail não cadastrado: ${email}`, 'anon', getIP(req));
+    res.json(resposta);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.post('/api/auth/redefinir-senha', loginLimiter, async (req, res) => {
+  try {
+    const { token, novaSenha } = req.body;
+    if (!token || typeof token !== 'string') return res.status(400).json({ erro:'Token obrigatório' });
+    if (typeof novaSenha !== 'string' || novaSenha.length < 6) return res.status(400).json({ erro:'Nova senha deve ter mínimo 6 caracteres' });
+    // Marca como usado de forma atômica — o mesmo link não funciona duas vezes
+    const reset = await ResetSenha.findOneAndUpdate(
+      { tokenHash:sha256(token), usado:false, expiraEm:{ $gt:new Date() } },
+      { usado:true },
+      { new:true }
+    );
+    if (!reset) return res.status(400).json({ erro:'Link inválido ou expirado. Solicite uma nova recuperação de senha.' });
+    const Modelo = reset.tipoConta === 'mercado' ? Mercado : Cliente;
+    const conta = await Modelo.findByIdAndUpdate(reset.contaId, { senhaHash: await bcrypt.hash(novaSenha, 10) });
+    if (!conta) return res.status(404).json({ erro:'Conta não encontrada' });
+    const login = reset.tipoConta === 'mercado' ? conta.usuario : conta.login;
+    await registrarLog('auth', `Senha redefinida por link de recuperação: ${reset.tipoConta} ${login}`, login, getIP(req));
+    res.json({ mensagem:'Senha redefinida com sucesso! Faça login com a nova senha.', tipoConta: reset.tipoConta });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// ── VERIFICAÇÃO DE E-MAIL ────────────────────────────────
+// Aberto a partir do link do e-mail: confirma e redireciona para o app com o resultado
+app.get('/api/auth/verificar-email', async (req, res) => {
+  let resultado = 'erro';
+  try {
+    const dados = jwt.verify(String(req.query.token||''), JWT_SECRET_VERIFICACAO);
+    if (dados.tipo === 'verificar_email') {
+      const c = await Cliente.findOneAndUpdate({ _id: dados.id, email: dados.email }, { emailVerificado: true }, { new: true });
+      if (c) {
+        resultado = 'ok';
+        await registrarLog('auth', `E-mail verificado: ${c.login} (${c.email})`, c.login, getIP(req));
+      }
+    }
+  } catch(e) { resultado = e.name === 'TokenExpiredError' ? 'expirado' : 'erro'; }
+  res.redirect(`${APP_URL}/?emailVerificado=${resultado}`);
+});
+
+app.post('/api/auth/reenviar-verificacao', authMiddleware, verificacaoLimiter, async (req, res) => {
+  try {
+    if (req.user.tipo !== 'cliente') return res.status(403).json({ erro:'Apenas clientes' });
+    const c = await Cliente.findById(req.user.id);
+    if (!c) return res.status(404).json({ erro:'Cliente não encontrado' });
+    if (!c.email) return res.status(400).json({ erro:'Nenhum e-mail cadastrado na conta' });
+    if (c.emailVerificado) return res.json({ mensagem:'E-mail já verificado', emailVerificado:true });
+    await enviarVerificacaoEmail(c);
+    await registrarLog('auth', `Verificação de e-mail reenviada: ${c.login}`, c.login, getIP(req));
+    res.json({ mensagem:'E-mail de verificação reenviado' });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
 // ── MERCADOS ─────────────────────────────────────────────
 app.get('/api/mercados', async (req, res) => {
   try { res.json(await Mercado.find({ ativo:true }).select('-senhaHash')); }
   catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.post('/api/admin/mercados', adminAuth, async (req, res) => {
+app.post('/api/admin/mercados', requirePerm('mercados:editar'), async (req, res) => {
   try {
-    const { nome, icone, endereco, bairro, whatsapp, website, parceiro, plano, usuario, senha, lat, lng } = req.body;
+    const { nome, icone, endereco, bairro, whatsapp, email, website, parceiro, plano, usuario, senha, lat, lng } = req.body;
     if (!nome) return res.status(400).json({ erro:'Nome é obrigatório' });
-    const dados = { nome, icone:icone||'🏪', endereco:endereco||'', bairro:bairro||'Centro', cidade:req.body.cidade||'Piatã', estado:req.body.estado||'BA', whatsapp:whatsapp||'', website:website||null, parceiro:!!parceiro, plano:plano||null, lat: lat != null ? parseFloat(String(lat).replace(',','.')) || null : null, lng: lng != null ? parseFloat(String(lng).replace(',','.')) || null : null };
+    const dados = { nome, icone:icone||'🏪', endereco:endereco||'', bairro:bairro||'Centro', cidade:req.body.cidade||'Piatã', estado:req.body.estado||'BA', whatsapp:whatsapp||'', email:email||'', website:website||null, parceiro:!!parceiro, plano:plano||null, lat: lat != null ? parseFloat(String(lat).replace(',','.')) || null : null, lng: lng != null ? parseFloat(String(lng).replace(',','.')) || null : null };
     if (usuario) dados.usuario = usuario;
     if (senha)   dados.senhaHash = await bcrypt.hash(senha, 10);
     const m = await Mercado.create(dados);
     await registrarLog('admin', `Mercado criado: ${nome}`, req.user.usuario, getIP(req));
+    await auditar(req, { acao:'mercado.criar', entidade:'Mercado', depois:m });
     res.status(201).json({ ...m.toObject(), senhaHash:undefined });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.put('/api/admin/mercados/:id', adminAuth, async (req, res) => {
+app.put('/api/admin/mercados/:id', requirePerm('mercados:editar'), async (req, res) => {
   try {
     const upd = {};
-    ['nome','icone','endereco','bairro','cidade','estado','whatsapp','website','parceiro','plano','lat','lng','ativo','plusCode','nomeGoogleMaps'].forEach(c => {
+    ['nome','icone','endereco','bairro','cidade','estado','whatsapp','email','website','parceiro','plano','lat','lng','ativo','plusCode','nomeGoogleMaps'].forEach(c => {
       if (req.body[c] !== undefined) upd[c] = req.body[c];
     });
     if (req.body.senha) upd.senhaHash = await bcrypt.hash(req.body.senha, 10);
-    const m = await Mercado.findByIdAndUpdate(req.params.id, upd, { new:true }).select('-senhaHash');
-    if (!m) return res.status(404).json({ erro:'Mercado não encontrado' });
-    res.json(m);
+    const antes = await Mercado.findById(req.params.id);
+    if (!antes) return res.status(404).json({ erro:'Mercado não encontrado' });
+    const m = await Mercado.findByIdAndUpdate(req.params.id, upd, { new:true });
+    await auditar(req, { acao:'mercado.atualizar', entidade:'Mercado', antes, depois:m });
+    res.json({ ...m.toObject(), senhaHash:undefined });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.delete('/api/admin/mercados/:id', adminAuth, async (req, res) => {
+app.delete('/api/admin/mercados/:id', requirePerm('mercados:excluir'), async (req, res) => {
   try {
     const id = req.params.id;
+    const antes = await Mercado.findById(id);
     // Remove mercado + todos os preços e promoções vinculados
     const [rMerc, rPrecos, rPromos] = await Promise.all([
       Mercado.findByIdAndDelete(id),
       Preco.deleteMany({ mercadoId: id }),
       Promocao.deleteMany({ mercadoId: id }),
+      PrecoHistorico.deleteMany({ mercadoId: id }),
+      Impulsionamento.deleteMany({ mercadoId: id }),
+      EstatisticaDiaria.deleteMany({ mercadoId: id }),
     ]);
     await registrarLog('admin', `Mercado ${id} excluído (${rPrecos.deletedCount} preços, ${rPromos.deletedCount} promos removidos)`, req.user.usuario, getIP(req));
+    await auditar(req, { acao:'mercado.excluir', entidade:'Mercado', entidadeId:id, antes });
     res.json({ mensagem:'Mercado e dados removidos', precos:rPrecos.deletedCount, promos:rPromos.deletedCount });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
@@ -1597,7 +2423,7 @@ const CATS_VALIDAS = ['Açougue','Bebidas','Biscoitos','Congelados','Cosméticos
   'Frutas','Higiene','Laticínios','Legumes','Limpeza','Mercearia','Ovos','Padaria','Queijos','Verduras'];
 
 async function inferirEmojiCatIA(nome) {
-  if (!GEMINI_KEY) return null;
+  if (!ia.configurada) return null;
   try {
     const prompt = 'Você é um classificador de produtos de supermercado brasileiro.\n'
       + 'Dado o nome do produto abaixo, responda SOMENTE com JSON no formato:\n'
@@ -1606,22 +2432,8 @@ async function inferirEmojiCatIA(nome) {
       + 'Use o emoji mais adequado para o produto.\n\n'
       + 'Produto: "' + nome + '"\n\n'
       + 'Responda APENAS o JSON, sem texto adicional.';
-
-    const url = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=' + GEMINI_KEY;
-    const r = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: { temperature: 0, maxOutputTokens: 60 }
-      })
-    });
-    const data = await r.json();
-    const txt = (data && data.candidates && data.candidates[0] &&
-      data.candidates[0].content && data.candidates[0].content.parts &&
-      data.candidates[0].content.parts[0] && data.candidates[0].content.parts[0].text) || '';
-    const clean = txt.replace(/```json/g,'').replace(/```/g,'').trim();
-    const parsed = JSON.parse(clean);
+    const r = await gerarIA(null, { prompt, temperatura: 0, maxTokens: 60, modelos: ia.modelosTexto, rotulo: 'IA emoji' });
+    const parsed = extrairJSON(r.texto);
     if (parsed.emoji && parsed.categoria && CATS_VALIDAS.includes(parsed.categoria)) {
       return parsed;
     }
@@ -1630,9 +2442,9 @@ async function inferirEmojiCatIA(nome) {
 }
 
 // ── Admin: Corrigir emoji/categoria de produtos genéricos com IA em lote ────
-app.post('/api/admin/corrigir-emoji-ia', adminAuth, async (req, res) => {
+app.post('/api/admin/corrigir-emoji-ia', requirePerm('catalogo:editar'), async (req, res) => {
   try {
-    if (!GEMINI_KEY) return res.status(503).json({ erro: 'GEMINI_API_KEY não configurada' });
+    if (!ia.configurada) return res.status(503).json({ erro: 'GEMINI_API_KEY não configurada' });
     const produtos = await Produto.find({
       ativo: true,
       $or: [
@@ -1670,36 +2482,64 @@ app.get('/api/produtos', async (req, res) => {
   catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.post('/api/produtos', adminAuth, async (req, res) => {
+// Busca por código de barras (scanner do app e importação de NFC-e)
+app.get('/api/produtos/ean/:codigo', async (req, res) => {
   try {
-    const { nome, emoji, categoria } = req.body;
-    if (!nome) return res.status(400).json({ erro:'Nome é obrigatório' });
-    // Bloqueia nomes genéricos — exige marca + tipo de produto
-    const nomeNorm = nome.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g,'');
-    const GENERICOS = /^(produto\s*diverso|diversos?|item|mercadoria|outros?|variado|desconhecido|n[aã]o\s*identificad)(\s|$)/i;
-    if (GENERICOS.test(nomeNorm)) {
-      return res.status(400).json({ erro:'Nome genérico não permitido. Informe marca + tipo do produto. Ex: "Arroz Kicaldo 1kg"' });
-    }
-    const palavras = nome.trim().split(/\s+/).filter(Boolean);
-    if (palavras.length < 2) {
-      return res.status(400).json({ erro:'Nome incompleto. Informe marca + tipo do produto. Ex: "Biscoito Adria 200g"' });
-    }
-    // Verifica se já existe produto com nome igual (case-insensitive)
-    const nomeClean = nome.trim();
-    const jaExiste = await Produto.findOne({
-      nome: { $regex: new RegExp('^' + nomeClean.replace(/[-[\]{}()*+?.,^$|#]/g, '\\$&') + '$', 'i') },
-      ativo: true
-    });
-    if (jaExiste) {
-      return res.status(409).json({ erro: 'Produto já existe no catálogo: "' + jaExiste.nome + '"', id: jaExiste._id });
-    }
-    const p = await Produto.create({ nome: nomeClean, emoji:emoji||'📦', categoria:categoria||'Geral' });
+    const ean = normalizarEAN(req.params.codigo);
+    if (!ean) return res.status(400).json({ erro:'Código de barras inválido' });
+    const p = await Produto.findOne({ ean, ativo:true });
+    if (!p) return res.status(404).json({ erro:'Nenhum produto do catálogo com este código de barras', ean });
+    res.json(p);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Regras para cadastrar um produto novo (rota de produtos e aprovação de solicitações).
+// Retorna null se pode criar, ou { status, erro, id? } para o chamador responder.
+async function conferirProdutoNovo(nome, eanBruto) {
+  if (!nome || !String(nome).trim()) return { status: 400, erro:'Nome é obrigatório' };
+  const ean = eanBruto ? normalizarEAN(eanBruto) : null;
+  if (eanBruto && !ean) return { status: 400, erro:'Código de barras (EAN) inválido' };
+  if (ean) {
+    const dono = await Produto.findOne({ ean });
+    if (dono) return { status: 409, erro:'Código de barras já pertence a "' + dono.nome + '"', id: dono._id };
+  }
+  // Bloqueia nomes genéricos — exige marca + tipo de produto
+  const nomeNorm = nome.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g,'');
+  const GENERICOS = /^(produto\s*diverso|diversos?|item|mercadoria|outros?|variado|desconhecido|n[aã]o\s*identificad)(\s|$)/i;
+  if (GENERICOS.test(nomeNorm)) {
+    return { status: 400, erro:'Nome genérico não permitido. Informe marca + tipo do produto. Ex: "Arroz Kicaldo 1kg"' };
+  }
+  const palavras = nome.trim().split(/\s+/).filter(Boolean);
+  if (palavras.length < 2) {
+    return { status: 400, erro:'Nome incompleto. Informe marca + tipo do produto. Ex: "Biscoito Adria 200g"' };
+  }
+  // Verifica se já existe produto com nome igual (case-insensitive)
+  const jaExiste = await Produto.findOne({
+    nome: { $regex: new RegExp('^' + nome.trim().replace(/[-[\]{}()*+?.,^$|#]/g, '\\$&') + '$', 'i') },
+    ativo: true
+  });
+  if (jaExiste) return { status: 409, erro: 'Produto já existe no catálogo: "' + jaExiste.nome + '"', id: jaExiste._id };
+  return null;
+}
+
+app.post('/api/produtos', requirePerm('catalogo:editar'), async (req, res) => {
+  try {
+    const { nome, emoji, categoria } = req.body;
+    const problema = await conferirProdutoNovo(nome, req.body.ean);
+    if (problema) return res.status(problema.status).json({ erro: problema.erro, ...(problema.id ? { id: problema.id } : {}) });
+    const ean = req.body.ean ? normalizarEAN(req.body.ean) : null;
+    const nomeClean = nome.trim();
+    // Medida informada tem prioridade; sem ela o schema extrai do nome
+    const medida = req.body.quantidade != null ? converterMedida(req.body.quantidade, req.body.unidade) : null;
+    if (req.body.quantidade != null && !medida) return res.status(400).json({ erro:'Medida inválida (ex.: quantidade 500, unidade g)' });
+    const p = await Produto.create({ nome: nomeClean, emoji:emoji||'📦', categoria:categoria||'Geral', ...(ean ? { ean } : {}), ...(medida || {}) });
+    await auditar(req, { acao:'produto.criar', entidade:'Produto', depois:p });
     res.status(201).json(p);
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-// Atualizar produto (emoji, categoria, nome)
-app.put('/api/admin/produtos/:id', adminAuth, async (req, res) => {
+// Atualizar produto (emoji, categoria, nome, ean — ean vazio/null remove o código)
+app.put('/api/admin/produtos/:id', requirePerm('catalogo:editar'), async (req, res) => {
   try {
     const { nome, emoji, categoria, ativo } = req.body;
     const upd = {};
@@ -1707,55 +2547,446 @@ app.put('/api/admin/produtos/:id', adminAuth, async (req, res) => {
     if (emoji) upd.emoji = emoji;
     if (categoria) upd.categoria = categoria;
     if (ativo !== undefined) upd.ativo = ativo;
+    // Medida: explícita (quantidade+unidade, null limpa) ou, se o nome mudou, extraída do novo nome
+    if (req.body.quantidade !== undefined) {
+      const medida = req.body.quantidade === null ? { quantidade:null, unidade:null } : converterMedida(req.body.quantidade, req.body.unidade);
+      if (!medida) return res.status(400).json({ erro:'Medida inválida (ex.: quantidade 500, unidade g)' });
+      Object.assign(upd, medida);
+    }
+    if (req.body.ean !== undefined) {
+      const ean = req.body.ean ? normalizarEAN(req.body.ean) : null;
+      if (req.body.ean && !ean) return res.status(400).json({ erro:'Código de barras (EAN) inválido' });
+      if (ean) {
+        const dono = await Produto.findOne({ ean, _id: { $ne: req.params.id } });
+        if (dono) return res.status(409).json({ erro:'Código de barras já pertence a "' + dono.nome + '"', id: dono._id });
+        upd.ean = ean;
+      } else upd.$unset = { ean: 1 };
+    }
+    const antes = await Produto.findById(req.params.id);
+    if (!antes) return res.status(404).json({ erro: 'Produto não encontrado' });
+    if (req.body.quantidade === undefined && nome && nome !== antes.nome) Object.assign(upd, extrairMedida(nome) || {});
     const p = await Produto.findByIdAndUpdate(req.params.id, upd, { new: true });
-    if (!p) return res.status(404).json({ erro: 'Produto não encontrado' });
+    await auditar(req, { acao:'produto.atualizar', entidade:'Produto', antes, depois:p });
     res.json(p);
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-// ── SOLICITAÇÃO DE NOVO PRODUTO (cliente via IA) ──────────
+// ── BUSCA DE PRODUTOS ────────────────────────────────────
+// Relevância por termo da consulta contra as palavras do nome (todos os termos precisam casar):
+//   palavra igual 3 • prefixo 2 • erro de digitação (nenhum até 3 chars, 1 letra de 4 a 7, 2 letras acima) 1
+// A consulta é expandida pelos grupos de sinônimos; variantes por sinônimo valem um pouco menos.
+// Desempate: produtos com preço em mais mercados da cidade escolhida sobem.
+const BUSCA_CACHE_MS  = 60 * 1000;
+const BUSCA_LIMITE    = 30;
+const BUSCA_VARIANTES = 8;
+let buscaIndice = null; // { em, produtos:[{ doc, palavras }], sinonimos:[[termo...]] }
+// Grupos iniciais (criados uma vez, quando a coleção está vazia; depois o admin mantém)
+const SINONIMOS_PADRAO = [
+  ['refri', 'refrigerante'],
+  ['sabao em po', 'lava roupas'],
+  ['detergente', 'lava loucas'],
+  ['papel higienico', 'papel hig'],
+  ['requeijao', 'req'],
+  ['achocolatado', 'nescau', 'toddy'],
+  ['salsicha', 'hot dog'],
+  ['amaciante', 'suavizante'],
+];
+
+function normBusca(s) {
+  return String(s || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Distância de Damerau-Levenshtein (transposição conta 1), com corte em max
+function distanciaEdicao(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    let menor = Infinity;
+    for (let j = 1; j <= b.length; j++) {
+      const custo = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + custo);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      menor = Math.min(menor, d[i][j]);
+    }
+    if (menor > max) return max + 1;
+  }
+  return d[a.length][b.length];
+}
+
+function pontuarTermo(termo, palavras) {
+  let melhor = 0;
+  const tolerancia = termo.length >= 8 ? 2 : termo.length >= 4 ? 1 : 0;
+  for (const p of palavras) {
+    if (p === termo) return 3;
+    if (termo.length >= 2 && p.startsWith(termo)) { melhor = Math.max(melhor, 2); continue; }
+    // Erro de digitação na palavra inteira ou no início dela ("refrigeran" digitado como "refrijeran")
+    if (tolerancia && melhor < 1 &&
+        (distanciaEdicao(termo, p, tolerancia) <= tolerancia ||
+         (p.length > termo.length && distanciaEdicao(termo, p.slice(0, termo.length), tolerancia) <= tolerancia))) melhor = 1;
+  }
+  return melhor;
+}
+
+// Relevância de um produto para uma lista de termos (0 = não casa)
+function pontuarProduto(termos, palavras) {
+  let soma = 0;
+  for (const t of termos) {
+    const pts = pontuarTermo(t, palavras);
+    if (!pts) return 0;
+    soma += pts;
+  }
+  let rel = soma / termos.length;
+  if (palavras[0] && pontuarTermo(termos[0], [palavras[0]]) >= 2) rel += 0.5; // consulta casa o início do nome
+  return rel;
+}
+
+// Variantes da consulta trocando cada termo/expressão de um grupo de sinônimos pelos demais
+function expandirSinonimos(consulta, grupos) {
+  const variantes = [{ q: consulta, peso: 1 }];
+  const vistos = new Set([consulta]);
+  for (const grupo of grupos) {
+    for (const termo of grupo) {
+      const re = new RegExp('(^| )' + termo.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '(?= |$)');
+      for (const v of variantes.slice()) {
+        if (!re.test(v.q)) continue;
+        for (const outro of grupo) {
+          if (outro === termo || variantes.length >= BUSCA_VARIANTES) continue;
+          const q = v.q.replace(re, '$1' + outro);
+          if (!vistos.has(q)) { vistos.add(q); variantes.push({ q, peso: 0.9 }); }
+        }
+      }
+    }
+  }
+  return variantes;
+}
+
+async function indiceBusca() {
+  if (buscaIndice && Date.now() - buscaIndice.em < BUSCA_CACHE_MS) return buscaIndice;
+  const [produtos, sinonimos] = await Promise.all([
+    Produto.find({ ativo: true }).select('nome emoji categoria quantidade unidade ean').lean(),
+    Sinonimo.find().select('termos').lean(),
+  ]);
+  buscaIndice = {
+    em: Date.now(),
+    produtos: produtos.map(doc => ({ doc, palavras: normBusca(doc.nome).split(' ').filter(Boolean) })),
+    sinonimos: sinonimos.map(g => g.termos.filter(Boolean)).filter(g => g.length > 1),
+  };
+  return buscaIndice;
+}
+
+// GET /api/produtos/busca?q=&cidade=&estado=&limite=
+app.get('/api/produtos/busca', buscaLimiter, async (req, res) => {
+  try {
+    const consulta = normBusca(req.query.q).slice(0, 80);
+    if (!consulta) return res.status(400).json({ erro:'Informe o termo da busca (q)' });
+    const limite = Math.min(parseInt(req.query.limite) || BUSCA_LIMITE, 100);
+    const indice = await indiceBusca();
+
+    const ean = /^\d{8,14}$/.test(consulta) ? normalizarEAN(consulta) : null;
+    const relevancia = new Map();
+    if (ean) {
+      const porEan = indice.produtos.find(p => p.doc.ean === ean);
+      if (porEan) relevancia.set(String(porEan.doc._id), { p: porEan, rel: 10 });
+    }
+    for (const v of expandirSinonimos(consulta, indice.sinonimos)) {
+      const termos = v.q.split(' ');
+      for (const p of indice.produtos) {
+        const rel = pontuarProduto(termos, p.palavras) * v.peso;
+        const id = String(p.doc._id);
+        if (rel > 0 && rel > (relevancia.get(id)?.rel || 0)) relevancia.set(id, { p, rel });
+      }
+    }
+    const candidatos = [...relevancia.values()].sort((a, b) => b.rel - a.rel).slice(0, 200);
+
+    // Disponibilidade de preço na cidade (ou em todas, se nenhuma foi escolhida)
+    const filtroMerc = { ativo: { $ne: false } };
+    if (req.query.cidade) filtroMerc.cidade = String(req.query.cidade);
+    if (req.query.estado) filtroMerc.estado = String(req.query.estado);
+    const mercadoIds = (await Mercado.find(filtroMerc).select('_id').lean()).map(m => m._id);
+    const disp = candidatos.length && mercadoIds.length ? await Preco.aggregate([
+      { $match: { produtoId: { $in: candidatos.map(c => c.p.doc._id) }, mercadoId: { $in: mercadoIds } } },
+      { $group: { _id: '$produtoId', mercados: { $sum: 1 }, menorPreco: { $min: '$preco' } } },
+    ]) : [];
+    const porProduto = new Map(disp.map(d => [String(d._id), d]));
+
+    const resultados = candidatos.map(({ p, rel }) => {
+      const d = porProduto.get(String(p.doc._id));
+      const mercados = d?.mercados || 0;
+      return {
+        ...p.doc,
+        relevancia: Math.round(rel * 100) / 100,
+        mercados,
+        menorPreco: d?.menorPreco ?? null,
+        ...(precoUnitario(d?.menorPreco, p.doc) || {}),
+        pontuacao: rel + (mercados ? 1 : 0) + Math.min(mercados, 5) * 0.1,
+      };
+    }).sort((a, b) => b.pontuacao - a.pontuacao || a.nome.localeCompare(b.nome)).slice(0, limite);
+    resultados.forEach(r => { delete r.pontuacao; });
+
+    res.json({ q: req.query.q, total: relevancia.size, resultados });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// ── SINÔNIMOS DA BUSCA (admin) ───────────────────────────
+// termos: array ou texto separado por vírgula; cada termo pode ter mais de uma palavra ("sabao em po")
+function termosSinonimo(entrada) {
+  const lista = Array.isArray(entrada) ? entrada : String(entrada || '').split(',');
+  return [...new Set(lista.map(normBusca).filter(t => t.length >= 2))].slice(0, 20);
+}
+
+app.get('/api/admin/sinonimos', requirePerm('catalogo:editar'), async (req, res) => {
+  try { res.json(await Sinonimo.find().sort({ createdAt: -1 }).lean()); }
+  catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.post('/api/admin/sinonimos', requirePerm('catalogo:editar'), async (req, res) => {
+  try {
+    const termos = termosSinonimo(req.body.termos);
+    if (termos.length < 2) return res.status(400).json({ erro:'Informe ao menos dois termos equivalentes' });
+    const g = await Sinonimo.create({ termos, criadoPor: req.user.usuario });
+    buscaIndice = null;
+    await auditar(req, { acao:'sinonimo.criar', entidade:'Sinonimo', depois:g });
+    res.status(201).json(g);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.put('/api/admin/sinonimos/:id', requirePerm('catalogo:editar'), async (req, res) => {
+  try {
+    if (!isObjId(req.params.id)) return res.status(400).json({ erro:'id inválido' });
+    const termos = termosSinonimo(req.body.termos);
+    if (termos.length < 2) return res.status(400).json({ erro:'Informe ao menos dois termos equivalentes' });
+    const antes = await Sinonimo.findById(req.params.id);
+    if (!antes) return res.status(404).json({ erro:'Grupo de sinônimos não encontrado' });
+    const g = await Sinonimo.findByIdAndUpdate(req.params.id, { termos }, { new: true });
+    buscaIndice = null;
+    await auditar(req, { acao:'sinonimo.atualizar', entidade:'Sinonimo', antes, depois:g });
+    res.json(g);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.delete('/api/admin/sinonimos/:id', requirePerm('catalogo:editar'), async (req, res) => {
+  try {
+    if (!isObjId(req.params.id)) return res.status(400).json({ erro:'id inválido' });
+    const antes = await Sinonimo.findByIdAndDelete(req.params.id);
+    if (!antes) return res.status(404).json({ erro:'Grupo de sinônimos não encontrado' });
+    buscaIndice = null;
+    await auditar(req, { acao:'sinonimo.excluir', entidade:'Sinonimo', antes });
+    res.json({ mensagem:'Grupo removido' });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Reprocessa a medida (quantidade/unidade) a partir dos nomes; ?refazer=1 sobrescreve as já preenchidas
+app.post('/api/admin/produtos/preencher-medidas', requirePerm('catalogo:editar'), async (req, res) => {
+  try {
+    const r = await preencherMedidas(req.query.refazer === '1');
+    await registrarLog('produto', `Medidas preenchidas: ${r.atualizados} de ${r.analisados} produto(s)`, req.user.usuario, getIP(req));
+    res.json(r);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Sugestões de EAN vindas de NFC-e aprovadas: pares (código da nota → produto escolhido na moderação)
+// que ainda não estão no catálogo. conflito = o código já pertence a outro produto ou o produto já tem outro código.
+app.get('/api/admin/produtos/ean-sugestoes', requirePerm('catalogo:editar'), async (req, res) => {
+  try {
+    const pares = await Contribuicao.aggregate([
+      { $match: { tipo:'nfce', status:'aprovado', ean: { $type:'string' } } },
+      { $group: { _id: { ean:'$ean', produtoId:'$produtoId' }, notas: { $addToSet:'$notaId' }, nomeNota: { $last:'$obs' }, ultima: { $max:'$createdAt' } } },
+    ]);
+    const ids = [...new Set(pares.map(p => String(p._id.produtoId)).filter(isObjId))];
+    const produtos = await Produto.find({ $or: [{ _id: { $in: ids } }, { ean: { $in: pares.map(p => p._id.ean) } }] }).select('nome emoji ean ativo').lean();
+    const porId  = new Map(produtos.map(p => [String(p._id), p]));
+    const porEan = new Map(produtos.filter(p => p.ean).map(p => [p.ean, p]));
+    const sugestoes = pares.map(p => {
+      const produto = porId.get(String(p._id.produtoId));
+      if (!produto || !produto.ativo || produto.ean === p._id.ean) return null;
+      const dono = porEan.get(p._id.ean);
+      return {
+        ean: p._id.ean, produto: { _id: produto._id, nome: produto.nome, emoji: produto.emoji, ean: produto.ean || null },
+        nomeNota: String(p.nomeNota || '').replace(/^NFC-e: /, ''), notas: p.notas.length, ultima: p.ultima,
+        conflito: dono ? { _id: dono._id, nome: dono.nome } : (produto.ean ? { _id: produto._id, nome: produto.nome, ean: produto.ean } : null),
+      };
+    }).filter(Boolean).sort((a, b) => (!!a.conflito - !!b.conflito) || b.notas - a.notas).slice(0, 200);
+    res.json(sugestoes);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// ── SOLICITAÇÃO DE NOVO PRODUTO ──────────────────────────
+// Um pedido pendente por item (chave = nome normalizado); cada cliente novo pedindo o mesmo item soma um voto.
+// Retorna { sol, novo, jaVotou }
+async function registrarSolicitacaoProduto({ nome, categoria, preco, mercadoId, mercadoNome, obs, clienteId, login }) {
+  const nomeLimpo = String(nome).trim().slice(0, 120);
+  const chave = normBusca(nomeLimpo);
+  const solicitante = {
+    clienteId: clienteId || null, login: login || '', preco: parseFloat(preco) > 0 ? parseFloat(preco) : null,
+    mercadoId: mercadoId ? String(mercadoId) : '', mercadoNome: mercadoNome || '', obs: String(obs || '').slice(0, 300),
+  };
+  let existente = await SolicitacaoProduto.findOne({ chave, status: 'pendente' });
+  if (!existente) {
+    try {
+      const sol = await SolicitacaoProduto.create({ nome: nomeLimpo, chave, categoria: categoria || 'Geral', solicitantes: [solicitante] });
+      return { sol, novo: true, jaVotou: false };
+    } catch(e) {
+      // Outro pedido do mesmo item criou o pendente entre o findOne e o create: vira voto nele
+      if (e.code !== 11000) throw e;
+      existente = await SolicitacaoProduto.findOne({ chave, status: 'pendente' });
+      if (!existente) throw e;
+    }
+  }
+  // Voto atômico: a checagem de quem já votou vai no filtro do mesmo update que soma —
+  // votos simultâneos não se perdem e clique duplo não conta duas vezes
+  const naoVotou = clienteId ? { 'solicitantes.clienteId': { $ne: clienteId } }
+    : login ? { solicitantes: { $not: { $elemMatch: { clienteId: null, login } } } } : {};
+  const sol = await SolicitacaoProduto.findOneAndUpdate(
+    { chave, status: 'pendente', ...naoVotou },
+    { $push: { solicitantes: solicitante }, $inc: { votos: 1 } },
+    { new: true }
+  );
+  if (!sol) return { sol: existente, novo: false, jaVotou: true };
+  if (sol.categoria === 'Geral' && categoria) {
+    await SolicitacaoProduto.updateOne({ _id: sol._id, categoria: 'Geral' }, { categoria });
+    sol.categoria = categoria;
+  }
+  return { sol, novo: false, jaVotou: false };
+}
+
+// Resposta do admin para quem pediu (push só para clientes com conta)
+function responderSolicitantes(sol, titulo, corpo) {
+  const ids = sol.solicitantes.map(s => s.clienteId).filter(Boolean);
+  if (ids.length) enviarPushParaClientes(titulo, corpo, '/', { clienteId: { $in: ids } }).catch(()=>{});
+}
+
+// Logs 'produto_solicitado' (formato antigo) → SolicitacaoProduto; os logs migrados são apagados
+async function migrarSolicitacoesLog() {
+  const logs = await Log.find({ tipo: 'produto_solicitado' }).sort({ createdAt: 1 }).lean();
+  let migrados = 0;
+  for (const l of logs) {
+    const nome = (l.nomeProduto || (String(l.descricao).match(/"([^"]+)"/) || [])[1] || '').trim();
+    if (nome) {
+      const cat = (String(l.descricao).match(/Categoria:\s*([^|\n]+)/) || [])[1];
+      await registrarSolicitacaoProduto({ nome, categoria: cat ? cat.trim() : 'Geral', preco: l.preco, mercadoId: l.mercadoId, mercadoNome: l.mercadoNome, login: l.usuario });
+      migrados++;
+    }
+    await Log.deleteOne({ _id: l._id });
+  }
+  return migrados;
+}
+
 // Cliente solicita cadastro de produto detectado pela IA que não existe no catálogo
 app.post('/api/produtos/solicitar', authMiddleware, async (req, res) => {
   try {
     if (req.user.tipo !== 'cliente') return res.status(403).json({ erro: 'Apenas clientes' });
-    const { nome, categoria, precoVisto, solicitanteLogin } = req.body;
+    const { nome, categoria, precoVisto } = req.body;
     if (!nome || !nome.trim()) return res.status(400).json({ erro: 'Nome obrigatorio' });
 
     // Verifica se já existe produto similar
     const jaExiste = await Produto.findOne({ nome: { $regex: nome.trim().split(' ')[0], $options: 'i' }, ativo: true });
     if (jaExiste) return res.status(409).json({ erro: 'Produto similar ja existe: ' + jaExiste.nome, produto: jaExiste });
 
-    // Salva como ocorrência/log para o admin revisar
-    await registrarLog('produto_solicitado',
-      'Produto solicitado por ' + (solicitanteLogin || req.user.login) + ': "' + nome.trim() + '" (R$ ' + (precoVisto||'?') + ') | Categoria: ' + (categoria||'Geral'),
-      solicitanteLogin || req.user.login,
-      getIP(req)
-    );
+    const { sol, novo, jaVotou } = await registrarSolicitacaoProduto({ nome, categoria, preco: precoVisto, clienteId: req.user.id, login: req.user.login });
+    if (!jaVotou) {
+      notificarAdmins('produto_solicitado', {
+        id: sol._id, nome: sol.nome, categoria: sol.categoria, precoVisto: precoVisto || null, votos: sol.votos,
+        solicitante: req.user.login,
+        mensagem: (novo ? 'Novo produto solicitado: "' : 'Mais um pedido para "') + sol.nome + '" por ' + req.user.login,
+      });
+    }
+    res.json({ ok: true, id: sol._id, votos: sol.votos, mensagem: jaVotou ? 'Você já pediu este produto — o admin vai analisar.' : 'Solicitacao registrada! O admin ira analisar.' });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
 
-    // Notifica admins online em tempo real
-    notificarAdmins('produto_solicitado', {
-      nome: nome.trim(),
-      categoria: categoria || 'Geral',
-      precoVisto: precoVisto || null,
-      solicitante: solicitanteLogin || req.user.login,
-      mensagem: 'Novo produto solicitado: "' + nome.trim() + '" por ' + (solicitanteLogin || req.user.login),
-    });
+// Pedidos do cliente logado, com status e resposta do admin
+app.get('/api/produtos/solicitacoes/minhas', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.tipo !== 'cliente') return res.status(403).json({ erro: 'Apenas clientes' });
+    const lista = await SolicitacaoProduto.find({ 'solicitantes.clienteId': req.user.id })
+      .select('nome status votos resposta respondidoEm produtoId createdAt')
+      .populate('produtoId', 'nome emoji').sort({ updatedAt: -1 }).limit(50).lean();
+    res.json(lista);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
 
-    res.json({ ok: true, mensagem: 'Solicitacao registrada! O admin ira analisar.' });
+// ── SOLICITAÇÕES DE PRODUTO (admin) ──────────────────────
+// ?status=pendente (padrão) | aprovado | recusado | mesclado | todos — mais votados primeiro
+app.get('/api/admin/produtos-solicitados', requirePerm('painel:ver'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pendente';
+    if (!['pendente','aprovado','recusado','mesclado','todos'].includes(status)) return res.status(400).json({ erro:'status inválido' });
+    const filtro = status === 'todos' ? {} : { status };
+    const lista = await SolicitacaoProduto.find(filtro).sort({ votos: -1, createdAt: -1 }).limit(200)
+      .populate('produtoId', 'nome emoji').lean();
+    res.json(lista);
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-// ── LISTAR SOLICITAÇÕES DE PRODUTO (admin) ────────────────
-app.get('/api/admin/produtos-solicitados', adminAuth, async (req, res) => {
+async function solicitacaoPendente(req, res) {
+  if (!isObjId(req.params.id)) { res.status(400).json({ erro:'id inválido' }); return null; }
+  const sol = await SolicitacaoProduto.findById(req.params.id);
+  if (!sol) { res.status(404).json({ erro:'Solicitação não encontrada' }); return null; }
+  if (sol.status !== 'pendente') { res.status(409).json({ erro:'Solicitação já respondida (' + sol.status + ')' }); return null; }
+  return sol;
+}
+
+function fecharSolicitacao(sol, req, status, resposta, produtoId = null) {
+  sol.status = status;
+  sol.resposta = String(resposta || '').trim().slice(0, 500);
+  sol.respondidoPor = req.user.usuario;
+  sol.respondidoEm = new Date();
+  if (produtoId) sol.produtoId = produtoId;
+  return sol.save();
+}
+
+// Aprovar: cria o produto (nome/emoji/categoria/ean podem ser ajustados pelo admin)
+app.post('/api/admin/produtos-solicitados/:id/aprovar', requirePerm('catalogo:editar'), async (req, res) => {
   try {
-    const logs = await Log.find({ tipo: 'produto_solicitado' }).sort({ createdAt: -1 }).limit(100);
-    res.json(logs);
+    const sol = await solicitacaoPendente(req, res);
+    if (!sol) return;
+    const nome = String(req.body.nome || sol.nome).trim();
+    const problema = await conferirProdutoNovo(nome, req.body.ean);
+    if (problema) return res.status(problema.status).json({ erro: problema.erro, ...(problema.id ? { id: problema.id } : {}) });
+    const ean = req.body.ean ? normalizarEAN(req.body.ean) : null;
+    const produto = await Produto.create({ nome, emoji: req.body.emoji || '📦', categoria: req.body.categoria || sol.categoria || 'Geral', ...(ean ? { ean } : {}) });
+    await auditar(req, { acao:'produto.criar', entidade:'Produto', depois:produto });
+    const antes = sol.toObject();
+    await fecharSolicitacao(sol, req, 'aprovado', req.body.resposta || `"${produto.nome}" foi adicionado ao catálogo. Obrigado pela sugestão!`, produto._id);
+    await auditar(req, { acao:'solicitacao_produto.aprovar', entidade:'SolicitacaoProduto', antes, depois:sol });
+    responderSolicitantes(sol, `${produto.emoji} Produto cadastrado!`, sol.resposta);
+    res.json({ solicitacao: sol, produto });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Mesclar: o item já existe no catálogo com outro nome
+app.post('/api/admin/produtos-solicitados/:id/mesclar', requirePerm('catalogo:editar'), async (req, res) => {
+  try {
+    const sol = await solicitacaoPendente(req, res);
+    if (!sol) return;
+    if (!isObjId(req.body.produtoId)) return res.status(400).json({ erro:'produtoId inválido' });
+    const produto = await Produto.findOne({ _id: req.body.produtoId, ativo: true });
+    if (!produto) return res.status(404).json({ erro:'Produto não encontrado' });
+    const antes = sol.toObject();
+    await fecharSolicitacao(sol, req, 'mesclado', req.body.resposta || `Este item já está no catálogo como "${produto.nome}".`, produto._id);
+    await auditar(req, { acao:'solicitacao_produto.mesclar', entidade:'SolicitacaoProduto', antes, depois:sol });
+    responderSolicitantes(sol, `${produto.emoji} Produto encontrado`, sol.resposta);
+    res.json({ solicitacao: sol, produto });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.post('/api/admin/produtos-solicitados/:id/recusar', requirePerm('catalogo:editar'), async (req, res) => {
+  try {
+    const sol = await solicitacaoPendente(req, res);
+    if (!sol) return;
+    const antes = sol.toObject();
+    await fecharSolicitacao(sol, req, 'recusado', req.body.resposta || `Não vamos cadastrar "${sol.nome}" por enquanto.`);
+    await auditar(req, { acao:'solicitacao_produto.recusar', entidade:'SolicitacaoProduto', antes, depois:sol });
+    responderSolicitantes(sol, 'Solicitação de produto', sol.resposta);
+    res.json({ solicitacao: sol });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 
 // ─── Consolidar produto duplicado: migra preços e desativa duplicado ──────────
-app.post('/api/admin/consolidar-produto', adminAuth, async (req, res) => {
+app.post('/api/admin/consolidar-produto', requirePerm('catalogo:editar'), async (req, res) => {
   try {
     const { idManter, idRemover } = req.body;
     if (!idManter || !idRemover) return res.status(400).json({ erro: 'idManter e idRemover obrigatórios' });
@@ -1792,7 +3023,10 @@ app.post('/api/admin/consolidar-produto', adminAuth, async (req, res) => {
       }
     }
 
-    // 2. Desativa o produto duplicado
+    // 2. Histórico do duplicado passa a pertencer ao original
+    await PrecoHistorico.updateMany({ produtoId: idRemover }, { produtoId: idManter });
+
+    // 3. Desativa o produto duplicado
     await Produto.findByIdAndUpdate(idRemover, { ativo: false });
 
     res.json({ ok: true, migrados, mensagem: 'Consolidado com sucesso' });
@@ -1801,15 +3035,16 @@ app.post('/api/admin/consolidar-produto', adminAuth, async (req, res) => {
   }
 });
 
-app.delete('/api/produtos/:id', adminAuth, async (req, res) => {
+app.delete('/api/produtos/:id', requirePerm('catalogo:editar'), async (req, res) => {
   try {
-    await Produto.findByIdAndUpdate(req.params.id, { ativo:false });
+    const antes = await Produto.findByIdAndUpdate(req.params.id, { ativo:false });
+    if (antes) await auditar(req, { acao:'produto.desativar', entidade:'Produto', antes, depois:{ ...objetoAuditoria(antes), ativo:false } });
     res.json({ mensagem:'Produto removido' });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // Status do catálogo (diagnóstico rápido)
-app.get('/api/admin/seed-status', adminAuth, async (req, res) => {
+app.get('/api/admin/seed-status', requirePerm('painel:ver'), async (req, res) => {
   try {
     const total     = await Produto.countDocuments({ ativo: true });
     const nomesDB   = (await Produto.find({ ativo:true }, 'nome')).map(p => p.nome);
@@ -1820,7 +3055,7 @@ app.get('/api/admin/seed-status', adminAuth, async (req, res) => {
 });
 
 // Seed manual (botão no painel admin) — suporta force para reprocessar todos
-app.post('/api/admin/seed-produtos', adminAuth, async (req, res) => {
+app.post('/api/admin/seed-produtos', requirePerm('catalogo:reset'), async (req, res) => {
   try {
     const force = req.body?.force === true;
 
@@ -1865,13 +3100,24 @@ app.post('/api/admin/seed-produtos', adminAuth, async (req, res) => {
 // ── PREÇOS ───────────────────────────────────────────────
 app.get('/api/precos', async (req, res) => {
   try {
-    res.json(await Preco.find()
-      .populate('produtoId','nome emoji categoria')
-      .populate('mercadoId','nome icone'));
+    const precos = await Preco.find()
+      .populate('produtoId','nome emoji categoria quantidade unidade')
+      .populate('mercadoId','nome icone').lean();
+    res.json(precos.map(comPrecoUnitario));
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.post('/api/precos', authMiddleware, async (req, res) => {
+// Plano Básico limita quantos produtos o mercado pode ter com preço; null = sem limite (Pro/Premium)
+const LIMITE_PRODUTOS_BASICO = 50;
+async function limiteProdutosPlano(mercadoId) {
+  const merc = await Mercado.findById(mercadoId).select('plano').lean();
+  const planoNorm = (merc?.plano||'').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g,'');
+  const planoOrd = {basico:1,pro:2,premium:3};
+  if ((planoOrd[planoNorm]||0) >= 2) return null;
+  return { limite: LIMITE_PRODUTOS_BASICO, atuais: await Preco.countDocuments({ mercadoId }) };
+}
+
+app.post('/api/precos', permSeAdmin('precos:editar'), async (req, res) => {
   try {
     const { produtoId, mercadoId, preco, fonte } = req.body;
     if (!produtoId||!mercadoId||!preco) return res.status(400).json({ erro:'produtoId, mercadoId e preco obrigatórios' });
@@ -1881,23 +3127,229 @@ app.post('/api/precos', authMiddleware, async (req, res) => {
     if (!validarPreco(preco)) return res.status(400).json({ erro:'Preço inválido (deve ser positivo e menor que R$ 99.999)' });
     // Plano Básico: limite de 50 produtos (só aplica quando o mercado está atualizando o próprio preço)
     if (req.user.tipo === 'mercado') {
-      const mercPlano = await Mercado.findById(req.user.mercadoId);
-      const planoNorm = (mercPlano?.plano||'').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g,'');
-      const planoOrd2 = {basico:1,pro:2,premium:3};
-      if ((planoOrd2[planoNorm]||0) < 2) {
-        const qtdAtual = await Preco.countDocuments({ mercadoId: req.user.mercadoId });
-        if (qtdAtual >= 50) return res.status(403).json({ erro:'Limite de 50 produtos atingido no plano Básico. Faça upgrade para o plano Pro para cadastrar produtos ilimitados.' });
-      }
+      const plano = await limiteProdutosPlano(req.user.mercadoId);
+      if (plano && plano.atuais >= plano.limite) return res.status(403).json({ erro:`Limite de ${plano.limite} produtos atingido no plano Básico. Faça upgrade para o plano Pro para cadastrar produtos ilimitados.` });
     }
     const autor = req.user.tipo === 'admin' ? 'Admin' : (req.user.login || req.user.usuario || 'Mercado');
-    const entry = { produtoId, mercadoId, preco:parseFloat(preco), fonte:fonte||req.user.tipo, autor, dataAtu: new Date().toLocaleDateString('pt-BR') };
-    const p = await Preco.findOneAndUpdate({ produtoId, mercadoId }, entry, { upsert:true, new:true });
+    // Sanidade: admin confirma explicitamente; demais origens ficam retidas para revisão
+    const suspeita = await avaliarPreco(produtoId, preco);
+    if (suspeita && req.user.tipo === 'admin' && req.body.confirmado !== true) {
+      return res.status(422).json({ erro:`Preço suspeito: ${suspeita.motivo}. Confirme para publicar mesmo assim.`, suspeita, requerConfirmacao:true });
+    }
+    if (suspeita && req.user.tipo !== 'admin') {
+      const doMercado = req.user.tipo === 'mercado';
+      const contrib = await Contribuicao.create({
+        tipo: doMercado ? 'mercado' : 'texto', produtoId, mercadoId, preco:parseFloat(preco), autor,
+        clienteId: req.user.tipo === 'cliente' ? req.user.id : null,
+        obs: doMercado ? 'Atualização de preço do mercado' : 'Lançamento direto de preço', ip:getIP(req), suspeita,
+      });
+      notificarAdmins('nova_contribuicao', { id:contrib._id, autor, suspeita: suspeita.motivo });
+      return res.status(202).json({ pendente:true, id:contrib._id, suspeita, mensagem:`Preço fora do padrão (${suspeita.motivo}) — enviado para revisão antes de publicar.` });
+    }
+    const p = await publicarPreco({ produtoId, mercadoId, preco, fonte:fonte||req.user.tipo, autor });
+    if (suspeita) await registrarLog('preco', `Preço suspeito confirmado pelo admin: ${suspeita.motivo} — produto ${produtoId}, mercado ${mercadoId}`, req.user.usuario || 'admin', getIP(req));
     res.status(201).json(p);
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
+// ── IMPORTAÇÃO DE PLANILHA (portal do mercado) ───────────
+// Duas etapas no mesmo endpoint:
+//   1) { arquivoBase64, nomeArquivo, colunas? } → prévia: cada linha casada com o catálogo (EAN exato ou
+//      nome aproximado) e comparada ao preço atual da loja; nada é gravado
+//   2) { confirmar:true, itens:[{ produtoId, preco }] } → publica os itens escolhidos na prévia
+// Preços fora do padrão ficam retidos para revisão, como no lançamento avulso.
+const IMPORTACAO_MAX_BYTES = 5 * 1024 * 1024;
+const IMPORTACAO_MIN_CONFIANCA = 0.5;
+
+// Semelhança entre o nome da planilha e o do catálogo: média harmônica entre quanto da linha
+// casa com o produto e quanto do produto casa com a linha (abreviações contam como prefixo/erro).
+// Medidas diferentes (1kg × 5kg) derrubam a nota — outra embalagem é outro produto.
+function semelhancaNome(termos, produto, medida) {
+  if (!termos.length || !produto.palavras.length) return 0;
+  const q = termos.reduce((t, termo) => t + pontuarTermo(termo, produto.palavras), 0) / (3 * termos.length);
+  const c = produto.palavras.reduce((t, p) => t + Math.max(...termos.map(termo => pontuarTermo(termo, [p]))), 0) / (3 * produto.palavras.length);
+  if (!q || !c) return 0;
+  let nota = 2 * q * c / (q + c);
+  const { quantidade, unidade } = produto.doc;
+  if (medida && quantidade && unidade && (medida.unidade !== unidade || Math.abs(medida.quantidade - quantidade) > quantidade * 0.01)) nota *= 0.5;
+  return nota;
+}
+
+// Produtos candidatos por prefixo de 3 letras (evita comparar cada linha com o catálogo inteiro)
+function prefixosIndice(indice) {
+  if (indice.prefixos) return indice.prefixos;
+  indice.prefixos = new Map();
+  for (const p of indice.produtos) {
+    for (const palavra of new Set(p.palavras.filter(w => w.length >= 3).map(w => w.slice(0, 3)))) {
+      if (!indice.prefixos.has(palavra)) indice.prefixos.set(palavra, []);
+      indice.prefixos.get(palavra).push(p);
+    }
+  }
+  return indice.prefixos;
+}
+
+function casarLinhaCatalogo(nome, ean, indice) {
+  if (ean) {
+    const porEan = indice.produtos.find(p => p.doc.ean === ean);
+    if (porEan) return { produto: porEan.doc, confianca: 1, por: 'ean', alternativas: [] };
+  }
+  const termos = normBusca(nome).split(' ').filter(Boolean);
+  const prefixos = prefixosIndice(indice);
+  const candidatos = new Set();
+  termos.filter(t => t.length >= 3).forEach(t => (prefixos.get(t.slice(0, 3)) || []).forEach(p => candidatos.add(p)));
+  const medida = extrairMedida(nome);
+  const notas = [...candidatos].map(p => ({ p, nota: semelhancaNome(termos, p, medida) }))
+    .filter(n => n.nota > 0.3).sort((a, b) => b.nota - a.nota).slice(0, 4);
+  const alternativas = notas.map(n => ({ _id: n.p.doc._id, nome: n.p.doc.nome, emoji: n.p.doc.emoji, confianca: Math.round(n.nota * 100) / 100 }));
+  // Empate técnico (ex.: marca que não está no catálogo casa igual com várias) fica para o mercado escolher
+  const ambiguo = notas.length > 1 && notas[1].nota > notas[0].nota - 0.05;
+  if (!notas.length || notas[0].nota < IMPORTACAO_MIN_CONFIANCA || ambiguo) return { produto: null, confianca: 0, por: null, alternativas };
+  return { produto: notas[0].p.doc, confianca: Math.round(notas[0].nota * 100) / 100, por: 'nome', alternativas: alternativas.slice(1) };
+}
+
+app.post('/api/mercado/precos/importar', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.tipo !== 'mercado') return res.status(403).json({ erro:'Apenas mercados' });
+    const mercadoId = req.user.mercadoId;
+    const atuais = new Map((await Preco.find({ mercadoId }).select('produtoId preco').lean()).map(p => [String(p.produtoId), p.preco]));
+    const plano = await limiteProdutosPlano(mercadoId);
+
+    if (req.body.confirmar === true) {
+      const itens = Array.isArray(req.body.itens) ? req.body.itens : [];
+      if (!itens.length) return res.status(400).json({ erro:'Nenhum item para importar' });
+      if (itens.length > planilha.MAX_LINHAS) return res.status(400).json({ erro:`Máximo de ${planilha.MAX_LINHAS} itens por importação` });
+      // Última ocorrência de cada produto vale; inválidos são ignorados
+      const porProduto = new Map();
+      let invalidos = 0;
+      for (const i of itens) {
+        const preco = parseFloat(i?.preco);
+        if (!isObjId(i?.produtoId) || !validarPreco(preco)) { invalidos++; continue; }
+        porProduto.set(String(i.produtoId), Math.round(preco * 100) / 100);
+      }
+      const existentes = new Set((await Produto.find({ _id: { $in: [...porProduto.keys()] }, ativo: true }).select('_id').lean()).map(p => String(p._id)));
+      for (const id of porProduto.keys()) if (!existentes.has(id)) { porProduto.delete(id); invalidos++; }
+      const novos = [...porProduto.keys()].filter(id => !atuais.has(id)).length;
+      if (plano && plano.atuais + novos > plano.limite) {
+        return res.status(403).json({
+          erro:`O plano Básico permite ${plano.limite} produtos. Sua loja tem ${plano.atuais} e a planilha traz ${novos} novos — restam ${Math.max(0, plano.limite - plano.atuais)} vagas. Desmarque produtos novos ou faça upgrade para o plano Pro.`,
+          limite: plano.limite, atuais: plano.atuais, novos,
+        });
+      }
+      const autor = req.user.usuario || 'Mercado';
+      let publicados = 0, iguais = 0, retidos = 0;
+      const resultado = [];
+      for (const [produtoId, preco] of porProduto) {
+        if (atuais.get(produtoId) === preco) { iguais++; resultado.push({ produtoId, preco, status:'igual' }); continue; }
+        const suspeita = await avaliarPreco(produtoId, preco);
+        if (suspeita) {
+          await Contribuicao.create({ tipo:'mercado', produtoId, mercadoId, preco, autor, obs:'Importação de planilha do mercado', ip:getIP(req), suspeita });
+          retidos++;
+          resultado.push({ produtoId, preco, status:'retido', motivo: suspeita.motivo });
+          continue;
+        }
+        await publicarPreco({ produtoId, mercadoId, preco, fonte:'mercado', autor });
+        publicados++;
+        resultado.push({ produtoId, preco, status:'publicado' });
+      }
+      if (retidos) notificarAdmins('nova_contribuicao', { autor, retidos, origem:'importacao' });
+      await registrarLog('preco', `Importação de planilha: ${publicados} publicados, ${retidos} retidos para revisão, ${iguais} sem alteração, ${invalidos} inválidos`, autor, getIP(req));
+      return res.json({ publicados, retidos, iguais, invalidos, itens: resultado });
+    }
+
+    // Prévia
+    const { arquivoBase64, nomeArquivo } = req.body;
+    if (!arquivoBase64) return res.status(400).json({ erro:'Envie a planilha (arquivoBase64) ou confirme os itens (confirmar:true)' });
+    const buffer = Buffer.from(String(arquivoBase64).replace(/^data:[^,]*,/, ''), 'base64');
+    if (!buffer.length) return res.status(400).json({ erro:'Arquivo vazio' });
+    if (buffer.length > IMPORTACAO_MAX_BYTES) return res.status(413).json({ erro:'Planilha muito grande (máx. 5 MB)' });
+    let lida;
+    try { lida = planilha.lerPlanilha(buffer, nomeArquivo); }
+    catch(e) { return res.status(e.status || 400).json({ erro: e.message }); }
+    if (!lida.linhas.length) return res.status(400).json({ erro:'Planilha sem linhas' });
+
+    const detectado = planilha.detectarColunas(lida.linhas);
+    const colunas = { ...detectado.colunas };
+    // Mapeamento manual (índice da coluna, base 0) sobrepõe o detectado
+    const manual = req.body.colunas || {};
+    for (const campo of ['produto', 'preco', 'ean']) {
+      if (manual[campo] === null || manual[campo] === '') colunas[campo] = null;
+      else if (Number.isInteger(Number(manual[campo])) && manual[campo] !== undefined) colunas[campo] = Number(manual[campo]);
+    }
+    const cabecalho = req.body.cabecalho !== undefined ? !!req.body.cabecalho : detectado.cabecalho;
+    const titulos = cabecalho ? lida.linhas[0] : lida.linhas[0].map((_, i) => `Coluna ${i + 1}`);
+    if (colunas.preco == null || (colunas.produto == null && colunas.ean == null)) {
+      return res.status(422).json({ erro:'Não identifiquei as colunas de produto/EAN e preço — indique-as manualmente', titulos, colunas, formato: lida.formato });
+    }
+
+    const indice = await indiceBusca();
+    const dados = lida.linhas.slice(cabecalho ? 1 : 0, (cabecalho ? 1 : 0) + planilha.MAX_LINHAS);
+    const vistos = new Set();
+    const linhas = dados.map((l, i) => {
+      const texto = colunas.produto != null ? String(l[colunas.produto] || '') : '';
+      const eanBruto = colunas.ean != null ? String(l[colunas.ean] || '') : '';
+      const ean = normalizarEAN(eanBruto);
+      const preco = planilha.precoPlanilha(l[colunas.preco]);
+      const linha = { linha: i + 1 + (cabecalho ? 1 : 0), texto, ean: ean || (eanBruto || null), preco: Number.isFinite(preco) ? Math.round(preco * 100) / 100 : null };
+      const casamento = casarLinhaCatalogo(texto, ean, indice);
+      linha.produto = casamento.produto ? { _id: casamento.produto._id, nome: casamento.produto.nome, emoji: casamento.produto.emoji } : null;
+      linha.confianca = casamento.confianca;
+      linha.casadoPor = casamento.por;
+      linha.alternativas = casamento.alternativas;
+      const id = linha.produto && String(linha.produto._id);
+      linha.precoAtual = id ? (atuais.get(id) ?? null) : null;
+      if (!validarPreco(preco)) linha.status = 'preco_invalido';
+      else if (!id) linha.status = 'sem_produto';
+      else if (vistos.has(id)) linha.status = 'duplicado';
+      else if (linha.precoAtual == null) linha.status = 'novo';
+      else linha.status = linha.precoAtual === linha.preco ? 'igual' : 'alterado';
+      if (id) vistos.add(id);
+      return linha;
+    });
+
+    const conta = st => linhas.filter(l => l.status === st).length;
+    const novos = conta('novo');
+    res.json({
+      formato: lida.formato, cabecalho, titulos, colunas, linhas,
+      resumo: { total: linhas.length, casados: linhas.filter(l => l.produto).length, semProduto: conta('sem_produto'), novos, alterados: conta('alterado'), iguais: conta('igual'), duplicados: conta('duplicado'), precoInvalido: conta('preco_invalido') },
+      plano: plano ? { ...plano, novos, excede: plano.atuais + novos > plano.limite } : null,
+    });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Histórico de um produto (?mercadoId= filtra uma loja, ?dias= define o período) + tendência por mercado
+app.get('/api/precos/:produtoId/historico', async (req, res) => {
+  try {
+    const { produtoId } = req.params;
+    const { mercadoId } = req.query;
+    if (!isObjId(produtoId)) return res.status(400).json({ erro:'produtoId inválido' });
+    if (mercadoId && !isObjId(mercadoId)) return res.status(400).json({ erro:'mercadoId inválido' });
+    const dias = Math.min(parseInt(req.query.dias) || 90, 365);
+    const filtro = { produtoId, createdAt: { $gte: new Date(Date.now() - dias*24*60*60*1000) } };
+    if (mercadoId) filtro.mercadoId = mercadoId;
+    const historico = await PrecoHistorico.find(filtro).sort({ createdAt:-1 }).limit(500).lean();
+
+    // Agrupa por mercado: preço atual, mínimo, máximo e variação (%) desde a 1ª observação do período
+    const porMercado = {};
+    historico.forEach(h => {
+      const mid = String(h.mercadoId);
+      if (!porMercado[mid]) porMercado[mid] = [];
+      porMercado[mid].push(h);
+    });
+    const tendencia = Object.entries(porMercado).map(([mid, obs]) => {
+      const valores = obs.map(o => o.preco);
+      const atual = obs[0].preco, inicial = obs[obs.length-1].preco;
+      return {
+        mercadoId: mid, atual, inicial, observacoes: obs.length,
+        min: Math.min(...valores), max: Math.max(...valores),
+        variacao: inicial > 0 ? Math.round((atual - inicial) / inicial * 1000) / 10 : 0,
+      };
+    });
+    res.json({ produtoId, dias, historico, tendencia });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
 // Excluir preço (admin)
-app.delete('/api/precos/:produtoId/:mercadoId', adminAuth, async (req, res) => {
+app.delete('/api/precos/:produtoId/:mercadoId', requirePerm('precos:editar'), async (req, res) => {
   try {
     const { produtoId, mercadoId } = req.params;
     if (!produtoId || produtoId === 'null' || produtoId === 'undefined' ||
@@ -1906,15 +3358,15 @@ app.delete('/api/precos/:produtoId/:mercadoId', adminAuth, async (req, res) => {
     }
     let deletado = false;
     // Tenta como string primeiro
-    const r1 = await Preco.findOneAndDelete({ produtoId, mercadoId });
-    if (r1) deletado = true;
+    let removido = await Preco.findOneAndDelete({ produtoId, mercadoId });
+    if (removido) deletado = true;
     // Tenta com ObjectId explícito se não encontrou
     if (!deletado && isObjId(produtoId) && isObjId(mercadoId)) {
-      const r2 = await Preco.findOneAndDelete({
+      removido = await Preco.findOneAndDelete({
         produtoId: new mongoose.Types.ObjectId(produtoId),
         mercadoId: new mongoose.Types.ObjectId(mercadoId)
       });
-      if (r2) deletado = true;
+      if (removido) deletado = true;
     }
     // Tenta busca mais ampla (produtoId pode estar armazenado como string ou ObjectId)
     if (!deletado) {
@@ -1928,16 +3380,18 @@ app.delete('/api/precos/:produtoId/:mercadoId', adminAuth, async (req, res) => {
       });
       if (r3.deletedCount) deletado = true;
     }
+    if (deletado) await auditar(req, { acao:'preco.excluir', entidade:'Preco', entidadeId:removido?._id || `${produtoId}:${mercadoId}`, antes:removido || { produtoId, mercadoId } });
     res.json({ ok: true, deletado });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // Limpar preço órfão (quando produto foi deletado mas preço persiste)
-app.post('/api/admin/limpar-preco-orfao', adminAuth, async (req, res) => {
+app.post('/api/admin/limpar-preco-orfao', requirePerm('precos:editar'), async (req, res) => {
   try {
     const { produtoId, mercadoId } = req.body;
     if (!produtoId || !mercadoId) return res.status(400).json({ erro:'produtoId e mercadoId obrigatórios' });
     // Deleta usando todas as formas possíveis
+    const antes = await Preco.findOne({ produtoId, mercadoId }).catch(() => null);
     const r = await Preco.deleteMany({
       $or: [
         { produtoId: produtoId, mercadoId: mercadoId },
@@ -1946,12 +3400,13 @@ app.post('/api/admin/limpar-preco-orfao', adminAuth, async (req, res) => {
         ...(isObjId(produtoId) && isObjId(mercadoId) ? [{ produtoId: new mongoose.Types.ObjectId(produtoId), mercadoId: new mongoose.Types.ObjectId(mercadoId) }] : [])
       ]
     });
+    if (r.deletedCount) await auditar(req, { acao:'preco.excluir_orfao', entidade:'Preco', entidadeId:antes?._id || `${produtoId}:${mercadoId}`, antes:antes || { produtoId, mercadoId } });
     res.json({ ok: true, removidos: r.deletedCount });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // Limpar TODOS os preços órfãos (produto não existe mais no catálogo)
-app.post('/api/admin/limpar-precos-orfaos', adminAuth, async (req, res) => {
+app.post('/api/admin/limpar-precos-orfaos', requirePerm('catalogo:reset'), async (req, res) => {
   try {
     const todosPrecos = await Preco.find();
     const produtosIds = new Set((await Produto.find({}, '_id')).map(p => String(p._id)));
@@ -1960,57 +3415,91 @@ app.post('/api/admin/limpar-precos-orfaos', adminAuth, async (req, res) => {
       await Preco.deleteMany({ _id: { $in: orfaos.map(p => p._id) } });
     }
     await registrarLog('admin', `Limpeza: ${orfaos.length} preço(s) órfão(s) removidos`, req.user.usuario, getIP(req));
+    await auditar(req, { acao:'preco.limpar_orfaos', entidade:'Preco', antes:{ removidos: orfaos.map(p => ({ _id:p._id, produtoId:p.produtoId, mercadoId:p.mercadoId, preco:p.preco })) } });
     res.json({ ok: true, removidos: orfaos.length });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // ── PROMOÇÕES ────────────────────────────────────────────
+// Separa as promoções vencidas (validade DD/MM/YYYY) e as deleta do banco (não apenas desativa)
+async function descartarPromosVencidas(promos) {
+  const expiradas = promos.filter(p => !promoVigente(p)).map(p => p._id);
+  if (expiradas.length) {
+    await Promocao.deleteMany({ _id: { $in: expiradas } }).catch(() => {});
+    console.log('[Promoções] Deletadas ' + expiradas.length + ' expiradas');
+  }
+  return promos.filter(p => promoVigente(p));
+}
+
 app.get('/api/promocoes', async (req, res) => {
   try {
-    const isAdmin = req.headers.authorization?.startsWith('Bearer ');
-    const todas = await Promocao.find({ ativa: true });
-
-    // Parse validade DD/MM/YYYY e desativar expiradas
-    const hoje = new Date();
-    hoje.setHours(0,0,0,0);
-    const expiradas = [];
-
-    const ativas = todas.filter(p => {
-      if (!p.validade) return true;
-      const partes = p.validade.split('/');
-      if (partes.length !== 3) return true;
-      const [dd, mm, yyyy] = partes.map(Number);
-      const dataVal = new Date(yyyy, mm - 1, dd);
-      if (dataVal < hoje) {
-        expiradas.push(p._id);
-        return false;
-      }
-      return true;
-    });
+    res.json(await descartarPromosVencidas(await Promocao.find({ ativa: true })));
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
 
-    // Deleta expiradas do banco (não apenas desativa)
-    if (expiradas.length) {
-      Promocao.deleteMany({ _id: { $in: expiradas } }).catch(() => {});
-      console.log('[Promoções] Deletadas ' + expiradas.length + ' expiradas');
-    }
+// ── SYNC INCREMENTAL ─────────────────────────────────────
+// GET /api/sync?desde=<cursor> — devolve só o que mudou desde o último sync do app.
+// Sem cursor (ou cursor mais velho que as lápides) a resposta é completa e o app substitui a cópia local.
+const SYNC_MARGEM_MS = 5000; // reentrega escritas que estavam em andamento durante a consulta
 
-    res.json(ativas);
+app.get('/api/sync', async (req, res) => {
+  try {
+    const agora = Date.now();
+    let desde = req.query.desde != null && req.query.desde !== '' ? Number(req.query.desde) : null;
+    if (desde != null && (!Number.isFinite(desde) || desde < 0 || desde > agora + 60000))
+      return res.status(400).json({ erro:'Parâmetro "desde" inválido (use o cursor devolvido pelo último sync)' });
+    // Lápides expiram: um cursor anterior à retenção não consegue saber o que foi apagado
+    if (desde != null && desde < agora - SYNC_LAPIDES_DIAS * 24 * 60 * 60 * 1000) desde = null;
+    const completo = desde == null;
+    const mudou = completo ? {} : { updatedAt: { $gt: new Date(desde) } };
+
+    // Vencidas viram lápides aqui, antes da leitura das remoções
+    await descartarPromosVencidas(await Promocao.find({ ativa: true }));
+
+    const [mercados, produtos, precos, promocoes, lapides] = await Promise.all([
+      Mercado.find(mudou).select('-senhaHash').lean(),
+      Produto.find(mudou).lean(),
+      Preco.find(mudou).populate('produtoId','nome emoji categoria quantidade unidade').populate('mercadoId','nome icone').lean(),
+      Promocao.find(mudou).lean(),
+      completo ? [] : Remocao.find({ createdAt: { $gt: new Date(desde) } }).lean(),
+    ]);
+
+    // Desativados (mercado/produto) e promoções pausadas saem da cópia local como remoções
+    const removidos = { mercados: [], produtos: [], precos: [], promocoes: [] };
+    for (const l of lapides) if (removidos[l.colecao]) removidos[l.colecao].push(l.docId);
+    const separar = (docs, ativo, colecao) => docs.filter(d => {
+      if (ativo(d)) return true;
+      if (!completo) removidos[colecao].push(String(d._id));
+      return false;
+    });
+
+    res.json({
+      cursor: agora - SYNC_MARGEM_MS,
+      completo,
+      mercados:  separar(mercados, m => m.ativo !== false, 'mercados'),
+      produtos:  separar(produtos, p => p.ativo !== false, 'produtos'),
+      precos:    precos.map(comPrecoUnitario),
+      promocoes: separar(promocoes, p => p.ativa !== false && promoVigente(p), 'promocoes'),
+      removidos,
+    });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // Admin pode ver todas incluindo inativas
-app.get('/api/promocoes/todas', adminAuth, async (req, res) => {
+app.get('/api/promocoes/todas', requirePerm('painel:ver'), async (req, res) => {
   try { res.json(await Promocao.find().sort({ createdAt: -1 })); }
   catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.post('/api/promocoes', adminAuth, async (req, res) => {
+app.post('/api/promocoes', requirePerm('promocoes:editar'), async (req, res) => {
   try {
     const { produtoId, mercadoId, precoNormal, precoPromo, descricao, validade } = req.body;
     if (!mercadoId) return res.status(400).json({ erro:'Selecione o mercado' });
     if (!produtoId) return res.status(400).json({ erro:'Selecione o produto' });
     if (!precoNormal||!precoPromo||!validade) return res.status(400).json({ erro:'Preencha todos os campos obrigatórios' });
     const pr = await Promocao.create({ produtoId, mercadoId, precoNormal:parseFloat(precoNormal), precoPromo:parseFloat(precoPromo), descricao:descricao||'', validade, ativa:true });
+    verificarAlertasPreco(pr.produtoId, pr.mercadoId);
+    await auditar(req, { acao:'promocao.criar', entidade:'Promocao', depois:pr });
     await registrarLog('admin', 'Promoção criada', req.user.usuario, getIP(req));
     // Web Push para todos os clientes
     try {
@@ -2046,29 +3535,25 @@ app.post('/api/mercado/promocoes', authMiddleware, async (req, res) => {
       if (dataVal < hoje) return res.status(400).json({ erro:'A data de validade não pode ser uma data passada.' });
     }
     const pr = await Promocao.create({ produtoId, mercadoId:req.user.mercadoId, precoNormal:parseFloat(precoNormal), precoPromo:parseFloat(precoPromo), descricao:descricao||'', validade });
+    verificarAlertasPreco(pr.produtoId, pr.mercadoId);
     res.status(201).json(pr);
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.patch('/api/promocoes/:id/toggle', adminAuth, async (req, res) => {
+app.patch('/api/promocoes/:id/toggle', requirePerm('promocoes:editar'), async (req, res) => {
   try {
     const pr = await Promocao.findById(req.params.id);
     if (!pr) return res.status(404).json({ erro:'Promoção não encontrada' });
+    const antes = pr.toObject();
     pr.ativa = !pr.ativa; await pr.save();
+    verificarAlertasPreco(pr.produtoId, pr.mercadoId);
+    await auditar(req, { acao:'promocao.alternar', entidade:'Promocao', antes, depois:pr });
     res.json(pr);
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // DELETE real no MongoDB — CORRIGIDO (antes só filtrava array local)
-// Middleware que aceita token de admin OU mercado
-function adminOrMercadoAuth(req, res, next){
-  authMiddleware(req, res, () => {
-    if (req.user.tipo === 'admin' || req.user.tipo === 'mercado') return next();
-    return res.status(403).json({ erro: 'Acesso negado' });
-  });
-}
-
-app.delete('/api/promocoes/:id', adminOrMercadoAuth, async (req, res) => {
+app.delete('/api/promocoes/:id', adminComPermOuMercado('promocoes:editar'), async (req, res) => {
   try {
     const id = req.params.id;
     if (!id || id === 'undefined' || id === 'null') return res.status(400).json({ erro:'ID inválido' });
@@ -2090,193 +3575,1022 @@ app.delete('/api/promocoes/:id', adminOrMercadoAuth, async (req, res) => {
       }
     }
     await Promocao.findByIdAndDelete(promo._id);
+    await auditar(req, { acao:'promocao.excluir', entidade:'Promocao', antes:promo });
     const autor = req.user.tipo === 'admin' ? req.user.usuario : 'mercado:'+req.user.login;
     await registrarLog('admin', `Promoção ${promo._id} removida por ${autor}`, autor, getIP(req));
     res.json({ mensagem:'Promoção excluída do banco' });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-// ── SOLICITAÇÃO DE NOVO PRODUTO (cliente) ────────────────
+// ── IMPULSIONAMENTOS ─────────────────────────────────────
+const IMPULSO_DURACOES = [12, 24, 48]; // horas aceitas
+
+function impulsoVigente() {
+  return { status: 'ativo', expiraEm: { $gt: new Date() } };
+}
+
+// Ativa (ou reativa) um impulsionamento; recusa se o produto já está em destaque no mesmo mercado
+async function ativarImpulso(imp, horas) {
+  const ja = await Impulsionamento.findOne({ ...impulsoVigente(), mercadoId: imp.mercadoId, produtoId: imp.produtoId, _id: { $ne: imp._id } });
+  if (ja) return { erro: 'Este produto já está impulsionado para este mercado' };
+  const agora = new Date();
+  imp.duracaoHoras = horas;
+  imp.status = 'ativo';
+  imp.ativadoEm = agora;
+  imp.expiraEm = new Date(agora.getTime() + horas * 60 * 60 * 1000);
+  await imp.save();
+  return { imp };
+}
+
+// Público: impulsionamentos em vigor (consumido pelo ranking da busca e do detalhe)
+app.get('/api/impulsionamentos', async (req, res) => {
+  try {
+    const filtro = impulsoVigente();
+    if (req.query.mercadoId && isObjId(req.query.mercadoId)) filtro.mercadoId = req.query.mercadoId;
+    if (req.query.produtoId && isObjId(req.query.produtoId)) filtro.produtoId = req.query.produtoId;
+    const lista = await Impulsionamento.find(filtro)
+      .select('mercadoId produtoId preco ativadoEm expiraEm')
+      .sort({ ativadoEm: 1 }).lean();
+    res.json(lista);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.get('/api/admin/impulsionamentos', requirePerm('painel:ver'), async (req, res) => {
+  try {
+    const filtro = {};
+    if (req.query.status) filtro.status = String(req.query.status);
+    res.json(await Impulsionamento.find(filtro).sort({ createdAt: -1 }).limit(200).lean());
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Admin cria já ativo (pagamento confirmado por fora)
+app.post('/api/admin/impulsionamentos', requirePerm('impulsionamentos:gerenciar'), async (req, res) => {
+  try {
+    const { mercadoId, produtoId, preco } = req.body;
+    const horas = parseInt(req.body.duracaoHoras) || 24;
+    if (!isObjId(mercadoId) || !isObjId(produtoId)) return res.status(400).json({ erro: 'mercadoId e produtoId obrigatórios' });
+    if (!IMPULSO_DURACOES.includes(horas)) return res.status(400).json({ erro: 'Duração inválida (12, 24 ou 48h)' });
+    if (preco != null && preco !== '' && !validarPreco(preco)) return res.status(400).json({ erro: 'Preço inválido' });
+    const [merc, prod] = await Promise.all([Mercado.findById(mercadoId).select('nome'), Produto.findById(produtoId).select('nome')]);
+    if (!merc || !prod) return res.status(404).json({ erro: 'Mercado ou produto não encontrado' });
+    const imp = new Impulsionamento({ mercadoId, produtoId, preco: preco ? parseFloat(preco) : null, criadoPor: req.user.usuario });
+    const r = await ativarImpulso(imp, horas);
+    if (r.erro) return res.status(409).json({ erro: r.erro });
+    await registrarLog('admin', `Impulsionamento ativado: ${prod.nome} @ ${merc.nome} por ${horas}h`, req.user.usuario, getIP(req));
+    await auditar(req, { acao:'impulsionamento.criar', entidade:'Impulsionamento', depois:r.imp });
+    res.status(201).json(r.imp);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Admin ativa uma solicitação pendente do mercado
+app.patch('/api/admin/impulsionamentos/:id/ativar', requirePerm('impulsionamentos:gerenciar'), async (req, res) => {
+  try {
+    if (!isObjId(req.params.id)) return res.status(400).json({ erro: 'ID inválido' });
+    const imp = await Impulsionamento.findById(req.params.id);
+    if (!imp) return res.status(404).json({ erro: 'Impulsionamento não encontrado' });
+    if (imp.status !== 'pendente') return res.status(400).json({ erro: 'Apenas solicitações pendentes podem ser ativadas' });
+    const horas = parseInt(req.body.duracaoHoras) || imp.duracaoHoras || 24;
+    if (!IMPULSO_DURACOES.includes(horas)) return res.status(400).json({ erro: 'Duração inválida (12, 24 ou 48h)' });
+    const antes = imp.toObject();
+    const r = await ativarImpulso(imp, horas);
+    if (r.erro) return res.status(409).json({ erro: r.erro });
+    await registrarLog('admin', `Impulsionamento ${imp._id} ativado por ${horas}h`, req.user.usuario, getIP(req));
+    await auditar(req, { acao:'impulsionamento.ativar', entidade:'Impulsionamento', antes, depois:r.imp });
+    res.json(r.imp);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Mercado: lista os próprios impulsionamentos (pendentes, ativos e recentes)
+app.get('/api/mercado/impulsionamentos', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.tipo !== 'mercado') return res.status(403).json({ erro:'Apenas mercados' });
+    res.json(await Impulsionamento.find({ mercadoId: req.user.mercadoId }).sort({ createdAt: -1 }).limit(50).lean());
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Mercado: solicita impulsionamento — fica pendente até o admin confirmar o pagamento
+app.post('/api/mercado/impulsionamentos', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.tipo !== 'mercado') return res.status(403).json({ erro:'Apenas mercados' });
+    const { produtoId, preco } = req.body;
+    const horas = parseInt(req.body.duracaoHoras) || 24;
+    if (!isObjId(produtoId)) return res.status(400).json({ erro: 'produtoId obrigatório' });
+    if (!IMPULSO_DURACOES.includes(horas)) return res.status(400).json({ erro: 'Duração inválida (12, 24 ou 48h)' });
+    if (preco != null && preco !== '' && !validarPreco(preco)) return res.status(400).json({ erro: 'Preço inválido' });
+    const prod = await Produto.findById(produtoId).select('nome');
+    if (!prod) return res.status(404).json({ erro: 'Produto não encontrado' });
+    const aberto = await Impulsionamento.findOne({
+      mercadoId: req.user.mercadoId, produtoId,
+      $or: [{ status: 'pendente' }, impulsoVigente()]
+    });
+    if (aberto) return res.status(409).json({ erro: aberto.status === 'pendente' ? 'Já existe uma solicitação pendente para este produto' : 'Este produto já está impulsionado' });
+    const imp = await Impulsionamento.create({
+      mercadoId: req.user.mercadoId, produtoId, preco: preco ? parseFloat(preco) : null,
+      duracaoHoras: horas, criadoPor: 'mercado:' + req.user.usuario
+    });
+    notificarAdmins('impulsionamento_solicitado', { id: imp._id, produto: prod.nome, mercado: req.user.usuario, horas });
+    res.status(201).json(imp);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Cancela: admin qualquer um; mercado só os próprios
+app.delete('/api/impulsionamentos/:id', adminComPermOuMercado('impulsionamentos:gerenciar'), async (req, res) => {
+  try {
+    if (!isObjId(req.params.id)) return res.status(400).json({ erro: 'ID inválido' });
+    const imp = await Impulsionamento.findById(req.params.id);
+    if (!imp) return res.status(404).json({ erro: 'Impulsionamento não encontrado' });
+    if (req.user.tipo === 'mercado' && String(imp.mercadoId) !== String(req.user.mercadoId))
+      return res.status(403).json({ erro: 'Você só pode cancelar impulsionamentos do seu mercado' });
+    if (!['pendente','ativo'].includes(imp.status)) return res.status(400).json({ erro: 'Impulsionamento já encerrado' });
+    const autor = req.user.tipo === 'admin' ? req.user.usuario : 'mercado:' + req.user.usuario;
+    const antes = imp.toObject();
+    imp.status = 'cancelado';
+    imp.canceladoPor = autor;
+    await imp.save();
+    await auditar(req, { acao:'impulsionamento.cancelar', entidade:'Impulsionamento', antes, depois:imp });
+    await registrarLog('admin', `Impulsionamento ${imp._id} cancelado por ${autor}`, autor, getIP(req));
+    res.json({ mensagem: 'Impulsionamento cancelado' });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// ── ESTATÍSTICAS DE MERCADO ──────────────────────────────
+const EVENTOS_TIPOS = ['visualizacao', 'lista', 'rota', 'impressao_promo'];
+const EVENTOS_LOTE_MAX = 50;
+const ESTATISTICAS_DIAS_MAX = 90;
+
+// Dia civil em Brasília (YYYY-MM-DD) — o servidor roda em UTC
+function diaChave(d) {
+  return d.toLocaleDateString('en-CA', { timeZone: 'America/Sao_Paulo' });
+}
+
+// Público: recebe lote de eventos do app e incrementa os contadores do dia
+// Cada evento: { tipo, mercadoId, produtoId? }
+app.post('/api/eventos', eventosLimiter, async (req, res) => {
+  try {
+    const lote = Array.isArray(req.body.eventos) ? req.body.eventos.slice(0, EVENTOS_LOTE_MAX) : [];
+    const validos = lote.filter(e => e && EVENTOS_TIPOS.includes(e.tipo) && isObjId(e.mercadoId) && (!e.produtoId || isObjId(e.produtoId)));
+    if (!validos.length) return res.json({ ok: true, registrados: 0 });
+    // Descarta mercados inexistentes para não acumular lixo
+    const idsMerc = [...new Set(validos.map(e => String(e.mercadoId)))];
+    const existentes = new Set((await Mercado.find({ _id: { $in: idsMerc } }).select('_id').lean()).map(m => String(m._id)));
+    const contagem = new Map();
+    validos.filter(e => existentes.has(String(e.mercadoId))).forEach(e => {
+      const k = [e.tipo, e.mercadoId, e.produtoId || ''].join('|');
+      contagem.set(k, (contagem.get(k) || 0) + 1);
+    });
+    const dia = diaChave(new Date());
+    const ops = [...contagem].map(([k, n]) => {
+      const [tipo, mercadoId, produtoId] = k.split('|');
+      return { updateOne: {
+        filter: { mercadoId, produtoId: produtoId || null, dia, tipo },
+        update: { $inc: { total: n } },
+        upsert: true
+      } };
+    });
+    if (ops.length) await EstatisticaDiaria.bulkWrite(ops, { ordered: false });
+    res.json({ ok: true, registrados: ops.length });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Painel do mercado: séries diárias + produtos mais vistos (Pro: 30 dias, Premium: 90 dias)
+app.get('/api/mercado/estatisticas', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.tipo !== 'mercado') return res.status(403).json({ erro:'Apenas mercados' });
+    const mercDono = await Mercado.findById(req.user.mercadoId);
+    const planoMerc = (mercDono?.plano||'').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g,'');
+    const planoOrd = {basico:1,pro:2,premium:3};
+    if ((planoOrd[planoMerc]||0) < 2) return res.status(403).json({ erro:'Estatísticas disponíveis apenas nos planos Pro e Premium. Faça upgrade para acessar este recurso.' });
+    const diasMax = planoMerc === 'premium' ? ESTATISTICAS_DIAS_MAX : 30;
+    const dias = Math.min(Math.max(parseInt(req.query.dias) || 30, 1), diasMax);
+
+    const chaves = [];
+    for (let i = dias - 1; i >= 0; i--) chaves.push(diaChave(new Date(Date.now() - i * 24 * 60 * 60 * 1000)));
+    const linhas = await EstatisticaDiaria.find({ mercadoId: req.user.mercadoId, dia: { $gte: chaves[0] } }).lean();
+
+    const vazio = () => Object.fromEntries(EVENTOS_TIPOS.map(t => [t, 0]));
+    const porDia = new Map(chaves.map(d => [d, { dia: d, ...vazio() }]));
+    const totais = vazio();
+    const porProduto = new Map();
+    linhas.forEach(l => {
+      if (porDia.has(l.dia)) porDia.get(l.dia)[l.tipo] += l.total;
+      totais[l.tipo] += l.total;
+      if (l.produtoId) {
+        const k = String(l.produtoId);
+        if (!porProduto.has(k)) porProduto.set(k, { produtoId: k, ...vazio() });
+        porProduto.get(k)[l.tipo] += l.total;
+      }
+    });
+
+    const top = [...porProduto.values()]
+      .map(p => ({ ...p, total: EVENTOS_TIPOS.reduce((s, t) => s + p[t], 0) }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, 10);
+    const prods = await Produto.find({ _id: { $in: top.map(p => p.produtoId) } }).select('nome emoji').lean();
+    const prodMap = new Map(prods.map(p => [String(p._id), p]));
+    const topProdutos = top.map(p => ({ ...p, nome: prodMap.get(p.produtoId)?.nome || '?', emoji: prodMap.get(p.produtoId)?.emoji || '📦' }));
+
+    res.json({ dias, diasMax, totais, serie: [...porDia.values()], topProdutos });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// ── SOLICITAÇÃO DE NOVO PRODUTO (cliente, com preço e mercado onde viu) ──
 app.post('/api/solicitacao-produto', authMiddleware, async (req, res) => {
   try {
     const { nome, preco, mercadoId, mercadoNome, obs, autor } = req.body;
-    if (!nome) return res.status(400).json({ erro:'Nome do produto obrigatório' });
-    const descricao = `Novo produto solicitado: "${nome}" | Preço sugerido: R$ ${preco||'N/A'} | Mercado: ${mercadoNome||'N/A'} | MercadoId: ${mercadoId||''} | Por: ${autor||req.user.login||'anon'}`;
-    // Salva com campos estruturados para o admin recuperar sem parsear texto
-    await Log.create({
-      tipo: 'produto_solicitado',
-      descricao,
-      usuario: req.user.login || req.user.usuario || 'anon',
-      ip: getIP(req),
-      mercadoId:   mercadoId   || '',
-      mercadoNome: mercadoNome || '',
-      preco:       parseFloat(preco) || 0,
-      nomeProduto: nome,
+    if (!nome || !String(nome).trim()) return res.status(400).json({ erro:'Nome do produto obrigatório' });
+    const { sol, novo, jaVotou } = await registrarSolicitacaoProduto({
+      nome, preco, mercadoId, mercadoNome, obs,
+      clienteId: req.user.tipo === 'cliente' ? req.user.id : null,
+      login: req.user.login || req.user.usuario || 'anon',
     });
-    notificarAdmins('produto_solicitado', { nome, preco, mercadoNome, autor: autor||req.user.login });
-    res.json({ ok:true, mensagem:'Solicitação registrada!' });
+    if (!jaVotou) notificarAdmins('produto_solicitado', { id: sol._id, nome: sol.nome, preco, mercadoNome, votos: sol.votos, novo, autor: autor||req.user.login });
+    res.json({ ok:true, id: sol._id, votos: sol.votos, mensagem: jaVotou ? 'Você já pediu este produto.' : 'Solicitação registrada!' });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // ── CONTRIBUIÇÕES ────────────────────────────────────────
-app.get('/api/contribuicoes', adminAuth, async (req, res) => {
+app.get('/api/contribuicoes', requirePerm('contribuicoes:moderar'), async (req, res) => {
   try { res.json(await Contribuicao.find().sort({ createdAt:-1 }).limit(200)); }
   catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.post('/api/contribuicoes', authMiddleware, async (req, res) => {
+app.post('/api/contribuicoes', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.tipo !== 'cliente') return res.status(403).json({ erro:'Apenas clientes' });
+    const { produtoId, mercadoId, preco, tipo, obs } = req.body;
+    if (!produtoId||!mercadoId||!preco) return res.status(400).json({ erro:'produtoId, mercadoId e preco obrigatorios' });
+    if (!isObjId(String(produtoId))) return res.status(400).json({ erro:'produtoId inválido. Selecione um produto do catálogo.' });
+    if (!isObjId(String(mercadoId))) return res.status(400).json({ erro:'mercadoId inválido. Selecione um mercado.' });
+    if (!validarPreco(preco)) return res.status(400).json({ erro:'Preco invalido (positivo, menor que R$ 99.999)' });
+    const c = await Cliente.findById(req.user.id);
+    if (!c || c.bloqueado) return res.status(403).json({ erro:'Conta bloqueada' });
+    const suspeita = await avaliarPreco(produtoId, preco);
+    const auto = !suspeita && await autoAprovar(c);
+    const contrib = await Contribuicao.create({ tipo:tipo||'texto', produtoId, mercadoId, preco:parseFloat(preco), autor:c.nome, clienteId:c._id, obs:obs||'', ip:getIP(req), status: auto ? 'aprovado' : 'pendente', autoAprovada: auto, suspeita });
+    if (auto) {
+      // Sem $inc em totalContribuicoes: a reputação só sobe com aprovação da equipe, senão se realimenta
+      await publicarContribuicao(contrib);
+      return res.status(201).json({ mensagem:'Preço publicado! Obrigado pela contribuição.', id:contrib._id, autoAprovada:true });
+    }
+    notificarAdmins('nova_contribuicao', { id:contrib._id, autor:c.nome, suspeita: suspeita?.motivo });
+    res.status(201).json({ mensagem: suspeita ? 'Preço fora do padrão para este produto — enviado para revisão.' : 'Contribuição enviada! Aguarda aprovação.', id:contrib._id, suspeita: !!suspeita });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// ── REPUTAÇÃO DO CLIENTE ─────────────────────────────────
+// Pontuação 0–100 calculada na hora a partir do histórico do cliente:
+//   60 pts  taxa de aprovação (suavizada: quem tem pouco histórico fica perto de 50%)
+//   20 pts  volume de contribuições aprovadas pela equipe (satura em 50); auto-aprovadas não contam
+//   20 pts  idade da conta (satura em 180 dias)
+//   −8 por report recebido, −10 por erro consecutivo; bloqueado = 0
+// Limiar de auto-aprovação e amostra que ainda vai para revisão ficam na config 'reputacao'.
+const REPUTACAO_PADRAO = { limiarAutoAprovacao: 80, amostraRevisao: 0.1 };
+const REPUTACAO_NIVEIS = [
+  { min: 85, nivel: 'referencia',  nome: 'Referência' },
+  { min: 70, nivel: 'confiavel',   nome: 'Confiável' },
+  { min: 40, nivel: 'colaborador', nome: 'Colaborador' },
+  { min: 0,  nivel: 'iniciante',   nome: 'Iniciante' },
+];
+
+function calcularReputacao(c) {
+  if (!c) return null;
+  const aprovadas  = c.totalContribuicoes || 0;
+  const rejeitadas = c.contribuicoesRejeitadas || 0;
+  const idadeDias  = c.createdAt ? (Date.now() - new Date(c.createdAt).getTime()) / 86400000 : 0;
+  let pontos = 0;
+  if (!c.bloqueado) {
+    pontos = 60 * (aprovadas + 1) / (aprovadas + rejeitadas + 2)
+           + 20 * Math.min(aprovadas, 50) / 50
+           + 20 * Math.min(Math.max(idadeDias, 0), 180) / 180
+           - 8  * (c.reportsRecebidos || 0)
+           - 10 * (c.errosConsecutivos || 0);
+  }
+  pontos = Math.max(0, Math.min(100, Math.round(pontos)));
+  const n = REPUTACAO_NIVEIS.find(x => pontos >= x.min);
+  return { pontos, nivel: n.nivel, nome: n.nome };
+}
+
+async function configReputacao() {
+  const cfg = await Config.findOne({ chave: 'reputacao' }).lean().catch(() => null);
+  return { ...REPUTACAO_PADRAO, ...(cfg?.valor || {}) };
+}
+
+// Limiar de auto-aprovação da config 'reputacao' (valor inválido cai no padrão)
+function limiarReputacao(cfg) {
+  return Number.isFinite(Number(cfg.limiarAutoAprovacao)) ? Number(cfg.limiarAutoAprovacao) : REPUTACAO_PADRAO.limiarAutoAprovacao;
+}
+
+// Decide se uma contribuição do cliente pula a fila: reputação acima do limiar e fora da amostra aleatória
+async function autoAprovar(cliente) {
+  const rep = calcularReputacao(cliente);
+  const cfg = await configReputacao();
+  const limiar = limiarReputacao(cfg);
+  const amostra = Number.isFinite(Number(cfg.amostraRevisao)) ? Number(cfg.amostraRevisao) : REPUTACAO_PADRAO.amostraRevisao;
+  if (!rep || rep.pontos < limiar) return false;
+  return Math.random() >= amostra;
+}
+
+// Publica o preço de uma contribuição aprovada; a fonte no histórico segue a origem da contribuição
+const FONTE_CONTRIBUICAO = { nfce:'nfce', report:'report', mercado:'mercado', fila_ia:'fila_ia' };
+async function publicarContribuicao(c) {
+  if (c.produtoId && c.mercadoId && c.preco && isObjId(String(c.produtoId)) && isObjId(String(c.mercadoId))) {
+    await publicarPreco({ produtoId:c.produtoId, mercadoId:c.mercadoId, preco:c.preco, fonte: FONTE_CONTRIBUICAO[c.tipo] || 'cliente', autor:c.autor });
+  }
+}
+
+// Conta uma rejeição para o cliente; bloqueia automaticamente com >= 3 erros consecutivos
+async function penalizarCliente(clienteId, motivo, rejeitadas = 1) {
+  if (!clienteId) return false;
+  const cli = await Cliente.findByIdAndUpdate(
+    clienteId,
+    { $inc: { errosConsecutivos: 1, contribuicoesRejeitadas: rejeitadas } },
+    { new: true }
+  );
+  if (cli && cli.errosConsecutivos >= 3 && !cli.bloqueado) {
+    await Cliente.findByIdAndUpdate(clienteId, {
+      bloqueado: true,
+      motivoBloqueio: `Bloqueado automaticamente: ${cli.errosConsecutivos} contribuições rejeitadas consecutivas. Último motivo: ${motivo||'sem motivo'}`,
+      dataBloqueio: new Date().toLocaleDateString('pt-BR'),
+    });
+    return true;
+  }
+  return false;
+}
+
+// Recalcula o status da NFC-e a partir das linhas (contribuições) dela
+async function atualizarStatusNota(notaId) {
+  if (!notaId) return null;
+  const linhas = await Contribuicao.find({ notaId }).select('status').lean();
+  const n = st => linhas.filter(l => l.status === st).length;
+  const status = n('pendente') ? 'pendente'
+    : n('aprovado') === linhas.length ? 'aprovada'
+    : n('rejeitado') === linhas.length ? 'rejeitada'
+    : 'parcial';
+  return NotaNFCe.findByIdAndUpdate(notaId, { status }, { new:true });
+}
+
+app.patch('/api/contribuicoes/:id/aprovar', requirePerm('contribuicoes:moderar'), async (req, res) => {
+  try {
+    const antes = await Contribuicao.findById(req.params.id);
+    if (!antes) return res.status(404).json({ erro:'Não encontrada' });
+    const c = await Contribuicao.findByIdAndUpdate(req.params.id, { status:'aprovado' }, { new:true });
+    await publicarContribuicao(c);
+    if (c.clienteId) await Cliente.findByIdAndUpdate(c.clienteId, { $inc:{ totalContribuicoes:1 }, errosConsecutivos:0 });
+    await atualizarStatusNota(c.notaId);
+    await atualizarStatusFilaIA(c.filaIAId, true);
+    await auditar(req, { acao:'contribuicao.aprovar', entidade:'Contribuicao', antes, depois:c });
+    res.json({ mensagem:'Aprovado e preço publicado!' });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.patch('/api/contribuicoes/:id/rejeitar', requirePerm('contribuicoes:moderar'), async (req, res) => {
+  try {
+    const motivo = req.body?.motivo || '';
+    const antes = await Contribuicao.findById(req.params.id);
+    if (!antes) return res.status(404).json({ erro:'Não encontrada' });
+    const c = await Contribuicao.findByIdAndUpdate(req.params.id, { status:'rejeitado', motivoRecusa:motivo }, { new:true });
+    await atualizarStatusNota(c.notaId);
+    await atualizarStatusFilaIA(c.filaIAId, true);
+    await auditar(req, { acao:'contribuicao.rejeitar', entidade:'Contribuicao', antes, depois:c });
+    // Leitura errada da IA não conta contra quem mandou a foto
+    const bloqueadoAgora = c.filaIAId ? false : await penalizarCliente(c.clienteId, motivo);
+    res.json({ mensagem:'Rejeitado', bloqueadoAgora });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// ── NOTAS FISCAIS (NFC-e) ENVIADAS POR CLIENTES ──────────
+app.get('/api/admin/notas-nfce', requirePerm('contribuicoes:moderar'), async (req, res) => {
+  try {
+    const filtro = req.query.status ? { status: String(req.query.status) } : {};
+    const notas = await NotaNFCe.find(filtro).sort({ createdAt:-1 }).limit(100)
+      .populate('clienteId','nome login').populate('mercadoId','nome icone').lean();
+    const pendentes = await Contribuicao.aggregate([
+      { $match: { notaId: { $in: notas.map(n => n._id) }, status:'pendente' } },
+      { $group: { _id:'$notaId', total:{ $sum:1 } } },
+    ]);
+    const porNota = new Map(pendentes.map(p => [String(p._id), p.total]));
+    res.json(notas.map(n => ({ ...n, pendentes: porNota.get(String(n._id)) || 0 })));
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.get('/api/admin/notas-nfce/:id', requirePerm('contribuicoes:moderar'), async (req, res) => {
+  try {
+    if (!isObjId(req.params.id)) return res.status(400).json({ erro:'ID inválido' });
+    const nota = await NotaNFCe.findById(req.params.id).populate('clienteId','nome login').populate('mercadoId','nome icone').lean();
+    if (!nota) return res.status(404).json({ erro:'Nota não encontrada' });
+    const linhas = await Contribuicao.find({ notaId: nota._id }).sort({ createdAt:1 }).lean();
+    res.json({ ...nota, linhas });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Linhas pendentes da nota a moderar: todas, ou só os ids enviados em body.ids
+async function linhasPendentesDaNota(req) {
+  if (!isObjId(req.params.id)) return { status:400, erro:'ID inválido' };
+  const nota = await NotaNFCe.findById(req.params.id);
+  if (!nota) return { status:404, erro:'Nota não encontrada' };
+  const filtro = { notaId: nota._id, status:'pendente' };
+  if (Array.isArray(req.body?.ids)) filtro._id = { $in: req.body.ids.filter(id => isObjId(String(id))) };
+  const linhas = await Contribuicao.find(filtro);
+  if (!linhas.length) return { status:400, erro:'Nenhuma linha pendente para moderar' };
+  return { nota, linhas };
+}
+
+app.patch('/api/admin/notas-nfce/:id/aprovar', requirePerm('contribuicoes:moderar'), async (req, res) => {
+  try {
+    const r = await linhasPendentesDaNota(req);
+    if (r.erro) return res.status(r.status).json({ erro: r.erro });
+    const ids = r.linhas.map(l => l._id);
+    await Contribuicao.updateMany({ _id: { $in: ids } }, { status:'aprovado' });
+    for (const l of r.linhas) await publicarContribuicao(l);
+    await Cliente.findByIdAndUpdate(r.nota.clienteId, { $inc:{ totalContribuicoes: ids.length }, errosConsecutivos:0 });
+    const nota = await atualizarStatusNota(r.nota._id);
+    await registrarLog('contribuicao', `NFC-e ${r.nota.chave}: ${ids.length} linha(s) aprovada(s)`, req.user.usuario, getIP(req));
+    await auditar(req, { acao:'nota_nfce.aprovar', entidade:'NotaNFCe', entidadeId:r.nota._id, antes:{ status:r.nota.status }, depois:{ status:nota.status, aprovadas:ids } });
+    res.json({ mensagem:`${ids.length} preço(s) aprovado(s) e publicado(s)!`, aprovadas: ids.length, status: nota.status });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.patch('/api/admin/notas-nfce/:id/rejeitar', requirePerm('contribuicoes:moderar'), async (req, res) => {
+  try {
+    const motivo = req.body?.motivo || '';
+    const r = await linhasPendentesDaNota(req);
+    if (r.erro) return res.status(r.status).json({ erro: r.erro });
+    const ids = r.linhas.map(l => l._id);
+    await Contribuicao.updateMany({ _id: { $in: ids } }, { status:'rejeitado', motivoRecusa:motivo });
+    const nota = await atualizarStatusNota(r.nota._id);
+    await registrarLog('contribuicao', `NFC-e ${r.nota.chave}: ${ids.length} linha(s) rejeitada(s)`, req.user.usuario, getIP(req));
+    await auditar(req, { acao:'nota_nfce.rejeitar', entidade:'NotaNFCe', entidadeId:r.nota._id, antes:{ status:r.nota.status }, depois:{ status:nota.status, rejeitadas:ids, motivo } });
+    // Uma nota (ou um conjunto de linhas dela) rejeitada conta como um erro só para o bloqueio automático
+    const bloqueadoAgora = await penalizarCliente(r.nota.clienteId, motivo, ids.length);
+    res.json({ mensagem:`${ids.length} linha(s) rejeitada(s)`, rejeitadas: ids.length, status: nota.status, bloqueadoAgora });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// ── REPORTS (preço incorreto) ────────────────────────────
+app.post('/api/reports', authMiddleware, async (req, res) => {
+  try {
+    const { produtoId, mercadoId, motivo, detalhes, precoCorreto, autorOriginal } = req.body;
+    if (!produtoId || !mercadoId) return res.status(400).json({ erro: 'produtoId e mercadoId obrigatórios' });
+
+    const reporter = await Cliente.findById(req.user.id);
+    if (!reporter) return res.status(404).json({ erro: 'Cliente não encontrado' });
+
+    // 1. Registrar o report como contribuição — o preço "correto" também passa pela sanidade
+    const temPreco = precoCorreto && parseFloat(precoCorreto) > 0 && isObjId(String(produtoId)) && isObjId(String(mercadoId));
+    const suspeita = temPreco ? await avaliarPreco(produtoId, precoCorreto) : null;
+    const contrib = await Contribuicao.create({
+      tipo: 'report',
+      produtoId, mercadoId,
+      preco: precoCorreto || null,
+      autor: reporter.nome,
+      clienteId: reporter._id,
+      obs: `REPORT: ${motivo}. ${detalhes || ''}. Autor original: ${autorOriginal || 'desconhecido'}`,
+      status: suspeita ? 'pendente' : 'aprovado',
+      suspeita,
+      ip: getIP(req)
+    });
+
+    // 2. Se informou preço correto, atualizar o preço no banco (suspeito fica retido para o admin)
+    if (temPreco && !suspeita) {
+      await publicarPreco({ produtoId, mercadoId, preco: precoCorreto, fonte: 'report', autor: reporter.nome });
+    }
+    if (suspeita) notificarAdmins('nova_contribuicao', { id:contrib._id, autor:reporter.nome, suspeita: suspeita.motivo });
+
+    // 3. Verificar se o autor ORIGINAL do preço (quem postou o preço errado) tem 3+ reports em 4 dias
+    if (autorOriginal && autorOriginal !== 'Admin' && autorOriginal !== 'admin') {
+      const clienteOriginal = await Cliente.findOne({
+        $or: [{ nome: autorOriginal }, { login: autorOriginal.toLowerCase() }]
+      });
+      if (clienteOriginal && !clienteOriginal.bloqueado) {
+        // Contar reports contra este cliente nos últimos 4 dias
+        const limite4d = new Date(Date.now() - 4 * 24 * 60 * 60 * 1000);
+        const reportsContra = await Contribuicao.countDocuments({
+          tipo: 'report',
+          obs: { $regex: autorOriginal, $options: 'i' },
+          createdAt: { $gte: limite4d }
+        });
+
+        // Incrementar errosConsecutivos (e o total de reports, que pesa na reputação)
+        await Cliente.findByIdAndUpdate(clienteOriginal._id, { $inc: { errosConsecutivos: 1, reportsRecebidos: 1 } });
+
+        if (reportsContra >= 2) { // Este é o 3º (0-indexed: já tinha 2, agora +1 = 3)
+          // Bloquear automaticamente
+          await Cliente.findByIdAndUpdate(clienteOriginal._id, {
+            bloqueado: true,
+            motivoBloqueio: `Bloqueio automático: ${reportsContra + 1} preços reportados como incorretos em 4 dias. Contacte o suporte para revisão.`,
+            banTemporario: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toLocaleDateString('pt-BR'),
+            banPermanente: false
+          });
+
+          // Registrar ocorrência para o admin
+          await Ocorrencia.create({
+            cliente: clienteOriginal.nome,
+            clienteLogin: clienteOriginal.login,
+            whatsapp: clienteOriginal.telefone,
+            mensagem: `⚠️ BLOQUEIO AUTOMÁTICO: "${clienteOriginal.nome}" (${clienteOriginal.login}) bloqueado por ${reportsContra + 1} preços reportados como incorretos em 4 dias. WhatsApp: ${clienteOriginal.telefone || 'não informado'}`,
+            status: 'aberto'
+          });
+
+          // Notificar admins online
+          notificarAdmins('cliente_bloqueado_auto', {
+            clienteId: clienteOriginal._id,
+            nome: clienteOriginal.nome,
+            login: clienteOriginal.login,
+            whatsapp: clienteOriginal.telefone,
+            reports: reportsContra + 1,
+            mensagem: `Cliente "${clienteOriginal.nome}" bloqueado automaticamente por ${reportsContra + 1} reports`
+          });
+
+          await registrarLog('auth', `Bloqueio automático: ${clienteOriginal.login} — ${reportsContra + 1} reports em 4 dias`, 'sistema', getIP(req));
+        }
+      }
+    }
+
+    await registrarLog('report', `Report: produtoId=${produtoId}, mercadoId=${mercadoId}, motivo=${motivo}`, reporter.login, getIP(req));
+    notificarAdmins('novo_report', { produtoId, mercadoId, motivo, reporter: reporter.nome });
+
+    res.json({ ok: true, suspeita: !!suspeita, mensagem: suspeita ? 'Report enviado! O preço informado está fora do padrão e será revisado antes de publicar.' : 'Report enviado! Obrigado por manter os preços corretos.' });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// ── LISTAS DE COMPRAS ────────────────────────────────────
+// Dono da lista: cliente logado (Bearer) ou dispositivo anônimo (header X-Dispositivo)
+const LISTAS_MAX = 20, LISTA_ITENS_MAX = 200;
+const tokenDispositivoValido = t => typeof t === 'string' && /^[A-Za-z0-9_-]{16,64}$/.test(t);
+
+function donoListaAuth(req, res, next) {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (token) {
+    try {
+      req.user = jwt.verify(token, JWT_SECRET);
+      if (req.user.tipo !== 'cliente') return res.status(403).json({ erro:'Listas de compras são apenas para clientes' });
+      req.donoLista = { clienteId: req.user.id };
+      return next();
+    } catch { return res.status(401).json({ erro: 'Sessão expirada — faça login novamente' }); }
+  }
+  const disp = req.headers['x-dispositivo'];
+  if (!tokenDispositivoValido(disp)) return res.status(401).json({ erro:'Faça login ou informe o token do dispositivo' });
+  req.donoLista = { clienteId: null, dispositivoToken: disp };
+  next();
+}
+
+// Normaliza itens vindos do app: descarta inválidos, junta duplicados e completa nome/emoji pelo catálogo
+async function normalizarItensLista(itens) {
+  const porProduto = new Map();
+  for (const it of (Array.isArray(itens) ? itens : []).slice(0, LISTA_ITENS_MAX)) {
+    const pid = String(it?.produtoId || '');
+    if (!isObjId(pid)) continue;
+    porProduto.set(pid, {
+      produtoId:  pid,
+      quantidade: Math.max(1, Math.min(999, parseInt(it.quantidade) || 1)),
+      comprado:   !!it.comprado,
+      mercadoId:  isObjId(String(it.mercadoId||'')) ? String(it.mercadoId) : null,
+      precoRef:   validarPreco(it.precoRef) ? parseFloat(it.precoRef) : 0,
+    });
+  }
+  const produtos = await Produto.find({ _id: { $in: [...porProduto.keys()] } }, 'nome emoji').lean();
+  const mapa = new Map(produtos.map(p => [String(p._id), p]));
+  return [...porProduto.values()]
+    .filter(it => mapa.has(it.produtoId))
+    .map(it => ({ ...it, nome: mapa.get(it.produtoId).nome, emoji: mapa.get(it.produtoId).emoji }));
+}
+
+// Login/cadastro: listas criadas anonimamente no dispositivo passam para a conta
+async function mesclarListasDispositivo(clienteId, dispositivoToken) {
+  if (!tokenDispositivoValido(dispositivoToken)) return 0;
+  const anonimas = await ListaCompras.find({ dispositivoToken, clienteId: null });
+  if (!anonimas.length) return 0;
+  const principal = await ListaCompras.findOne({ clienteId }).sort({ createdAt: 1 });
+  if (!principal) {
+    // Conta sem listas: as do dispositivo simplesmente mudam de dono
+    await ListaCompras.updateMany({ _id: { $in: anonimas.map(l => l._id) } }, { clienteId, dispositivoToken: null });
+    return anonimas.length;
+  }
+  // Conta já tem lista: itens entram na principal (mesmo produto → maior quantidade)
+  for (const lista of anonimas) {
+    for (const it of lista.itens) {
+      const existente = principal.itens.find(i => String(i.produtoId) === String(it.produtoId));
+      if (existente) existente.quantidade = Math.max(existente.quantidade, it.quantidade);
+      else if (principal.itens.length < LISTA_ITENS_MAX) principal.itens.push(it.toObject());
+    }
+  }
+  await principal.save();
+  await ListaCompras.deleteMany({ _id: { $in: anonimas.map(l => l._id) } });
+  return anonimas.length;
+}
+
+async function buscarListaDoDono(req, res) {
+  if (!isObjId(req.params.id)) { res.status(400).json({ erro:'ID inválido' }); return null; }
+  const lista = await ListaCompras.findOne({ _id: req.params.id, ...req.donoLista });
+  if (!lista) { res.status(404).json({ erro:'Lista não encontrada' }); return null; }
+  return lista;
+}
+
+app.get('/api/listas', donoListaAuth, async (req, res) => {
+  try { res.json(await ListaCompras.find(req.donoLista).sort({ updatedAt: -1 })); }
+  catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.post('/api/listas', donoListaAuth, async (req, res) => {
+  try {
+    if (await ListaCompras.countDocuments(req.donoLista) >= LISTAS_MAX)
+      return res.status(400).json({ erro:`Limite de ${LISTAS_MAX} listas atingido` });
+    const lista = await ListaCompras.create({
+      ...req.donoLista,
+      nome: sanitize(req.body.nome || 'Minha lista', 60),
+      itens: await normalizarItensLista(req.body.itens),
+    });
+    res.status(201).json(lista);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.get('/api/listas/:id', donoListaAuth, async (req, res) => {
+  try {
+    const lista = await buscarListaDoDono(req, res);
+    if (lista) res.json(lista);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Substitui nome e/ou itens inteiros (sincronização do app)
+app.put('/api/listas/:id', donoListaAuth, async (req, res) => {
+  try {
+    const lista = await buscarListaDoDono(req, res);
+    if (!lista) return;
+    if (req.body.nome !== undefined) lista.nome = sanitize(String(req.body.nome), 60) || 'Minha lista';
+    if (req.body.itens !== undefined) lista.itens = await normalizarItensLista(req.body.itens);
+    await lista.save();
+    res.json(lista);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.delete('/api/listas/:id', donoListaAuth, async (req, res) => {
+  try {
+    const lista = await buscarListaDoDono(req, res);
+    if (!lista) return;
+    await ListaCompras.deleteOne({ _id: lista._id });
+    res.json({ ok: true });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Operações por item — evitam sobrescrever mudanças feitas em outro aparelho
+app.post('/api/listas/:id/itens', donoListaAuth, async (req, res) => {
+  try {
+    const lista = await buscarListaDoDono(req, res);
+    if (!lista) return;
+    const [item] = await normalizarItensLista([req.body]);
+    if (!item) return res.status(400).json({ erro:'produtoId inválido' });
+    const existente = lista.itens.find(i => String(i.produtoId) === item.produtoId);
+    if (existente) existente.quantidade = Math.min(999, existente.quantidade + item.quantidade);
+    else if (lista.itens.length >= LISTA_ITENS_MAX) return res.status(400).json({ erro:`Limite de ${LISTA_ITENS_MAX} itens por lista` });
+    else lista.itens.push(item);
+    await lista.save();
+    res.status(201).json(lista);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.patch('/api/listas/:id/itens/:produtoId', donoListaAuth, async (req, res) => {
+  try {
+    const lista = await buscarListaDoDono(req, res);
+    if (!lista) return;
+    const item = lista.itens.find(i => String(i.produtoId) === req.params.produtoId);
+    if (!item) return res.status(404).json({ erro:'Item não está na lista' });
+    const { quantidade, comprado, mercadoId, precoRef } = req.body;
+    if (quantidade !== undefined) item.quantidade = Math.max(1, Math.min(999, parseInt(quantidade) || 1));
+    if (comprado   !== undefined) item.comprado = !!comprado;
+    if (mercadoId  !== undefined) item.mercadoId = isObjId(String(mercadoId||'')) ? mercadoId : null;
+    if (precoRef   !== undefined && validarPreco(precoRef)) item.precoRef = parseFloat(precoRef);
+    await lista.save();
+    res.json(lista);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.delete('/api/listas/:id/itens/:produtoId', donoListaAuth, async (req, res) => {
+  try {
+    const lista = await buscarListaDoDono(req, res);
+    if (!lista) return;
+    lista.itens = lista.itens.filter(i => String(i.produtoId) !== req.params.produtoId);
+    await lista.save();
+    res.json(lista);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Mescla explícita (ex.: app que já estava logado quando ganhou o token de dispositivo)
+app.post('/api/listas/mesclar', authMiddleware, async (req, res) => {
   try {
     if (req.user.tipo !== 'cliente') return res.status(403).json({ erro:'Apenas clientes' });
-    const { produtoId, mercadoId, preco, tipo, obs } = req.body;
-    if (!produtoId||!mercadoId||!preco) return res.status(400).json({ erro:'produtoId, mercadoId e preco obrigatorios' });
-    if (!isObjId(String(produtoId))) return res.status(400).json({ erro:'produtoId inválido. Selecione um produto do catálogo.' });
-    if (!isObjId(String(mercadoId))) return res.status(400).json({ erro:'mercadoId inválido. Selecione um mercado.' });
-    if (!validarPreco(preco)) return res.status(400).json({ erro:'Preco invalido (positivo, menor que R$ 99.999)' });
-    const c = await Cliente.findById(req.user.id);
-    if (!c || c.bloqueado) return res.status(403).json({ erro:'Conta bloqueada' });
-    const contrib = await Contribuicao.create({ tipo:tipo||'texto', produtoId, mercadoId, preco:parseFloat(preco), autor:c.nome, clienteId:c._id, obs:obs||'', ip:getIP(req) });
-    notificarAdmins('nova_contribuicao', { id:contrib._id, autor:c.nome });
-    res.status(201).json({ mensagem:'Contribuição enviada! Aguarda aprovação.', id:contrib._id });
+    const mescladas = await mesclarListasDispositivo(req.user.id, req.body.dispositivoToken);
+    res.json({ ok: true, mescladas, listas: await ListaCompras.find({ clienteId: req.user.id }).sort({ updatedAt: -1 }) });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.patch('/api/contribuicoes/:id/aprovar', adminAuth, async (req, res) => {
+// ── ALERTAS DE PREÇO ("avise-me quando baixar") ─────────
+const ALERTAS_MAX = 50;
+
+// Menor preço efetivo (preço normal ou promoção vigente) do produto nos mercados dados (vazio = todos)
+async function menorPrecoEfetivo(produtoId, mercadoIds = []) {
+  const filtro = { produtoId };
+  if (mercadoIds.length) filtro.mercadoId = { $in: mercadoIds };
+  const [precos, promos] = await Promise.all([
+    Preco.find(filtro).select('mercadoId preco').lean(),
+    Promocao.find({ ...filtro, ativa: true }).select('mercadoId precoPromo validade').lean(),
+  ]);
+  let menor = null;
+  const considerar = (mercadoId, preco) => {
+    if (preco > 0 && (!menor || preco < menor.preco)) menor = { mercadoId, preco };
+  };
+  precos.forEach(p => considerar(p.mercadoId, p.preco));
+  promos.filter(promoVigente).forEach(p => considerar(p.mercadoId, p.precoPromo));
+  return menor;
+}
+
+// Chamado depois de cada escrita de Preco/Promocao: avisa só os clientes que seguem o produto
+// Nunca lança — roda em segundo plano para não atrasar a rota que gravou o preço
+async function verificarAlertasPreco(produtoId, mercadoId) {
   try {
-    const c = await Contribuicao.findByIdAndUpdate(req.params.id, { status:'aprovado' }, { new:true });
-    if (!c) return res.status(404).json({ erro:'Não encontrada' });
-    if (c.produtoId && c.mercadoId && c.preco && isObjId(String(c.produtoId)) && isObjId(String(c.mercadoId))) {
-      await Preco.findOneAndUpdate(
-        { produtoId:c.produtoId, mercadoId:c.mercadoId },
-        { produtoId:c.produtoId, mercadoId:c.mercadoId, preco:c.preco, fonte:'cliente', autor:c.autor, dataAtu:new Date().toLocaleDateString('pt-BR') },
-        { upsert:true }
+    const alertas = await AlertaPreco.find({
+      produtoId, ativo: true,
+      $or: [{ mercadoIds: { $size: 0 } }, { mercadoIds: mercadoId }]
+    }).lean();
+    if (!alertas.length) return;
+    const atual = await menorPrecoEfetivo(produtoId, [mercadoId]);
+    if (!atual) return;
+    let nomes = null;
+    for (const a of alertas) {
+      const limite = a.precoAlvo ?? a.precoReferencia;
+      if (limite == null) continue;
+      if (atual.preco >= limite) {
+        // Preço voltou a subir no mercado da última queda: a próxima descida conta como nova
+        await AlertaPreco.updateOne({ _id: a._id, 'ultimoAviso.mercadoId': mercadoId }, { ultimoAviso: null });
+        continue;
+      }
+      // Reserva o aviso de forma atômica — duas escritas simultâneas do mesmo preço não avisam 2x
+      const r = await AlertaPreco.updateOne(
+        { _id: a._id, $or: [{ ultimoAviso: null }, { 'ultimoAviso.preco': { $gt: atual.preco } }] },
+        { ultimoAviso: { preco: atual.preco, mercadoId, em: new Date() } }
       );
+      if (!r.modifiedCount) continue;
+      if (!nomes) {
+        const [prod, merc] = await Promise.all([
+          Produto.findById(produtoId).select('nome emoji').lean(),
+          Mercado.findById(mercadoId).select('nome').lean(),
+        ]);
+        nomes = { prod: prod?.nome || 'Produto', emoji: prod?.emoji || '📉', merc: merc?.nome || 'Mercado' };
+      }
+      const corpo = `${nomes.merc} • agora R$${atual.preco.toFixed(2)}` + (a.precoAlvo ? ` (seu alvo: R$${a.precoAlvo.toFixed(2)})` : '');
+      await enviarPushParaClientes(`${nomes.emoji} ${nomes.prod} baixou!`, corpo, '/', { clienteId: a.clienteId });
     }
-    if (c.clienteId) await Cliente.findByIdAndUpdate(c.clienteId, { $inc:{ totalContribuicoes:1 }, errosConsecutivos:0 });
-    res.json({ mensagem:'Aprovado e preço publicado!' });
+  } catch(e) { console.warn('[Alertas] Erro ao verificar:', e.message); }
+}
+
+function normalizarMercadoIds(lista) {
+  return Array.isArray(lista) ? [...new Set(lista.map(String))].filter(isObjId).slice(0, 50) : [];
+}
+
+// Preço de referência + estado inicial de aviso: se já está abaixo do limite, não é uma "queda"
+async function prepararAlerta(alerta) {
+  const atual = await menorPrecoEfetivo(alerta.produtoId, alerta.mercadoIds);
+  alerta.precoReferencia = atual ? atual.preco : null;
+  const limite = alerta.precoAlvo ?? alerta.precoReferencia;
+  alerta.ultimoAviso = (atual && limite != null && atual.preco < limite)
+    ? { preco: atual.preco, mercadoId: atual.mercadoId, em: new Date() }
+    : null;
+}
+
+app.get('/api/alertas', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.tipo !== 'cliente') return res.status(403).json({ erro:'Apenas clientes' });
+    res.json(await AlertaPreco.find({ clienteId: req.user.id })
+      .populate('produtoId', 'nome emoji').sort({ createdAt: -1 }).lean());
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.patch('/api/contribuicoes/:id/rejeitar', adminAuth, async (req, res) => {
+// Cria ou substitui o alerta do produto (um por cliente/produto)
+app.post('/api/alertas', authMiddleware, async (req, res) => {
   try {
-    const motivo = req.body?.motivo || '';
-    const c = await Contribuicao.findByIdAndUpdate(req.params.id, { status:'rejeitado', motivoRecusa:motivo }, { new:true });
-    if (!c) return res.status(404).json({ erro:'Não encontrada' });
-    let bloqueadoAgora = false;
-    if (c.clienteId) {
-      // Incrementa errosConsecutivos no banco
-      const cli = await Cliente.findByIdAndUpdate(
-        c.clienteId,
-        { $inc: { errosConsecutivos: 1, contribuicoesRejeitadas: 1 } },
-        { new: true }
-      );
-      // Bloqueia automaticamente se >= 3 erros consecutivos
-      if (cli && cli.errosConsecutivos >= 3 && !cli.bloqueado) {
-        await Cliente.findByIdAndUpdate(c.clienteId, {
-          bloqueado: true,
-          motivoBloqueio: `Bloqueado automaticamente: ${cli.errosConsecutivos} contribuições rejeitadas consecutivas. Último motivo: ${motivo||'sem motivo'}`,
-          dataBloqueio: new Date().toLocaleDateString('pt-BR'),
-        });
-        bloqueadoAgora = true;
-      }
+    if (req.user.tipo !== 'cliente') return res.status(403).json({ erro:'Apenas clientes' });
+    const { produtoId, precoAlvo } = req.body;
+    if (!isObjId(produtoId)) return res.status(400).json({ erro:'produtoId obrigatório' });
+    if (precoAlvo != null && precoAlvo !== '' && !validarPreco(precoAlvo)) return res.status(400).json({ erro:'Preço-alvo inválido' });
+    if (!await Produto.exists({ _id: produtoId })) return res.status(404).json({ erro:'Produto não encontrado' });
+    let alerta = await AlertaPreco.findOne({ clienteId: req.user.id, produtoId });
+    if (!alerta) {
+      if (await AlertaPreco.countDocuments({ clienteId: req.user.id }) >= ALERTAS_MAX)
+        return res.status(400).json({ erro:`Limite de ${ALERTAS_MAX} alertas atingido` });
+      alerta = new AlertaPreco({ clienteId: req.user.id, produtoId });
     }
-    res.json({ mensagem:'Rejeitado', bloqueadoAgora });
+    alerta.precoAlvo = precoAlvo ? parseFloat(precoAlvo) : null;
+    alerta.mercadoIds = normalizarMercadoIds(req.body.mercadoIds);
+    alerta.ativo = true;
+    await prepararAlerta(alerta);
+    if (alerta.precoAlvo == null && alerta.precoReferencia == null)
+      return res.status(400).json({ erro:'Produto ainda sem preço — informe um preço-alvo' });
+    await alerta.save();
+    res.status(201).json(alerta);
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-// ── REPORTS (preço incorreto) ────────────────────────────
-app.post('/api/reports', authMiddleware, async (req, res) => {
+app.put('/api/alertas/:id', authMiddleware, async (req, res) => {
   try {
-    const { produtoId, mercadoId, motivo, detalhes, precoCorreto, autorOriginal } = req.body;
-    if (!produtoId || !mercadoId) return res.status(400).json({ erro: 'produtoId e mercadoId obrigatórios' });
+    if (req.user.tipo !== 'cliente') return res.status(403).json({ erro:'Apenas clientes' });
+    if (!isObjId(req.params.id)) return res.status(400).json({ erro:'ID inválido' });
+    const alerta = await AlertaPreco.findOne({ _id: req.params.id, clienteId: req.user.id });
+    if (!alerta) return res.status(404).json({ erro:'Alerta não encontrado' });
+    const { precoAlvo, mercadoIds, ativo } = req.body;
+    if (precoAlvo !== undefined) {
+      if (precoAlvo != null && precoAlvo !== '' && !validarPreco(precoAlvo)) return res.status(400).json({ erro:'Preço-alvo inválido' });
+      alerta.precoAlvo = precoAlvo ? parseFloat(precoAlvo) : null;
+    }
+    if (mercadoIds !== undefined) alerta.mercadoIds = normalizarMercadoIds(mercadoIds);
+    if (ativo !== undefined) alerta.ativo = !!ativo;
+    if (precoAlvo !== undefined || mercadoIds !== undefined) await prepararAlerta(alerta);
+    if (alerta.precoAlvo == null && alerta.precoReferencia == null)
+      return res.status(400).json({ erro:'Produto ainda sem preço — informe um preço-alvo' });
+    await alerta.save();
+    res.json(alerta);
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
 
-    const reporter = await Cliente.findById(req.user.id);
-    if (!reporter) return res.status(404).json({ erro: 'Cliente não encontrado' });
+app.delete('/api/alertas/:id', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.tipo !== 'cliente') return res.status(403).json({ erro:'Apenas clientes' });
+    if (!isObjId(req.params.id)) return res.status(400).json({ erro:'ID inválido' });
+    const r = await AlertaPreco.deleteOne({ _id: req.params.id, clienteId: req.user.id });
+    if (!r.deletedCount) return res.status(404).json({ erro:'Alerta não encontrado' });
+    res.json({ mensagem:'Alerta removido' });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
 
-    // 1. Registrar o report como contribuição
-    await Contribuicao.create({
-      tipo: 'report',
-      produtoId, mercadoId,
-      preco: precoCorreto || null,
-      autor: reporter.nome,
-      clienteId: reporter._id,
-      obs: `REPORT: ${motivo}. ${detalhes || ''}. Autor original: ${autorOriginal || 'desconhecido'}`,
-      status: 'aprovado',
-      ip: getIP(req)
-    });
+// ── OTIMIZADOR DE LISTA (cesta mais barata em 1, 2 ou N mercados) ─────
+const OTIMIZADOR_MAX_MERCADOS = 80;
 
-    // 2. Se informou preço correto, atualizar o preço no banco
-    if (precoCorreto && parseFloat(precoCorreto) > 0 && isObjId(String(produtoId)) && isObjId(String(mercadoId))) {
-      await Preco.findOneAndUpdate(
-        { produtoId, mercadoId },
-        { preco: parseFloat(precoCorreto), fonte: 'report', autor: reporter.nome, dataAtu: new Date().toLocaleDateString('pt-BR') },
-        { upsert: true }
-      );
-    }
+// Distância em linha reta (km) entre dois pontos lat/lng
+function distanciaKm(lat1, lng1, lat2, lng2) {
+  const rad = g => g * Math.PI / 180;
+  const dLat = rad(lat2 - lat1), dLng = rad(lng2 - lng1);
+  const a = Math.sin(dLat/2)**2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng/2)**2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
 
-    // 3. Verificar se o autor ORIGINAL do preço (quem postou o preço errado) tem 3+ reports em 4 dias
-    if (autorOriginal && autorOriginal !== 'Admin' && autorOriginal !== 'admin') {
-      const clienteOriginal = await Cliente.findOne({
-        $or: [{ nome: autorOriginal }, { login: autorOriginal.toLowerCase() }]
-      });
-      if (clienteOriginal && !clienteOriginal.bloqueado) {
-        // Contar reports contra este cliente nos últimos 4 dias
-        const limite4d = new Date(Date.now() - 4 * 24 * 60 * 60 * 1000);
-        const reportsContra = await Contribuicao.countDocuments({
-          tipo: 'report',
-          obs: { $regex: autorOriginal, $options: 'i' },
-          createdAt: { $gte: limite4d }
-        });
+// Promoção com validade DD/MM/YYYY ainda não vencida
+function promoVigente(p) {
+  const partes = (p.validade||'').split('/');
+  if (partes.length !== 3) return true;
+  const [dd,mm,yyyy] = partes.map(Number);
+  const hoje = new Date(); hoje.setHours(0,0,0,0);
+  return new Date(yyyy, mm-1, dd) >= hoje;
+}
 
-        // Incrementar errosConsecutivos
-        await Cliente.findByIdAndUpdate(clienteOriginal._id, { $inc: { errosConsecutivos: 1 } });
+// Monta uma opção de compra: cada item vai para o mercado mais barato entre os permitidos
+function montarOpcaoCesta(itens, precosPorItem, mercadoIds, ctx) {
+  const porMercado = {};
+  const faltando = [];
+  let total = 0, referencia = 0;
+  for (const it of itens) {
+    let melhor = null;
+    for (const mid of mercadoIds) {
+      const p = precosPorItem[it.produtoId]?.[mid];
+      if (p && (!melhor || p.preco < melhor.preco)) melhor = { mercadoId: mid, ...p };
+    }
+    if (!melhor) { faltando.push({ produtoId: it.produtoId, nome: it.nome }); continue; }
+    const subtotal = Math.round(melhor.preco * it.quantidade * 100) / 100;
+    total += subtotal;
+    referencia += ctx.mediaPorItem[it.produtoId] || 0;
+    if (!porMercado[melhor.mercadoId]) porMercado[melhor.mercadoId] = [];
+    porMercado[melhor.mercadoId].push({ produtoId: it.produtoId, nome: it.nome, quantidade: it.quantidade, preco: melhor.preco, promo: melhor.promo, subtotal });
+  }
+  const usados = Object.keys(porMercado);
+  // Rota estimada: usuário → mercados (ordem mais próxima) → volta
+  let deslocamentoKm = null;
+  if (ctx.origem) {
+    const pontos = usados.map(mid => ctx.mercados[mid]).filter(m => m.lat != null && m.lng != null);
+    if (pontos.length === usados.length) {
+      deslocamentoKm = 0;
+      let atual = ctx.origem;
+      const restantes = [...pontos];
+      while (restantes.length) {
+        restantes.sort((a, b) => distanciaKm(atual.lat, atual.lng, a.lat, a.lng) - distanciaKm(atual.lat, atual.lng, b.lat, b.lng));
+        const prox = restantes.shift();
+        deslocamentoKm += distanciaKm(atual.lat, atual.lng, prox.lat, prox.lng);
+        atual = prox;
+      }
+      deslocamentoKm += distanciaKm(atual.lat, atual.lng, ctx.origem.lat, ctx.origem.lng);
+      deslocamentoKm = Math.round(deslocamentoKm * 10) / 10;
+    }
+  }
+  total = Math.round(total * 100) / 100;
+  const custoDeslocamento = deslocamentoKm != null ? Math.round(deslocamentoKm * ctx.custoPorKm * 100) / 100 : 0;
+  return {
+    mercados: usados.map(mid => ({ mercadoId: mid, nome: ctx.mercados[mid].nome, icone: ctx.mercados[mid].icone, itens: porMercado[mid],
+      subtotal: Math.round(porMercado[mid].reduce((a, i) => a + i.subtotal, 0) * 100) / 100 })),
+    total, faltando, deslocamentoKm, custoDeslocamento,
+    totalComDeslocamento: Math.round((total + custoDeslocamento) * 100) / 100,
+    // Economia frente ao preço médio dos mesmos itens (itens faltando não entram na conta)
+    economia: Math.round((referencia - total) * 100) / 100,
+  };
+}
 
-        if (reportsContra >= 2) { // Este é o 3º (0-indexed: já tinha 2, agora +1 = 3)
-          // Bloquear automaticamente
-          await Cliente.findByIdAndUpdate(clienteOriginal._id, {
-            bloqueado: true,
-            motivoBloqueio: `Bloqueio automático: ${reportsContra + 1} preços reportados como incorretos em 4 dias. Contacte o suporte para revisão.`,
-            banTemporario: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toLocaleDateString('pt-BR'),
-            banPermanente: false
-          });
+// Critério: menos itens faltando, depois menor custo (com deslocamento, se informado)
+const compararOpcoesCesta = (a, b) => (a.faltando.length - b.faltando.length) || (a.totalComDeslocamento - b.totalComDeslocamento);
 
-          // Registrar ocorrência para o admin
-          await Ocorrencia.create({
-            cliente: clienteOriginal.nome,
-            clienteLogin: clienteOriginal.login,
-            whatsapp: clienteOriginal.telefone,
-            mensagem: `⚠️ BLOQUEIO AUTOMÁTICO: "${clienteOriginal.nome}" (${clienteOriginal.login}) bloqueado por ${reportsContra + 1} preços reportados como incorretos em 4 dias. WhatsApp: ${clienteOriginal.telefone || 'não informado'}`,
-            status: 'aberto'
-          });
+app.post('/api/lista/otimizar', async (req, res) => {
+  try {
+    const itensEntrada = (Array.isArray(req.body.itens) ? req.body.itens : []).slice(0, LISTA_ITENS_MAX);
+    const itens = [];
+    for (const it of itensEntrada) {
+      const pid = String(it?.produtoId || '');
+      if (!isObjId(pid) || itens.some(i => i.produtoId === pid)) continue;
+      itens.push({ produtoId: pid, quantidade: Math.max(1, Math.min(999, parseInt(it.quantidade) || 1)) });
+    }
+    if (!itens.length) return res.status(400).json({ erro:'Informe os itens da lista (produtoId e quantidade)' });
+
+    const lat = parseFloat(req.body.lat), lng = parseFloat(req.body.lng);
+    const origem = !isNaN(lat) && !isNaN(lng) ? { lat, lng } : null;
+    const raioKm = parseFloat(req.body.raioKm) || null;
+    const custoPorKm = Math.max(0, parseFloat(req.body.custoPorKm) || 0);
+
+    const filtroMerc = { ativo: true };
+    if (req.body.cidade) filtroMerc.cidade = String(req.body.cidade);
+    if (Array.isArray(req.body.mercadoIds) && req.body.mercadoIds.length) filtroMerc._id = { $in: req.body.mercadoIds.filter(id => isObjId(String(id))) };
+    let mercadosLista = await Mercado.find(filtroMerc, 'nome icone lat lng bairro cidade').lean();
+    if (origem && raioKm) {
+      mercadosLista = mercadosLista.filter(m => m.lat != null && m.lng != null && distanciaKm(origem.lat, origem.lng, m.lat, m.lng) <= raioKm);
+    }
+    const mercados = {};
+    mercadosLista.forEach(m => { mercados[String(m._id)] = m; });
+
+    const produtoIds = itens.map(i => i.produtoId);
+    const [produtos, precos, promos] = await Promise.all([
+      Produto.find({ _id: { $in: produtoIds } }, 'nome emoji').lean(),
+      Preco.find({ produtoId: { $in: produtoIds }, mercadoId: { $in: Object.keys(mercados) } }).lean(),
+      Promocao.find({ ativa: true, mercadoId: { $in: Object.keys(mercados) }, produtoId: { $in: [...produtoIds, ...produtoIds.map(id => new mongoose.Types.ObjectId(id))] } }).lean(),
+    ]);
+    const nomes = {};
+    produtos.forEach(p => { nomes[String(p._id)] = p.nome; });
+    itens.forEach(it => { it.nome = nomes[it.produtoId] || 'Produto removido'; });
+
+    // precosPorItem[produtoId][mercadoId] = { preco, promo } — promoção vigente vence o preço normal
+    const precosPorItem = {};
+    precos.forEach(p => {
+      const pid = String(p.produtoId), mid = String(p.mercadoId);
+      if (!precosPorItem[pid]) precosPorItem[pid] = {};
+      precosPorItem[pid][mid] = { preco: p.preco, promo: false };
+    });
+    promos.filter(promoVigente).forEach(p => {
+      const pid = String(p.produtoId), mid = String(p.mercadoId);
+      if (!precosPorItem[pid]) precosPorItem[pid] = {};
+      const atual = precosPorItem[pid][mid];
+      if (!atual || p.precoPromo < atual.preco) precosPorItem[pid][mid] = { preco: p.precoPromo, promo: true };
+    });
 
-          // Notificar admins online
-          notificarAdmins('cliente_bloqueado_auto', {
-            clienteId: clienteOriginal._id,
-            nome: clienteOriginal.nome,
-            login: clienteOriginal.login,
-            whatsapp: clienteOriginal.telefone,
-            reports: reportsContra + 1,
-            mensagem: `Cliente "${clienteOriginal.nome}" bloqueado automaticamente por ${reportsContra + 1} reports`
-          });
+    // Só entram na combinação mercados que têm pelo menos 1 item da lista
+    const candidatos = Object.keys(mercados)
+      .filter(mid => itens.some(it => precosPorItem[it.produtoId]?.[mid]))
+      .slice(0, OTIMIZADOR_MAX_MERCADOS);
 
-          await registrarLog('auth', `Bloqueio automático: ${clienteOriginal.login} — ${reportsContra + 1} reports em 4 dias`, 'sistema', getIP(req));
-        }
+    // Referência de economia: preço médio de cada item (× quantidade) entre os mercados que o vendem
+    const mediaPorItem = {};
+    itens.forEach(it => {
+      const vals = Object.values(precosPorItem[it.produtoId] || {}).map(p => p.preco);
+      if (vals.length) mediaPorItem[it.produtoId] = vals.reduce((a, v) => a + v, 0) / vals.length * it.quantidade;
+    });
+    const referencia = Math.round(Object.values(mediaPorItem).reduce((a, v) => a + v, 0) * 100) / 100;
+    const ctx = { mercados, origem, custoPorKm, mediaPorItem };
+
+    const porMercado = candidatos.map(mid => montarOpcaoCesta(itens, precosPorItem, [mid], ctx)).sort(compararOpcoesCesta);
+    let melhorDupla = null;
+    for (let i = 0; i < candidatos.length; i++) {
+      for (let j = i + 1; j < candidatos.length; j++) {
+        const op = montarOpcaoCesta(itens, precosPorItem, [candidatos[i], candidatos[j]], ctx);
+        if (op.mercados.length < 2) continue; // um dos dois não contribuiu — é igual a mercado único
+        if (!melhorDupla || compararOpcoesCesta(op, melhorDupla) < 0) melhorDupla = op;
       }
     }
+    const melhorN = candidatos.length ? montarOpcaoCesta(itens, precosPorItem, candidatos, ctx) : null;
 
-    await registrarLog('report', `Report: produtoId=${produtoId}, mercadoId=${mercadoId}, motivo=${motivo}`, reporter.login, getIP(req));
-    notificarAdmins('novo_report', { produtoId, mercadoId, motivo, reporter: reporter.nome });
-
-    res.json({ ok: true, mensagem: 'Report enviado! Obrigado por manter os preços corretos.' });
+    res.json({
+      itens: itens.length,
+      referencia,
+      melhorUnico: porMercado[0] || null,
+      melhorDupla,
+      melhorN,
+      porMercado: porMercado.map(op => ({
+        mercadoId: op.mercados[0]?.mercadoId, nome: op.mercados[0]?.nome, icone: op.mercados[0]?.icone,
+        total: op.total, encontrados: itens.length - op.faltando.length, faltando: op.faltando,
+        deslocamentoKm: op.deslocamentoKm, economia: op.economia,
+      })),
+    });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // ── CLIENTES (admin) ─────────────────────────────────────
-app.get('/api/admin/clientes', adminAuth, async (req, res) => {
-  try { res.json(await Cliente.find().select('-senhaHash').sort({ createdAt:-1 })); }
-  catch(e) { res.status(500).json({ erro: e.message }); }
+app.get('/api/admin/clientes', requirePerm('clientes:ver'), async (req, res) => {
+  try {
+    const clientes = await Cliente.find().select('-senhaHash').sort({ createdAt:-1 }).lean();
+    res.json(clientes.map(c => ({ ...c, reputacao: calcularReputacao(c) })));
+  } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.patch('/api/admin/clientes/:id/bloquear', adminAuth, async (req, res) => {
+app.patch('/api/admin/clientes/:id/bloquear', requirePerm('clientes:moderar'), async (req, res) => {
   try {
     const { tipo, dias, motivo } = req.body;
     const upd = { bloqueado:true, motivoBloqueio: motivo||'Bloqueado pelo admin' };
@@ -2285,65 +4599,83 @@ app.patch('/api/admin/clientes/:id/bloquear', adminAuth, async (req, res) => {
       upd.banTemporario = ate.toLocaleDateString('pt-BR'); upd.banPermanente = false;
       upd.motivoBloqueio = `Ban temporário por ${dias} dias`;
     } else { upd.banPermanente = true; upd.banTemporario = null; }
+    const antes = await Cliente.findById(req.params.id).select('-senhaHash');
+    if (!antes) return res.status(404).json({ erro:'Cliente não encontrado' });
     const c = await Cliente.findByIdAndUpdate(req.params.id, upd, { new:true }).select('-senhaHash');
-    if (!c) return res.status(404).json({ erro:'Cliente não encontrado' });
     await registrarLog('admin', `Cliente ${c.login} bloqueado`, req.user.usuario, getIP(req));
+    await auditar(req, { acao:'cliente.bloquear', entidade:'Cliente', antes, depois:c });
     res.json({ mensagem:'Cliente bloqueado', cliente:c });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.patch('/api/admin/clientes/:id/desbloquear', adminAuth, async (req, res) => {
+app.patch('/api/admin/clientes/:id/desbloquear', requirePerm('clientes:moderar'), async (req, res) => {
   try {
+    const antes = await Cliente.findById(req.params.id).select('-senhaHash');
+    if (!antes) return res.status(404).json({ erro:'Cliente não encontrado' });
     const c = await Cliente.findByIdAndUpdate(req.params.id, { bloqueado:false, banTemporario:null, banPermanente:false, motivoBloqueio:'', errosConsecutivos:0 }, { new:true }).select('-senhaHash');
-    if (!c) return res.status(404).json({ erro:'Cliente não encontrado' });
+    await registrarLog('admin', `Cliente ${c.login} desbloqueado`, req.user.usuario, getIP(req));
+    await auditar(req, { acao:'cliente.desbloquear', entidade:'Cliente', antes, depois:c });
     res.json({ mensagem:'Cliente desbloqueado' });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // NOVO: Alterar senha de cliente pelo admin (sem precisar da senha atual)
-app.patch('/api/admin/clientes/:id/senha', adminAuth, async (req, res) => {
+app.patch('/api/admin/clientes/:id/senha', requirePerm('clientes:editar'), async (req, res) => {
   try {
     const { novaSenha } = req.body;
     if (!novaSenha || novaSenha.length < 6) return res.status(400).json({ erro:'Senha deve ter mínimo 6 caracteres' });
     const c = await Cliente.findById(req.params.id);
     if (!c) return res.status(404).json({ erro:'Cliente não encontrado' });
-    await Cliente.updateOne({ _id:c._id }, { senhaHash: await bcrypt.hash(novaSenha, 10) });
+    const novoHash = await bcrypt.hash(novaSenha, 10);
+    await Cliente.updateOne({ _id:c._id }, { senhaHash: novoHash });
     await registrarLog('admin', `Senha de ${c.login} alterada pelo admin`, req.user.usuario, getIP(req));
+    await auditar(req, { acao:'cliente.alterar_senha', entidade:'Cliente', antes:{ _id:c._id, senhaHash:c.senhaHash }, depois:{ _id:c._id, senhaHash:novoHash } });
     res.json({ mensagem:`Senha de ${c.nome} alterada com sucesso` });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // NOVO: Editar dados de cliente pelo admin
-app.patch('/api/admin/clientes/:id/editar', adminAuth, async (req, res) => {
+app.patch('/api/admin/clientes/:id/editar', requirePerm('clientes:editar'), async (req, res) => {
   try {
     const upd = {};
     const { nome, email, bairro, telefone } = req.body;
+    const antes = await Cliente.findById(req.params.id).select('-senhaHash');
+    if (!antes) return res.status(404).json({ erro:'Cliente não encontrado' });
     if (nome     !== undefined) upd.nome   = nome;
-    if (email    !== undefined) upd.email  = email;
+    if (email    !== undefined) {
+      upd.email = String(email||'').trim().toLowerCase() || null;
+      // E-mail novo precisa ser confirmado de novo
+      if (upd.email !== (antes.email||null)) upd.emailVerificado = !upd.email;
+    }
     if (bairro   !== undefined) upd.bairro = bairro;
     if (telefone !== undefined) upd.telefone = normTel(telefone);
     const c = await Cliente.findByIdAndUpdate(req.params.id, upd, { new:true }).select('-senhaHash');
     if (!c) return res.status(404).json({ erro:'Cliente não encontrado' });
+    if (upd.email && upd.emailVerificado === false) enviarVerificacaoEmail(c).catch(()=>{});
+    await registrarLog('admin', `Dados do cliente ${c.login} editados`, req.user.usuario, getIP(req));
+    await auditar(req, { acao:'cliente.editar', entidade:'Cliente', antes, depois:c });
     res.json({ mensagem:'Dados atualizados', cliente:c });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // Zerar erros consecutivos do cliente
-app.patch('/api/admin/clientes/:id/zerar-erros', adminAuth, async (req, res) => {
+app.patch('/api/admin/clientes/:id/zerar-erros', requirePerm('clientes:moderar'), async (req, res) => {
   try {
+    const antes = await Cliente.findById(req.params.id).select('-senhaHash');
+    if (!antes) return res.status(404).json({ erro:'Cliente não encontrado' });
     const c = await Cliente.findByIdAndUpdate(
       req.params.id,
       { errosConsecutivos: 0 },
       { new: true }
     ).select('-senhaHash');
-    if (!c) return res.status(404).json({ erro:'Cliente não encontrado' });
     await registrarLog('admin', `Erros zerados para cliente ${c.nome}`, req.user.usuario, getIP(req));
+    await auditar(req, { acao:'cliente.zerar_erros', entidade:'Cliente', antes, depois:c });
     res.json({ mensagem:'Erros zerados', cliente:c });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // CORRIGIDO: hard delete + blacklist 2 meses
-app.delete('/api/admin/clientes/:id', adminAuth, async (req, res) => {
+app.delete('/api/admin/clientes/:id', requirePerm('clientes:excluir'), async (req, res) => {
   try {
     if (!isObjId(req.params.id)) return res.status(400).json({ erro:'ID inválido' });
     const c = await Cliente.findById(req.params.id);
@@ -2351,6 +4683,8 @@ app.delete('/api/admin/clientes/:id', adminAuth, async (req, res) => {
     const tel    = normTel(c.telefone);
     const motivo = req.body?.motivo || 'Conta excluída por administrador';
     await Cliente.findByIdAndDelete(req.params.id);
+    await ListaCompras.deleteMany({ clienteId: c._id });
+    await AlertaPreco.deleteMany({ clienteId: c._id });
     const vence = new Date(); vence.setMonth(vence.getMonth() + 2);
     await Blacklist.findOneAndUpdate(
       { telefone: tel },
@@ -2358,21 +4692,23 @@ app.delete('/api/admin/clientes/:id', adminAuth, async (req, res) => {
       { upsert:true }
     );
     await registrarLog('admin', `Cliente ${c.nome} (${tel}) excluído`, req.user.usuario, getIP(req));
+    await auditar(req, { acao:'cliente.excluir', entidade:'Cliente', antes:c });
     res.json({ mensagem:`Conta de ${c.nome} excluída. Número bloqueado por 2 meses.` });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // ── ADMINS ───────────────────────────────────────────────
-app.get('/api/admin/admins', adminAuth, async (req, res) => {
+app.get('/api/admin/admins', requirePerm('admins:ver'), async (req, res) => {
   // Retorna apenas admins ATIVOS (ativo:true ou campo ausente)
   try { res.json(await Admin.find({ ativo: { $ne: false } }).select('-senhaHash')); }
   catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.post('/api/admin/admins', adminAuth, async (req, res) => {
+app.post('/api/admin/admins', requirePerm('admins:gerenciar'), async (req, res) => {
   try {
     const { nome, usuario, senha, nivel, email } = req.body;
     if (!nome||!usuario||!senha) return res.status(400).json({ erro:'Nome, usuário e senha obrigatórios' });
+    if (nivel !== undefined && !NIVEIS_ADMIN.includes(nivel)) return res.status(400).json({ erro:'Nível inválido. Use: ' + NIVEIS_ADMIN.join(', ') });
     // Verifica SOMENTE admins ativos — admins desativados não bloqueiam recriação
     const existeAtivo = await Admin.findOne({ usuario, ativo: { $ne: false } });
     if (existeAtivo) return res.status(409).json({ erro:'Usuário já existe' });
@@ -2385,28 +4721,32 @@ app.post('/api/admin/admins', adminAuth, async (req, res) => {
       existeInativo.senhaHash = await bcrypt.hash(senha, 12);
       existeInativo.ativo = true;
       await existeInativo.save();
+      await auditar(req, { acao:'admin.reativar', entidade:'Admin', depois:existeInativo });
       const obj = existeInativo.toObject(); delete obj.senhaHash;
       return res.status(200).json(obj);
     }
     const a = await Admin.create({ nome, usuario, email:email||'', nivel:nivel||'admin', senhaHash: await bcrypt.hash(senha, 12), ativo:true });
+    await auditar(req, { acao:'admin.criar', entidade:'Admin', depois:a });
     res.status(201).json({ ...a.toObject(), senhaHash:undefined });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.delete('/api/admin/admins/:id', adminAuth, async (req, res) => {
+app.delete('/api/admin/admins/:id', requirePerm('admins:gerenciar'), async (req, res) => {
   try {
     // Não permite excluir o super admin principal
     const a = await Admin.findById(req.params.id);
     if (!a) return res.status(404).json({ erro:'Admin não encontrado' });
     if (a.nivel === 'super' && a.usuario === 'admin') return res.status(403).json({ erro:'Não é possível excluir o admin principal' });
+    if (String(a._id) === String(req.user.id)) return res.status(400).json({ erro:'Você não pode excluir a própria conta' });
     // Hard delete para liberar o username para reuso
     await Admin.findByIdAndDelete(req.params.id);
+    await auditar(req, { acao:'admin.excluir', entidade:'Admin', antes:a });
     res.json({ mensagem:'Admin removido' });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // ── SOLICITAÇÕES ─────────────────────────────────────────
-app.get('/api/admin/solicitacoes', adminAuth, async (req, res) => {
+app.get('/api/admin/solicitacoes', requirePerm('solicitacoes:gerenciar'), async (req, res) => {
   try { res.json(await Solicitacao.find().sort({ createdAt:-1 })); }
   catch(e) { res.status(500).json({ erro: e.message }); }
 });
@@ -2434,7 +4774,7 @@ app.post('/api/solicitacoes', async (req, res) => {
 });
 
 // CORRIGIDO: usa credenciais escolhidas pelo mercado + envia via WhatsApp
-app.patch('/api/admin/solicitacoes/:id/aprovar', adminAuth, async (req, res) => {
+app.patch('/api/admin/solicitacoes/:id/aprovar', requirePerm('solicitacoes:gerenciar'), async (req, res) => {
   try {
     const sol = await Solicitacao.findById(req.params.id);
     if (!sol) return res.status(404).json({ erro:'Solicitação não encontrada' });
@@ -2462,7 +4802,7 @@ app.patch('/api/admin/solicitacoes/:id/aprovar', adminAuth, async (req, res) =>
     // Criar mercado no banco com senha hasheada
     const novoMercado = await Mercado.create({
       nome: sol.mercado, icone:'🏪', endereco: sol.endereco||'', bairro: sol.bairro||'Centro',
-      whatsapp: sol.whatsapp, parceiro:true, plano: sol.plano,
+      whatsapp: sol.whatsapp, email: sol.email||'', parceiro:true, plano: sol.plano,
       usuario: loginFinal, senhaHash: await bcrypt.hash(senhaFinal, 10)
     });
 
@@ -2502,15 +4842,16 @@ app.patch('/api/admin/solicitacoes/:id/aprovar', adminAuth, async (req, res) =>
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.patch('/api/admin/solicitacoes/:id/recusar', adminAuth, async (req, res) => {
+app.patch('/api/admin/solicitacoes/:id/recusar', requirePerm('solicitacoes:gerenciar'), async (req, res) => {
   try {
-    await Solicitacao.findByIdAndUpdate(req.params.id, { status:'Recusado' });
+    const antes = await Solicitacao.findByIdAndUpdate(req.params.id, { status:'Recusado' });
+    if (antes) await auditar(req, { acao:'solicitacao.recusar', entidade:'Solicitacao', antes, depois:{ ...objetoAuditoria(antes), status:'Recusado' } });
     res.json({ mensagem:'Solicitação recusada' });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // ── LIMPAR HISTÓRICOS ────────────────────────────────────
-app.delete('/api/admin/contribuicoes-processadas', adminAuth, async (req, res) => {
+app.delete('/api/admin/contribuicoes-processadas', requirePerm('contribuicoes:moderar'), async (req, res) => {
   try {
     const r = await Contribuicao.deleteMany({ status: { $in: ['aprovado', 'rejeitado'] } });
     await registrarLog('admin', `Contribuições processadas limpas: ${r.deletedCount}`, req.user.usuario, getIP(req));
@@ -2518,7 +4859,7 @@ app.delete('/api/admin/contribuicoes-processadas', adminAuth, async (req, res) =
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.delete('/api/admin/solicitacoes-processadas', adminAuth, async (req, res) => {
+app.delete('/api/admin/solicitacoes-processadas', requirePerm('solicitacoes:gerenciar'), async (req, res) => {
   try {
     const r = await Solicitacao.deleteMany({ status: { $in: ['Aprovado', 'Recusado'] } });
     await registrarLog('admin', `Solicitações processadas limpas: ${r.deletedCount}`, req.user.usuario, getIP(req));
@@ -2527,7 +4868,7 @@ app.delete('/api/admin/solicitacoes-processadas', adminAuth, async (req, res) =>
 });
 
 // ── OCORRÊNCIAS ──────────────────────────────────────────
-app.get('/api/ocorrencias', adminAuth, async (req, res) => {
+app.get('/api/ocorrencias', requirePerm('suporte:atender'), async (req, res) => {
   try { res.json(await Ocorrencia.find().sort({ createdAt:-1 })); }
   catch(e) { res.status(500).json({ erro: e.message }); }
 });
@@ -2550,7 +4891,7 @@ app.post('/api/ocorrencias/:id/foto', async (req, res) => {
 });
 
 // Admin abre conversa → marca abertaEm e agenda expiração em 48h
-app.patch('/api/ocorrencias/:id/abrir', adminAuth, async (req, res) => {
+app.patch('/api/ocorrencias/:id/abrir', requirePerm('suporte:atender'), async (req, res) => {
   try {
     const agora = new Date();
     const expira = new Date(agora.getTime() + 48*60*60*1000);
@@ -2562,14 +4903,14 @@ app.patch('/api/ocorrencias/:id/abrir', adminAuth, async (req, res) => {
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.patch('/api/ocorrencias/:id/resolver', adminAuth, async (req, res) => {
+app.patch('/api/ocorrencias/:id/resolver', requirePerm('suporte:atender'), async (req, res) => {
   try {
     await Ocorrencia.findByIdAndUpdate(req.params.id, { status:'resolvido' });
     res.json({ mensagem:'Resolvido' });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.delete('/api/ocorrencias/:id', adminAuth, async (req, res) => {
+app.delete('/api/ocorrencias/:id', requirePerm('suporte:atender'), async (req, res) => {
   try {
     await Ocorrencia.findByIdAndDelete(req.params.id);
     res.json({ mensagem:'Removido' });
@@ -2585,7 +4926,7 @@ setInterval(async () => {
 }, 15 * 60 * 1000); // a cada 15 min
 
 // ── CHAT SUPORTE ─────────────────────────────────────────
-app.get('/api/suporte/chats', adminAuth, async (req, res) => {
+app.get('/api/suporte/chats', requirePerm('suporte:atender'), async (req, res) => {
   try {
     const msgs = await ChatMsg.find().sort({ createdAt:-1 }).limit(500);
     const grupos = {};
@@ -2685,7 +5026,7 @@ app.post('/api/suporte/cliente-saiu', (req, res, next) => {
 });
 
 // ── ADMINS ONLINE (SSE) ──────────────────────────────────
-app.get('/api/admins/online/stream', adminAuth, (req, res) => {
+app.get('/api/admins/online/stream', requirePerm('painel:ver'), (req, res) => {
   res.setHeader('Content-Type','text/event-stream');
   res.setHeader('Cache-Control','no-cache');
   res.setHeader('Connection','keep-alive');
@@ -2701,15 +5042,15 @@ app.get('/api/admins/online', (req, res) => {
 });
 
 // ── LOGS ────────────────────────────────────────────────
-app.get('/api/admin/logs', adminAuth, async (req, res) => {
+app.get('/api/admin/logs', requirePerm('logs:ver'), async (req, res) => {
   try { res.json(await Log.find().sort({ createdAt:-1 }).limit(300)); }
   catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // Limpar logs do banco (admin)
-app.delete('/api/admin/logs', adminAuth, async (req, res) => {
+app.delete('/api/admin/logs', requirePerm('logs:limpar'), async (req, res) => {
   try {
-    const tipo = req.query.tipo; // ?tipo=produto_solicitado ou omite para limpar tudo
+    const tipo = req.query.tipo; // ?tipo=preco (por exemplo) ou omite para limpar tudo
     const filtro = tipo ? { tipo } : {};
     const r = await Log.deleteMany(filtro);
     await registrarLog('admin', 'Logs limpos: ' + r.deletedCount + (tipo?' (tipo:'+tipo+')':''), req.user.usuario, getIP(req));
@@ -2717,14 +5058,39 @@ app.delete('/api/admin/logs', adminAuth, async (req, res) => {
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
+// Auditoria (somente leitura — não existe rota para apagar)
+// Filtros: entidade, entidadeId, usuario, acao (prefixo), desde/ate (YYYY-MM-DD), pagina
+app.get('/api/admin/auditoria', requirePerm('auditoria:ver'), async (req, res) => {
+  try {
+    const { entidade, entidadeId, usuario, acao, desde, ate } = req.query;
+    const filtro = {};
+    if (entidade)   filtro.entidade = String(entidade);
+    if (entidadeId) filtro.entidadeId = String(entidadeId);
+    if (usuario)    filtro['ator.usuario'] = String(usuario);
+    if (acao)       filtro.acao = { $regex: '^' + String(acao).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+    if (desde || ate) {
+      filtro.createdAt = {};
+      if (desde) filtro.createdAt.$gte = new Date(desde + 'T00:00:00-03:00');
+      if (ate)   filtro.createdAt.$lte = new Date(ate + 'T23:59:59-03:00');
+    }
+    const limite = Math.min(parseInt(req.query.limite) || 50, 200);
+    const pagina = Math.max(parseInt(req.query.pagina) || 1, 1);
+    const [total, itens] = await Promise.all([
+      Auditoria.countDocuments(filtro),
+      Auditoria.find(filtro).sort({ createdAt: -1 }).skip((pagina - 1) * limite).limit(limite).lean(),
+    ]);
+    res.json({ total, pagina, limite, itens });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
 // Alias (retrocompatibilidade)
-app.get('/api/logs', adminAuth, async (req, res) => {
+app.get('/api/logs', requirePerm('logs:ver'), async (req, res) => {
   try { res.json(await Log.find().sort({ createdAt:-1 }).limit(300)); }
   catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // ── BLACKLIST ────────────────────────────────────────────
-app.get('/api/admin/blacklist', adminAuth, async (req, res) => {
+app.get('/api/admin/blacklist', requirePerm('blacklist:gerenciar'), async (req, res) => {
   try {
     const agora = new Date();
     const lista = await Blacklist.find({ ativo:true }).sort({ dataInicio:-1 });
@@ -2732,7 +5098,7 @@ app.get('/api/admin/blacklist', adminAuth, async (req, res) => {
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
-app.delete('/api/admin/blacklist/:id', adminAuth, async (req, res) => {
+app.delete('/api/admin/blacklist/:id', requirePerm('blacklist:gerenciar'), async (req, res) => {
   try {
     await Blacklist.findByIdAndUpdate(req.params.id, { ativo:false });
     res.json({ mensagem:'Número liberado da blacklist' });
@@ -2780,7 +5146,7 @@ app.get('/api/fix-catalogo', async (req, res) => {
 
 
 // ── LIMPAR DUPLICATAS ────────────────────────────────────
-app.post('/api/admin/limpar-duplicatas', adminAuth, async (req, res) => {
+app.post('/api/admin/limpar-duplicatas', requirePerm('catalogo:reset'), async (req, res) => {
   try {
     let removidos = 0;
 
@@ -2816,17 +5182,14 @@ function nfceCheckRate(ip) {
   return entry.count <= NFCE_MAX_REQ;
 }
 
-// Extrai chave de acesso de 44 dígitos da URL (identifica a nota unicamente)
-function extrairChaveNFe(url) {
-  const m = url.match(/(\d{44})/);
-  return m ? m[1] : url.replace(/[^a-zA-Z0-9]/g,'').substring(0, 60);
-}
-
 // Schema para cache persistente no MongoDB
 const NfceCacheSchema = new mongoose.Schema({
   chave:       { type: String, required: true, unique: true },
   mercado:     { type: String, default: null },
   data:        { type: String, default: null },
+  cnpj:        { type: String, default: null },
+  total:       { type: Number, default: null },
+  adaptador:   { type: String, default: null },
   itens:       { type: Array,  default: [] },
   consultadoEm:{ type: Date,   default: Date.now },
 }, { timestamps: false });
@@ -2846,6 +5209,20 @@ const Propaganda = mongoose.model('Propaganda', PropagandaSchema);
 
 const NfceCache = mongoose.model('NfceCache', NfceCacheSchema);
 
+// Casa os itens da nota com o catálogo pelo cEAN: cada item ganha ean (normalizado) e produtoId (ou null)
+async function vincularItensPorEAN(itens) {
+  try {
+    const eans = itens.map(i => normalizarEAN(i.codigo));
+    const validos = eans.filter(Boolean);
+    const prods = validos.length ? await Produto.find({ ean: { $in: validos }, ativo:true }).select('ean').lean() : [];
+    const porEan = new Map(prods.map(p => [p.ean, p._id]));
+    return itens.map((i, k) => ({ ...i, ean: eans[k], produtoId: porEan.get(eans[k]) || null }));
+  } catch(e) {
+    console.warn('[NFC-e] Erro ao casar EAN:', e.message);
+    return itens;
+  }
+}
+
 app.post('/api/nfce/consultar', async (req, res) => {
   const ip = req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress || 'unknown';
   const { url } = req.body;
@@ -2857,24 +5234,14 @@ app.post('/api/nfce/consultar', async (req, res) => {
     return res.status(429).json({ erro: 'Limite de consultas atingido. Aguarde 1 minuto.' });
   }
 
-  // ── Valida domínio SEFAZ ─────────────────────────────────────────────────
-  const dominiosPermitidos = [
-    'nfe.fazenda.gov.br', 'nfce.fazenda.gov.br',
-    'sefaz.ba.gov.br',   'nfce.sefaz.ba.gov.br',
-    'sefaz.sp.gov.br',   'nfce.sefaz.sp.gov.br',
-    'sefaz.rs.gov.br',   'sefaz.mg.gov.br',
-    'sefaz.ce.gov.br',   'sefaz.go.gov.br',
-    'sefaz.pe.gov.br',   'sefaz.ma.gov.br',
-    'portalsped.fazenda.gov.br', 'www.nfe.fazenda.gov.br',
-    'nfce.sefaz.al.gov.br', 'nfce.sefaz.to.gov.br',
-  ];
+  // ── Valida domínio SEFAZ (cada adaptador em nfce/ declara os hosts do seu portal) ──
   let urlObj;
   try { urlObj = new URL(url); } catch(e) { return res.status(400).json({ erro: 'URL malformada' }); }
-  if (!dominiosPermitidos.some(d => urlObj.hostname.endsWith(d))) {
+  if (!nfce.adaptadorPorHost(urlObj.hostname)) {
     return res.status(400).json({ erro: 'Dominio nao permitido: ' + urlObj.hostname });
   }
 
-  const chave = extrairChaveNFe(url);
+  const chave = nfce.extrairChaveNFe(url);
 
   // ── Cache MongoDB ─────────────────────────────────────────────────────────
   try {
@@ -2882,238 +5249,113 @@ app.post('/api/nfce/consultar', async (req, res) => {
     if (cached) {
       const idade = Date.now() - new Date(cached.consultadoEm).getTime();
       if (idade < NFCE_CACHE_TTL) {
-        return res.json({ ok: true, mercado: cached.mercado, data: cached.data, itens: cached.itens, cache: true });
+        return res.json({ ok: true, chave, mercado: cached.mercado, data: cached.data, cnpj: cached.cnpj, total: cached.total, adaptador: cached.adaptador, itens: await vincularItensPorEAN(cached.itens || []), cache: true });
       }
     }
   } catch(_) {}
 
-  // ── Consulta SEFAZ ────────────────────────────────────────────────────────
+  // ── Consulta SEFAZ via adaptador do estado ────────────────────────────────
   try {
-    // SEFAZ BA: usa endpoint REST que retorna JSON (não scraping de HTML SPA)
-    const isSefazBA = url.includes('sefaz.ba.gov.br');
-    const chaveNFe = extrairChaveNFe(url);
-
-    let html = '';
-    let nomeEstAPI = null, dataAPI = null;
-    const itensAPI = [];
-
-    if (isSefazBA && chaveNFe && chaveNFe.length === 44) {
-      // Tenta API REST do SEFAZ BA primeiro
-      const apiUrl = 'https://api.sefaz.ba.gov.br/sfz-nfce-api/api/publico/nfce/consultar';
-      try {
-        const apiResp = await fetch(apiUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
-          body: JSON.stringify({ chNFe: chaveNFe }),
-          signal: AbortSignal.timeout(10000),
-        });
-        if (apiResp.ok) {
-          const apiData = await apiResp.json();
-          // Estrutura típica: { nfeProc: { NFe: { infNFe: { det: [...], emit: {...} } } } }
-          const infNFe = apiData?.nfeProc?.NFe?.infNFe || apiData?.NFe?.infNFe || apiData;
-          const det = infNFe?.det || apiData?.det || [];
-          const emit = infNFe?.emit || apiData?.emit || {};
-          nomeEstAPI = emit?.xNome || emit?.xFant || null;
-          det.forEach(d => {
-            const prod = d?.prod || d;
-            const nome = (prod?.xProd || prod?.nome || '').trim();
-            const preco = parseFloat(prod?.vUnCom || prod?.vProd || 0);
-            const qtd = parseFloat(prod?.qCom || prod?.qtd || 1);
-            if (nome && preco > 0) itensAPI.push({ produto: nome, preco, qtd });
-          });
-          if (itensAPI.length) {
-            console.log('[SEFAZ BA API] Extraiu', itensAPI.length, 'itens via REST');
-            const cacheKey = chaveNFe;
-            try { await NfceCache.findOneAndUpdate({ chave: cacheKey }, { chave: cacheKey, mercado: nomeEstAPI, data: dataAPI, itens: itensAPI, consultadoEm: new Date() }, { upsert: true }); } catch(_){}
-            return res.json({ ok: true, mercado: nomeEstAPI, data: dataAPI, itens: itensAPI });
-          }
-        }
-      } catch(apiErr) {
-        console.warn('[SEFAZ BA API] Falhou:', apiErr.message, '— tentando scraping HTML');
-      }
-    }
-
-    const resp = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'pt-BR,pt;q=0.9',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1',
-      },
-      signal: AbortSignal.timeout(8000),
-    });
-
-    if (!resp.ok) return res.status(502).json({ erro: 'SEFAZ retornou HTTP ' + resp.status });
-
-    html = await resp.text();
-
-    // ── Extrai nome do estabelecimento ────────────────────────────────────
-    const nomeEst = (
-      html.match(/class="txtTopo"[^>]*>\s*([^<]{3,60})</) ||
-      html.match(/id="u20"[^>]*>([^<]+)</) ||
-      html.match(/<div[^>]*txtTopo[^>]*>\s*([^<]{3,60})</) ||
-      html.match(/Emitente[^:]*:\s*<[^>]+>([^<]{3,60})</) ||
-      []
-    )[1]?.trim().replace(/\s+/g,' ') || null;
-
-    // ── Extrai data ───────────────────────────────────────────────────────
-    const dataMatch = html.match(/(\d{2}\/\d{2}\/\d{4})/);
-    const dataNF = dataMatch ? dataMatch[1] : null;
-
-    const itens = [];
-    let m;
-
-    // Formato 0: SEFAZ BA (www.sefaz.ba.gov.br) — fonteTitulo + Vl. Unit.
-    const r0 = /fonteTitulo[^>]*>\s*([^<]{3,80})\s*<\/td>[\s\S]{0,400}?Vl\. Unit\.<\/td>\s*<td>([0-9]+[.,][0-9]{2})<\/td>/gi;
-    while ((m = r0.exec(html)) !== null) {
-      const nome = m[1].trim().replace(/\s+/g,' ');
-      const preco = parseFloat(m[2].replace(/\./g,'').replace(',','.'));
-      if (nome.length > 2 && preco > 0 && preco < 9999) itens.push({ produto: nome, preco, qtd: 1 });
-    }
-
-    // Formato 0B: SEFAZ BA variante — <span class="label">NOME</span> com valor unitário próximo
-    if (!itens.length) {
-      // SEFAZ BA usa layout Bootstrap com classes label/value ou h7/h8
-      const r0b = /<span[^>]*class="(?:Descricao|h7|h6|label)[^"]*"[^>]*>([^<]{3,80})<\/span>[\s\S]{0,800}?<span[^>]*class="(?:Vunitario|h8|valor)[^"]*"[^>]*>([0-9]+[.,][0-9]{2})<\/span>/gi;
-      while ((m = r0b.exec(html)) !== null) {
-        const nome = m[1].trim().replace(/\s+/g,' ');
-        const preco = parseFloat(m[2].replace(/\./g,'').replace(',','.'));
-        if (nome.length > 2 && preco > 0 && preco < 9999) itens.push({ produto: nome, preco, qtd: 1 });
-      }
-    }
-
-    // Formato 0C: SEFAZ BA mobile — padrão de tabela com xProd e vUnCom em atributos data-*
-    if (!itens.length) {
-      const r0c = /data-(?:descricao|xprod|produto)="([^"]{3,80})"[^>]*data-(?:vunitario|vuncom|preco)="([0-9]+[.,][0-9]{2})"/gi;
-      while ((m = r0c.exec(html)) !== null) {
-        const nome = m[1].trim().replace(/\s+/g,' ');
-        const preco = parseFloat(m[2].replace(',','.'));
-        if (nome.length > 2 && preco > 0 && preco < 9999) itens.push({ produto: nome, preco, qtd: 1 });
-      }
-    }
-
-    // Formato 1: classe txtTit ou nome_item (portais BA, SP, RS, CE...)
-    const r1 = /class="(?:txtTit|nome_item)[^"]*"[^>]*>\s*([^<]{3,80})<[\s\S]{0,500}?(?:Vl\. Unit\.|R\$)\s*([0-9]+[.,][0-9]{2})/gi;
-    while ((m = r1.exec(html)) !== null) {
-      const nome = m[1].trim().replace(/\s+/g,' ');
-      const preco = parseFloat(m[2].replace(/\./g,'').replace(',','.'));
-      if (nome.length > 2 && preco > 0 && preco < 9999) itens.push({ produto: nome, preco, qtd: 1 });
-    }
-
-    // Formato 2: JSON embutido (alguns estados modernos)
-    if (!itens.length) {
-      const jsonM = html.match(/var\s+\w+\s*=\s*(\{[\s\S]{50,}\})\s*;/);
-      if (jsonM) {
-        try {
-          const obj = JSON.parse(jsonM[1]);
-          (obj.det || obj.itens || obj.items || []).forEach(it => {
-            const prod = it.prod || it;
-            const nome = (prod.xProd || prod.nome || prod.descricao || '').trim();
-            const preco = parseFloat(prod.vUnCom || prod.vProd || prod.preco || 0);
-            if (nome && preco > 0) itens.push({ produto: nome, preco, qtd: parseFloat(prod.qCom||prod.qtd||1) });
-          });
-        } catch(_) {}
-      }
-    }
-
-    // Formato 3A: SEFAZ BA novo layout — divNomeItem + lblValorUnitario
-    if (!itens.length) {
-      const r3a = /class="[^"]*(?:divNomeItem|Nome|ItemNome)[^"]*"[^>]*>\s*([^<]{3,80})\s*<[\s\S]{0,600}?(?:lblValorUnitario|Vl\. Unit\.|ValUnit)[^>]*>\s*([0-9]+[.,][0-9]{2})/gi;
-      while ((m = r3a.exec(html)) !== null) {
-        const nome = m[1].trim().replace(/\s+/g,' ');
-        const preco = parseFloat(m[2].replace(/\./g,'').replace(',','.'));
-        if (nome.length > 2 && preco > 0 && preco < 9999) itens.push({ produto: nome, preco, qtd: 1 });
-      }
-    }
-
-    // Formato 3B: tabela com <span> de produto e valor unitário
-    if (!itens.length) {
-      const r3b = /<span[^>]*class="[^"]*(?:item|produto|descricao)[^"]*"[^>]*>\s*([^<]{3,80})\s*<\/span>[\s\S]{0,400}?<span[^>]*>\s*([0-9]+,[0-9]{2})\s*<\/span>/gi;
-      while ((m = r3b.exec(html)) !== null) {
-        const nome = m[1].trim().replace(/\s+/g,' ');
-        const preco = parseFloat(m[2].replace(',','.'));
-        if (nome.length > 2 && preco > 0 && preco < 9999) itens.push({ produto: nome, preco, qtd: 1 });
-      }
-    }
-
-    // Formato 3C: padrão nfce.sefaz.ba.gov.br — <td class="col-xs-*"> com produto e valor
-    if (!itens.length) {
-      // Tenta extrair blocos de itens pela estrutura de tabela com col-xs
-      const blocos = html.match(/<tr[\s\S]{20,500}?<\/tr>/gi) || [];
-      for (const bloco of blocos) {
-        const nomem = bloco.match(/col-xs-[0-9]+[^>]*>\s*([A-Za-zÀ-ú][^<]{3,70})\s*</);
-        const precom = bloco.match(/([0-9]{1,5},[0-9]{2})/g);
-        if (nomem && precom) {
-          const nome = nomem[1].trim().replace(/\s+/g,' ');
-          // Pega o menor valor (mais provável ser unitário, não total)
-          const precos = precom.map(p => parseFloat(p.replace(',','.'))).filter(p => p > 0 && p < 9999);
-          if (precos.length && nome.length > 3 && !/total|subtotal|desconto|troco|taxa/i.test(nome)) {
-            itens.push({ produto: nome, preco: Math.min(...precos), qtd: 1 });
-          }
-        }
-      }
-    }
-
-    // Formato 3: DESATIVADO — produzia falsos positivos em páginas SPA (SEFAZ BA)
-    // O SEFAZ BA carrega dados via JS/AJAX; o fetch pega HTML shell e o regex genérico
-    // captura texto de menus/labels como se fossem produtos. Melhor retornar sem itens.
-
-    if (!itens.length) {
-      // Log diagnóstico: primeiros 2000 chars do HTML para identificar o formato
-      const htmlSnippet = html.replace(/<script[\s\S]*?<\/script>/gi,'').replace(/<style[\s\S]*?<\/style>/gi,'').replace(/\s+/g,' ').substring(0,3000);
-      console.warn('[SEFAZ] Nenhum item extraído. URL:', url.substring(0,120));
-      console.warn('[SEFAZ] Classes detectadas:', (html.match(/class="([^"]+)"/g)||[]).slice(0,30).join(' '));
-      console.warn('[SEFAZ] HTML snippet:', htmlSnippet.substring(0,500));
-      return res.json({ ok: false, erro: 'Nao foi possivel extrair itens desta SEFAZ', mercado: nomeEst, data: dataNF, _htmlSnippet: htmlSnippet });
+    const nota = await nfce.consultarNota(url);
+    if (!nota.ok) {
+      return res.json({ ok: false, erro: 'Nao foi possivel extrair itens desta SEFAZ', adaptador: nota.adaptador, mercado: nota.mercado, data: nota.data, _htmlSnippet: nota.htmlSnippet });
     }
+    const { mercado, data, cnpj, total, adaptador, itens } = nota;
 
     // ── Salva no cache MongoDB ────────────────────────────────────────────
     try {
       await NfceCache.findOneAndUpdate(
         { chave },
-        { chave, mercado: nomeEst, data: dataNF, itens, consultadoEm: new Date() },
+        { chave, mercado, data, cnpj, total, adaptador, itens, consultadoEm: new Date() },
         { upsert: true }
       );
     } catch(_) {}
 
-    return res.json({ ok: true, mercado: nomeEst, data: dataNF, itens, cache: false });
+    // O cache guarda a nota crua; o vínculo com o catálogo é refeito a cada resposta
+    return res.json({ ok: true, chave, mercado, data, cnpj, total, adaptador, itens: await vincularItensPorEAN(itens), cache: false });
 
   } catch(e) {
+    if (e.status === 400) return res.status(400).json({ erro: e.message });
     const isTimeout = e.name === 'TimeoutError' || e.message?.includes('timeout');
-    return res.status(502).json({ erro: isTimeout ? 'SEFAZ demorou demais (timeout). Tente novamente.' : 'Erro ao consultar SEFAZ: ' + e.message });
+    return res.status(502).json({ erro: isTimeout ? 'SEFAZ demorou demais (timeout). Tente novamente.' : (e.status === 502 ? e.message : 'Erro ao consultar SEFAZ: ' + e.message) });
   }
 });
 
 // ─── Endpoint: preços colaborativos da NF-e ──────────────────────────────────
-// Quando produtos da nota são confirmados, salva como contribuição automática
-app.post('/api/nfce/salvar-precos', async (req, res) => {
-  const { itens, mercadoId, data } = req.body;
-  if (!itens?.length || !mercadoId) return res.status(400).json({ erro: 'Dados incompletos' });
+// Cada nota confirmada vira um lote de contribuições pendentes, ligado ao cliente e à chave
+// de acesso. A chave é única: a mesma nota não pode ser enviada duas vezes. Linhas e preços vêm
+// da nota que /api/nfce/consultar buscou na SEFAZ (NfceCache); o cliente só manda { linha, produtoId }.
+const NFCE_ITENS_MAX = 200;
 
-  const ip = req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress;
-  const salvos = [];
+app.post('/api/nfce/salvar-precos', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.tipo !== 'cliente') return res.status(403).json({ erro:'Apenas clientes' });
+    const { itens, mercadoId } = req.body;
+    const chave = String(req.body.chave || '').replace(/\D/g, '');
+    if (!Array.isArray(itens) || !itens.length || !mercadoId) return res.status(400).json({ erro: 'Dados incompletos' });
+    if (chave.length !== 44) return res.status(400).json({ erro:'Chave de acesso da nota (44 dígitos) obrigatória' });
+    if (!isObjId(String(mercadoId))) return res.status(400).json({ erro:'mercadoId inválido. Selecione um mercado.' });
+    if (itens.length > NFCE_ITENS_MAX) return res.status(400).json({ erro:`Máximo de ${NFCE_ITENS_MAX} itens por nota` });
+    const lida = await NfceCache.findOne({ chave }).lean();
+    if (!lida?.itens?.length) return res.status(400).json({ erro:'Nota não consultada na SEFAZ — leia o QR Code novamente' });
+    const linhasUsadas = new Set();
+    const validos = [];
+    for (const i of itens) {
+      const k = Number(i?.linha);
+      const item = Number.isInteger(k) && k >= 0 ? lida.itens[k] : null;
+      if (!item || linhasUsadas.has(k) || !isObjId(String(i.produtoId)) || !validarPreco(item.preco)) continue;
+      linhasUsadas.add(k);
+      validos.push({ produtoId: String(i.produtoId), preco: item.preco, produto: item.produto, ean: item.codigo });
+    }
+    if (!validos.length) return res.status(400).json({ erro:'Nenhum item válido (linha da nota + produto do catálogo)' });
 
-  for (const item of itens) {
-    if (!item.produtoId || !item.preco || item.preco <= 0) continue;
+    const c = await Cliente.findById(req.user.id);
+    if (!c || c.bloqueado) return res.status(403).json({ erro:'Conta bloqueada' });
+    if (!await Mercado.exists({ _id: mercadoId })) return res.status(404).json({ erro:'Mercado não encontrado' });
+
+    const ip = getIP(req);
+    const auto = await autoAprovar(c); // a nota inteira pula a fila ou vai inteira para revisão
+    // Linhas com preço fora do padrão ficam pendentes mesmo numa nota auto-aprovada
+    const suspeitas = await Promise.all(validos.map(i => avaliarPreco(i.produtoId, i.preco)));
+    const retidas = suspeitas.filter(Boolean).length;
+    let nota;
     try {
-      const novoPreco = new Preco({
-        produtoId: item.produtoId,
-        mercadoId,
-        preco: item.preco,
-        dataAtu: data || new Date().toLocaleDateString('pt-BR'),
-        fonte: 'nfce',
-        autor: 'Nota Fiscal (NFC-e)',
-        ip,
-        aprovado: false, // vai para fila de aprovação como qualquer contribuição
+      nota = await NotaNFCe.create({
+        chave, clienteId:c._id, mercadoId, dataNota: lida.data || '', itens: validos.length, ip,
+        status: auto && !retidas ? 'aprovada' : 'pendente',
+        cnpj: lida.cnpj ? String(lida.cnpj).replace(/\D/g, '') || null : null,
+        total: lida.total > 0 ? lida.total : null,
       });
-      await novoPreco.save();
-      salvos.push(item.produtoId);
-    } catch(_) {}
-  }
-
-  res.json({ ok: true, salvos: salvos.length });
+    } catch(e) {
+      if (e.code === 11000) return res.status(409).json({ erro:'Esta nota fiscal já foi enviada' });
+      throw e;
+    }
+    let linhas;
+    try {
+      linhas = await Contribuicao.insertMany(validos.map((i, k) => ({
+        tipo:'nfce', produtoId:i.produtoId, mercadoId, preco:parseFloat(i.preco),
+        autor:c.nome, clienteId:c._id, ip, notaId:nota._id, chaveNFe:chave, ean: normalizarEAN(i.ean),
+        status: auto && !suspeitas[k] ? 'aprovado' : 'pendente', autoAprovada: auto && !suspeitas[k], suspeita: suspeitas[k],
+        obs: i.produto ? 'NFC-e: ' + String(i.produto).slice(0, 120) : 'Via nota fiscal (NFC-e)',
+      })));
+    } catch(e) {
+      // Sem linhas a nota não pode ficar travando o reenvio
+      await NotaNFCe.findByIdAndDelete(nota._id).catch(() => {});
+      throw e;
+    }
+    await registrarLog('contribuicao', `NFC-e enviada por ${c.login}: ${linhas.length} item(ns)${auto ? ' (auto-aprovada)' : ''}`, c.login, ip);
+    if (auto) {
+      const publicadas = linhas.filter(l => l.status === 'aprovado');
+      for (const l of publicadas) await publicarContribuicao(l);
+      // Linhas auto-aprovadas não contam na reputação — só as aprovadas pela equipe
+      if (!retidas) return res.status(201).json({ ok: true, salvos: linhas.length, notaId: nota._id, autoAprovada: true, mensagem:'Nota enviada e preços publicados!' });
+      notificarAdmins('nova_contribuicao', { id:nota._id, autor:c.nome, nota:true, itens:retidas, suspeitas:retidas });
+      return res.status(201).json({ ok: true, salvos: linhas.length, notaId: nota._id, autoAprovada: true, retidos: retidas,
+        mensagem:`Nota enviada! ${publicadas.length} preço(s) publicados; ${retidas} fora do padrão aguardam revisão.` });
+    }
+    notificarAdmins('nova_contribuicao', { id:nota._id, autor:c.nome, nota:true, itens:linhas.length, suspeitas:retidas });
+    res.status(201).json({ ok: true, salvos: linhas.length, notaId: nota._id, retidos: retidas, mensagem:'Nota enviada! Os preços aguardam aprovação.' });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // Qualquer rota /api/* não encontrada retorna 404 JSON (não HTML)
@@ -3149,7 +5391,7 @@ app.post('/api/fila-ia', authMiddleware, async (req, res) => {
     if (!mercadoId || !imagemBase64) return res.status(400).json({ erro: 'mercadoId e imagemBase64 obrigatórios' });
     if (!isObjId(mercadoId)) return res.status(400).json({ erro: 'mercadoId inválido' });
     const item = await FilaIA.create({
-      clienteId:    req.user._id || null,
+      clienteId:    req.user.tipo === 'cliente' ? req.user.id : null,
       clienteLogin: req.user.login || req.user.usuario || '',
       mercadoId,
       mercadoNome:  mercadoNome || '',
@@ -3158,12 +5400,30 @@ app.post('/api/fila-ia', authMiddleware, async (req, res) => {
       status:       'aguardando',
     });
     await registrarLog('fila_ia', `Foto adicionada à fila por ${req.user.login||'?'} — mercado ${mercadoNome||mercadoId}`, req.user.login||'cliente', getIP(req));
-    res.status(201).json({ id: item._id, status: 'aguardando', msg: 'Foto adicionada à fila! Será processada automaticamente.' });
+    res.status(201).json({ id: item._id, status: 'aguardando', msg: 'Foto adicionada à fila! Será processada automaticamente — avisaremos quando terminar.' });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// GET /api/fila-ia/minhas — cliente acompanha as próprias fotos na fila (sem a imagem)
+app.get('/api/fila-ia/minhas', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.tipo !== 'cliente') return res.status(403).json({ erro: 'Apenas clientes' });
+    const itens = await FilaIA.find({ clienteId: req.user.id })
+      .select('mercadoId mercadoNome status tentativas erroMsg resultado precos processadaEm createdAt')
+      .sort({ createdAt: -1 }).limit(30).lean();
+    const revisor = await clientePodeRevisarFilaIA(req.user.id);
+    res.json(itens.map(i => ({
+      _id: i._id, mercadoId: i.mercadoId, mercadoNome: i.mercadoNome, status: i.status,
+      tentativas: i.tentativas, erroMsg: i.erroMsg, processadaEm: i.processadaEm, createdAt: i.createdAt,
+      extraidos: (i.resultado?.itens || []).map(it => ({ produto: it.produto, preco: it.preco, confianca: it.confianca })),
+      precos: i.precos || [],
+      podeRevisar: revisor && i.status === 'revisao',
+    })));
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // GET /api/fila-ia — admin lista fila
-app.get('/api/fila-ia', adminAuth, async (req, res) => {
+app.get('/api/fila-ia', requirePerm('ia:usar'), async (req, res) => {
   try {
     const itens = await FilaIA.find().sort({ createdAt: -1 }).limit(200);
     res.json(itens);
@@ -3171,10 +5431,12 @@ app.get('/api/fila-ia', adminAuth, async (req, res) => {
 });
 
 // PATCH /api/fila-ia/:id/reprocessar — admin força reprocessamento de um item
-app.patch('/api/fila-ia/:id/reprocessar', adminAuth, async (req, res) => {
+app.patch('/api/fila-ia/:id/reprocessar', requirePerm('ia:usar'), async (req, res) => {
   try {
     const item = await FilaIA.findById(req.params.id);
     if (!item) return res.status(404).json({ erro: 'Item não encontrado' });
+    // Reprocessar geraria um segundo lote com as mesmas linhas
+    if (item.status === 'revisao') return res.status(409).json({ erro: 'Foto em revisão — aprove ou recuse as linhas do lote' });
     item.status = 'aguardando';
     item.tentativas = 0;
     item.erroMsg = '';
@@ -3186,24 +5448,185 @@ app.patch('/api/fila-ia/:id/reprocessar', adminAuth, async (req, res) => {
 });
 
 // DELETE /api/fila-ia/:id — admin remove item da fila
-app.delete('/api/fila-ia/:id', adminAuth, async (req, res) => {
+app.delete('/api/fila-ia/:id', requirePerm('ia:gerenciar'), async (req, res) => {
   try {
     await FilaIA.findByIdAndDelete(req.params.id);
+    // Linhas ainda em revisão perdem a foto de referência — saem junto
+    if (isObjId(req.params.id)) await Contribuicao.deleteMany({ filaIAId: req.params.id, status: 'pendente' });
     res.json({ ok: true });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // DELETE /api/fila-ia/concluidos — admin limpa concluídos
-app.delete('/api/fila-ia/limpar/concluidos', adminAuth, async (req, res) => {
+app.delete('/api/fila-ia/limpar/concluidos', requirePerm('ia:gerenciar'), async (req, res) => {
   try {
     const r = await FilaIA.deleteMany({ status: 'concluido' });
     res.json({ deletados: r.deletedCount });
   } catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
+// Push para o cliente dono da foto quando o processamento termina (ou falha de vez)
+function avisarClienteFilaIA(item, corpo, falhou = false) {
+  if (!item.clienteId) return;
+  enviarPushParaClientes(falhou ? '📷 Foto não processada' : '📷 Sua foto foi processada', corpo, '/', { clienteId: item.clienteId }).catch(()=>{});
+}
+
+// ── REVISÃO DO LOTE DE UMA FOTO ──────────────────────────
+// Cada preço lido pela IA vira uma linha pendente (Contribuicao com filaIAId); nada vai ao ar
+// antes de alguém aceitar. Revisam admins com 'contribuicoes:moderar' e o próprio cliente que
+// mandou a foto quando a reputação dele já daria auto-aprovação.
+async function clientePodeRevisarFilaIA(clienteId) {
+  if (!clienteId || !isObjId(String(clienteId))) return false;
+  const c = await Cliente.findById(clienteId).lean();
+  if (!c || c.bloqueado) return false;
+  return calcularReputacao(c).pontos >= limiarReputacao(await configReputacao());
+}
+
+async function loteFilaIA(req, comImagem = false) {
+  if (!isObjId(req.params.id)) return { status:400, erro:'ID inválido' };
+  const item = await FilaIA.findById(req.params.id).select(comImagem ? '' : '-imagemBase64').lean();
+  if (!item) return { status:404, erro:'Foto não encontrada na fila' };
+  if (req.user.tipo === 'cliente' && (String(item.clienteId) !== String(req.user.id) || !await clientePodeRevisarFilaIA(req.user.id)))
+    return { status:403, erro:'A revisão desta foto é feita pela equipe' };
+  return { item };
+}
+
+// Linhas pendentes do lote: todas, ou só os ids enviados em body.ids
+async function linhasPendentesDoLote(req) {
+  const r = await loteFilaIA(req);
+  if (r.erro) return r;
+  const filtro = { filaIAId: r.item._id, status:'pendente' };
+  if (Array.isArray(req.body?.ids)) filtro._id = { $in: req.body.ids.filter(id => isObjId(String(id))) };
+  const linhas = await Contribuicao.find(filtro);
+  if (!linhas.length) return { status:400, erro:'Nenhuma linha pendente para revisar' };
+  return { ...r, linhas };
+}
+
+// Recalcula o resumo da foto (precos) a partir das linhas; sem pendentes o lote fecha e a foto
+// volta ao prazo normal de limpeza. avisar = push ao cliente (quando quem revisou foi a equipe).
+const STATUS_PRECO_FILA_IA = { pendente:'retido', aprovado:'publicado', rejeitado:'rejeitado' };
+async function atualizarStatusFilaIA(filaIAId, avisar = false) {
+  if (!filaIAId) return null;
+  const item = await FilaIA.findById(filaIAId).select('-imagemBase64').lean();
+  if (!item) return null;
+  const linhas = await Contribuicao.find({ filaIAId }).sort({ createdAt:1 }).select('produtoId preco status obs').lean();
+  const ids = linhas.map(l => String(l.produtoId)).filter(isObjId);
+  const nomes = new Map((await Produto.find({ _id: { $in: ids } }).select('nome').lean()).map(p => [String(p._id), p.nome]));
+  const precos = [
+    ...linhas.map(l => ({
+      produtoId: isObjId(String(l.produtoId)) ? l.produtoId : null,
+      produto: nomes.get(String(l.produtoId)) || String(l.obs || '').replace(/^Fila IA: /, ''),
+      preco: l.preco, status: STATUS_PRECO_FILA_IA[l.status] || 'retido',
+    })),
+    ...(item.precos || []).filter(p => p.status === 'ignorado'),
+  ];
+  const set = { precos };
+  if (item.status === 'revisao' && !linhas.some(l => l.status === 'pendente')) {
+    set.status = 'concluido';
+    set.expiraEm = new Date(Date.now() + 48*60*60*1000);
+    const publicados = linhas.filter(l => l.status === 'aprovado').length;
+    if (avisar) avisarClienteFilaIA(item, publicados
+      ? `${publicados} preço(s) da sua foto no ${item.mercadoNome || 'mercado'} já estão no app. Obrigado!`
+      : `Os preços lidos na sua foto do ${item.mercadoNome || 'mercado'} não foram confirmados na revisão.`);
+  }
+  return FilaIA.findByIdAndUpdate(filaIAId, set, { new:true }).select('-imagemBase64');
+}
+
+// GET /api/fila-ia/:id/revisao — foto + linhas lidas (produto proposto, confiança, recorte da etiqueta)
+app.get('/api/fila-ia/:id/revisao', adminComPermOuCliente('contribuicoes:moderar'), async (req, res) => {
+  try {
+    const r = await loteFilaIA(req, true);
+    if (r.erro) return res.status(r.status).json({ erro: r.erro });
+    const linhas = await Contribuicao.find({ filaIAId: r.item._id }).sort({ createdAt:1 }).lean();
+    res.json({ ...r.item, linhas, revisor: req.user.tipo });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// PATCH /api/fila-ia/:id/linhas — corrige preço ou troca o produto de linhas pendentes
+//   { linhas: [{ id, produtoId?, preco? }] }
+app.patch('/api/fila-ia/:id/linhas', adminComPermOuCliente('contribuicoes:moderar'), async (req, res) => {
+  try {
+    const edicoes = Array.isArray(req.body?.linhas) ? req.body.linhas : [];
+    if (!edicoes.length) return res.status(400).json({ erro:'Nenhuma linha para editar' });
+    const r = await loteFilaIA(req);
+    if (r.erro) return res.status(r.status).json({ erro: r.erro });
+    const linhas = await Contribuicao.find({ filaIAId: r.item._id, status:'pendente', _id: { $in: edicoes.map(e => String(e?.id)).filter(isObjId) } });
+    const porId = new Map(linhas.map(l => [String(l._id), l]));
+    const antes = linhas.map(l => ({ _id:l._id, produtoId:l.produtoId, preco:l.preco }));
+    for (const e of edicoes) {
+      const l = porId.get(String(e?.id));
+      if (!l) continue;
+      if (e.produtoId !== undefined && String(e.produtoId) !== String(l.produtoId)) {
+        if (!isObjId(String(e.produtoId)) || !await Produto.exists({ _id: e.produtoId, ativo: true }))
+          return res.status(400).json({ erro:'Produto não encontrado no catálogo' });
+        l.produtoId = String(e.produtoId);
+        l.casadoPor = 'revisor';
+        l.confianca = 1;
+      }
+      if (e.preco !== undefined) {
+        const preco = Math.round(parseFloat(e.preco) * 100) / 100;
+        if (!validarPreco(preco)) return res.status(400).json({ erro:'Preço inválido' });
+        l.preco = preco;
+      }
+      l.suspeita = isObjId(String(l.produtoId)) ? await avaliarPreco(l.produtoId, l.preco) : null;
+    }
+    for (const l of linhas) if (l.isModified()) await l.save();
+    await atualizarStatusFilaIA(r.item._id);
+    await auditar(req, { acao:'fila_ia.editar', entidade:'FilaIA', entidadeId:r.item._id, antes:{ linhas:antes },
+      depois:{ linhas: linhas.map(l => ({ _id:l._id, produtoId:l.produtoId, preco:l.preco })) } });
+    res.json({ mensagem:'Linhas atualizadas', linhas });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.patch('/api/fila-ia/:id/aprovar', adminComPermOuCliente('contribuicoes:moderar'), async (req, res) => {
+  try {
+    const r = await linhasPendentesDoLote(req);
+    if (r.erro) return res.status(r.status).json({ erro: r.erro });
+    const admin = req.user.tipo === 'admin';
+    // Sem produto do catálogo não há o que publicar; preço fora do padrão só a equipe libera
+    const prontas = r.linhas.filter(l => isObjId(String(l.produtoId)) && (admin || !l.suspeita));
+    if (!prontas.length) return res.status(400).json({ erro: admin ? 'Escolha o produto do catálogo antes de aprovar' : 'Escolha o produto do catálogo antes de aprovar — preços fora do padrão ficam para a equipe' });
+    const ids = prontas.map(l => l._id);
+    await Contribuicao.updateMany({ _id: { $in: ids } }, { status:'aprovado' });
+    for (const l of prontas) await publicarContribuicao(l);
+    // Reputação só sobe com a revisão da equipe — o cliente não ganha pontos aprovando a própria foto
+    if (admin && r.item.clienteId) await Cliente.findByIdAndUpdate(r.item.clienteId, { $inc:{ totalContribuicoes: ids.length }, errosConsecutivos:0 });
+    const item = await atualizarStatusFilaIA(r.item._id, admin);
+    await registrarLog('contribuicao', `Fila IA (${r.item.mercadoNome || r.item.mercadoId}): ${ids.length} preço(s) aprovado(s)`, req.user.usuario || req.user.login, getIP(req));
+    await auditar(req, { acao:'fila_ia.aprovar', entidade:'FilaIA', entidadeId:r.item._id, antes:{ status:r.item.status }, depois:{ status:item.status, aprovadas:ids } });
+    res.json({ mensagem:`${ids.length} preço(s) aprovado(s) e publicado(s)!`, aprovadas: ids.length, puladas: r.linhas.length - ids.length, status: item.status });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+app.patch('/api/fila-ia/:id/rejeitar', adminComPermOuCliente('contribuicoes:moderar'), async (req, res) => {
+  try {
+    const motivo = String(req.body?.motivo || '').slice(0, 200);
+    const r = await linhasPendentesDoLote(req);
+    if (r.erro) return res.status(r.status).json({ erro: r.erro });
+    const ids = r.linhas.map(l => l._id);
+    await Contribuicao.updateMany({ _id: { $in: ids } }, { status:'rejeitado', motivoRecusa:motivo });
+    const item = await atualizarStatusFilaIA(r.item._id, req.user.tipo === 'admin');
+    await registrarLog('contribuicao', `Fila IA (${r.item.mercadoNome || r.item.mercadoId}): ${ids.length} linha(s) rejeitada(s)`, req.user.usuario || req.user.login, getIP(req));
+    await auditar(req, { acao:'fila_ia.rejeitar', entidade:'FilaIA', entidadeId:r.item._id, antes:{ status:r.item.status }, depois:{ status:item.status, rejeitadas:ids, motivo } });
+    // Sem penalizarCliente: quem errou a leitura foi a IA, não quem mandou a foto
+    res.json({ mensagem:`${ids.length} linha(s) rejeitada(s)`, rejeitadas: ids.length, status: item.status });
+  } catch(e) { res.status(500).json({ erro: e.message }); }
+});
+
+// Peso da confiança que a própria IA declara na leitura — multiplica a nota do casamento com o catálogo
+const PESO_LEITURA_FILA_IA = { alta: 1, media: 0.8, baixa: 0.5 };
+
+// box_2d do modelo → [ymin, xmin, ymax, xmax] em 0–1000, ou undefined se vier torto
+function recorteIA(caixa) {
+  if (!Array.isArray(caixa) || caixa.length !== 4) return undefined;
+  const [y0, x0, y1, x1] = caixa.map(n => Math.round(Number(n)));
+  if (![y0, x0, y1, x1].every(n => Number.isFinite(n) && n >= 0 && n <= 1000) || y1 <= y0 || x1 <= x0) return undefined;
+  return [y0, x0, y1, x1];
+}
+
 // ── CRON: processa fila às 2h da manhã (e tenta a cada hora se houver itens) ──
 async function processarFilaIA(maxItens = 50) {
-  if (!GEMINI_KEY) return;
+  if (!ia.configurada) return;
   const itens = await FilaIA.find({ status: 'aguardando', tentativas: { $lt: 3 } })
     .sort({ createdAt: 1 }).limit(maxItens);
   if (!itens.length) return;
@@ -3225,103 +5648,68 @@ async function processarFilaIA(maxItens = 50) {
 MERCADO: ${mercNome}
 TAREFA: Extraia todos os produtos com preço visível nesta imagem.
 Responda APENAS JSON:
-{"itens":[{"produto":"nome com marca e tamanho","preco":0.00,"confianca":"alta|media|baixa","emoji":"🛒","categoria":"Mercearia|Bebidas|Laticínios|Açougue|Frutas|Verduras|Padaria|Limpeza|Higiene|Congelados|Geral"}],"erro":null}
+{"itens":[{"produto":"nome com marca e tamanho","preco":0.00,"confianca":"alta|media|baixa","ean":null,"box_2d":[0,0,1000,1000]}],"erro":null}
+box_2d = retângulo da etiqueta de preço do item na imagem, [ymin,xmin,ymax,xmax] normalizado de 0 a 1000.
+ean = código de barras de 8 ou 13 dígitos se estiver legível na etiqueta, senão null.
 Produtos já no catálogo (prefira nomes similares): ${prodList}
 Nunca inclua linhas de subtotal, desconto ou total.`;
 
-      const parts = [
-        { inlineData: { mimeType: item.mediaType || 'image/jpeg', data: item.imagemBase64 } },
-        { text: prompt }
-      ];
-
-      const modelos = ['gemini-2.5-flash-preview-04-17', 'gemini-2.5-flash'];
-      let texto = '';
-      for (const modelo of modelos) {
-        try {
-          const r = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${modelo}:generateContent?key=${GEMINI_KEY}`, {
-            method: 'POST', headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ contents: [{ parts }], generationConfig: { temperature: 0.05, maxOutputTokens: 8192 } })
-          });
-          const d = await r.json();
-          if (d.error) {
-            const msg = d.error.message || '';
-            if (msg.toLowerCase().includes('quota') || r.status === 429) {
-              // Quota batida — deixa na fila para próxima rodada
-              item.status = 'aguardando';
-              item.erroMsg = 'Cota da IA atingida — aguardando próxima janela';
-              await item.save();
-              console.log(`[FilaIA] Quota atingida no modelo ${modelo}, pausando fila.`);
-              return; // Para de processar para não desperdiçar tentativas
-            }
-            continue;
-          }
-          texto = d.candidates?.[0]?.content?.parts?.[0]?.text || '';
-          if (texto) break;
-        } catch(e2) { continue; }
+      let texto;
+      try {
+        ({ texto } = await gerarIA(null, { prompt, imagens: [{ base64: item.imagemBase64, mediaType: item.mediaType }], rotulo: 'FilaIA' }));
+      } catch(eIA) {
+        if (!eIA.quota) throw eIA;
+        // Quota batida — deixa na fila para próxima rodada
+        item.status = 'aguardando';
+        item.erroMsg = 'Cota da IA atingida — aguardando próxima janela';
+        await item.save();
+        console.log('[FilaIA] Quota atingida, pausando fila.');
+        return; // Para de processar para não desperdiçar tentativas
       }
 
-      if (!texto) throw new Error('Nenhum modelo respondeu');
-
       // Parse resultado
-      const clean = texto.replace(/```json|```/g,'').trim();
       let resultado;
-      try { resultado = JSON.parse(clean); }
-      catch(e) {
-        const m = clean.match(/\{[\s\S]*\}/);
-        resultado = m ? JSON.parse(m[0]) : { itens: [], erro: 'Parse error' };
-      }
-
-      // Auto-cadastra produtos e preços
-      let cadastrados = 0;
-      const dataHoje = new Date().toLocaleDateString('pt-BR');
-      const Preco = mongoose.model('Preco');
+      try { resultado = extrairJSON(texto); }
+      catch(e) { resultado = { itens: [], erro: 'Parse error' }; }
 
+      // Cada item lido vira uma linha pendente do lote da foto — nada é cadastrado nem publicado
+      // antes da revisão (ver /api/fila-ia/:id/revisao). Sem nome ou preço legível a linha é ignorada.
+      const indice = await indiceBusca();
+      const linhas = [], precos = [];
       for (const it of (resultado.itens || [])) {
-        if (!it.produto || !it.preco || it.confianca === 'baixa') continue;
-        try {
-          // Busca produto existente — match exato primeiro, depois similaridade controlada
-          const nomeNorm = it.produto.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g,'').replace(/[^a-z0-9 ]/g,' ').replace(/ +/g,' ').trim();
-          // 1. Busca exata (case-insensitive, sem acento)
-          let prod = await Produto.findOne({ nome: { $regex: new RegExp('^'+nomeNorm.replace(/[-.*+?^${}()|[\]\\]/g,'\\$&')+'$', 'i') } });
-          // 2. Se não achou, busca por todas as palavras significativas (mínimo 4 chars)
-          if (!prod) {
-            const palavras = nomeNorm.split(' ').filter(w => w.length >= 4);
-            if (palavras.length >= 2) {
-              const regex = new RegExp(palavras.map(p => '(?=.*'+p+')').join(''), 'i');
-              const candidatos = await Produto.find({ nome: regex }, 'nome').limit(5);
-              // Só aceita se houver exatamente 1 candidato (sem ambiguidade)
-              if (candidatos.length === 1) prod = candidatos[0];
-            }
-          }
-          if (!prod) {
-            // Cadastra produto novo — nome exato da IA
-            prod = await Produto.create({
-              nome: it.produto.trim(),
-              emoji: it.emoji || '🛒',
-              categoria: it.categoria || 'Geral',
-              aprovado: true,
-              origem: 'fila_ia'
-            });
-          }
-          // Upsert preço
-          await Preco.findOneAndUpdate(
-            { produtoId: prod._id, mercadoId: item.mercadoId },
-            { produtoId: prod._id, mercadoId: item.mercadoId, preco: it.preco,
-              fonte: 'fila_ia', autor: item.clienteLogin || 'FilaIA',
-              dataAtu: dataHoje },
-            { upsert: true, new: true }
-          );
-          cadastrados++;
-        } catch(e3) { console.warn('[FilaIA] erro item:', e3.message); }
+        const nome = String(it.produto || '').trim().slice(0, 120);
+        const preco = Math.round(parseFloat(it.preco) * 100) / 100;
+        if (!nome || !validarPreco(preco)) {
+          precos.push({ produto: nome, preco: parseFloat(it.preco) || null, status: 'ignorado' });
+          continue;
+        }
+        const casamento = casarLinhaCatalogo(nome, normalizarEAN(it.ean), indice);
+        const prod = casamento.produto;
+        linhas.push({
+          tipo:'fila_ia', filaIAId: item._id, clienteId: item.clienteId, autor: item.clienteLogin || 'FilaIA',
+          produtoId: prod ? prod._id : null, mercadoId: item.mercadoId, preco,
+          confianca: Math.round(casamento.confianca * (PESO_LEITURA_FILA_IA[it.confianca] ?? PESO_LEITURA_FILA_IA.baixa) * 100) / 100,
+          casadoPor: casamento.por, alternativas: casamento.alternativas, recorte: recorteIA(it.box_2d),
+          suspeita: prod ? await avaliarPreco(prod._id, preco) : null,
+          obs: 'Fila IA: ' + nome,
+        });
+        precos.push({ produtoId: prod ? prod._id : null, produto: prod ? prod.nome : nome, preco, status: 'retido' });
       }
+      if (linhas.length) await Contribuicao.insertMany(linhas);
 
-      item.status = 'concluido';
+      item.status = linhas.length ? 'revisao' : 'concluido';
       item.resultado = resultado;
+      item.precos = precos;
       item.processadaEm = new Date();
       item.erroMsg = '';
       await item.save();
-      await registrarLog('fila_ia', `Item processado: ${cadastrados} produto(s) cadastrados — mercado ${mercNome}`, 'sistema', '');
-      console.log(`[FilaIA] ✅ Item ${item._id}: ${cadastrados} produto(s) — ${mercNome}`);
+      const revisor = linhas.length && await clientePodeRevisarFilaIA(item.clienteId);
+      avisarClienteFilaIA(item, linhas.length
+        ? `${linhas.length} preço(s) lidos na sua foto do ${mercNome} ${revisor ? 'estão prontos para você conferir em Minha Conta' : 'aguardam revisão da equipe'}.`
+        : `Não encontramos preços legíveis na sua foto do ${mercNome}. Tente uma foto mais próxima das etiquetas.`);
+      await registrarLog('fila_ia', `Item processado: ${linhas.length} preço(s) lido(s) para revisão${precos.length > linhas.length ? `, ${precos.length - linhas.length} ignorado(s)` : ''} — mercado ${mercNome}`, 'sistema', '');
+      if (linhas.length) notificarAdmins('nova_contribuicao', { filaIA:item._id, autor:item.clienteLogin || 'FilaIA', itens:linhas.length, suspeitas:linhas.filter(l => l.suspeita).length });
+      console.log(`[FilaIA] ✅ Item ${item._id}: ${linhas.length} preço(s) para revisão — ${mercNome}`);
 
       // Pequena pausa entre itens para não sobrecarregar a API
       await new Promise(r => setTimeout(r, 1500));
@@ -3330,11 +5718,12 @@ Nunca inclua linhas de subtotal, desconto ou total.`;
       item.status = item.tentativas >= 3 ? 'erro' : 'aguardando';
       item.erroMsg = err.message;
       await item.save();
+      if (item.status === 'erro') avisarClienteFilaIA(item, `Não conseguimos processar sua foto do ${item.mercadoNome || 'mercado'}. Você pode lançar os preços manualmente no app.`, true);
       console.warn(`[FilaIA] ❌ Item ${item._id}:`, err.message);
     }
   }
-  // Limpa itens expirados
-  await FilaIA.deleteMany({ expiraEm: { $lt: new Date() } });
+  // Limpa itens expirados (fotos em revisão ficam até o lote fechar — os recortes dependem delas)
+  await FilaIA.deleteMany({ expiraEm: { $lt: new Date() }, status: { $ne: 'revisao' } });
   console.log('[FilaIA] Processamento concluído.');
 }
 
@@ -3400,7 +5789,7 @@ app.post('/api/qr-notas', async (req, res) => {
 });
 
 // GET /api/qr-notas — admin lista todas (mais recentes primeiro)
-app.get('/api/qr-notas', adminAuth, async (req, res) => {
+app.get('/api/qr-notas', requirePerm('ia:usar'), async (req, res) => {
   try {
     const notas = await QRNota.find().sort({ createdAt: -1 }).limit(100).lean();
     res.json({ notas });
@@ -3408,7 +5797,7 @@ app.get('/api/qr-notas', adminAuth, async (req, res) => {
 });
 
 // GET /api/qr-notas/:id — admin busca uma nota (para extrair URL via IA)
-app.get('/api/qr-notas/:id', adminAuth, async (req, res) => {
+app.get('/api/qr-notas/:id', requirePerm('ia:usar'), async (req, res) => {
   try {
     const nota = await QRNota.findById(req.params.id).lean();
     if (!nota) return res.status(404).json({ erro: 'Não encontrada' });
@@ -3417,7 +5806,7 @@ app.get('/api/qr-notas/:id', adminAuth, async (req, res) => {
 });
 
 // PUT /api/qr-notas/:id — admin atualiza status
-app.put('/api/qr-notas/:id', adminAuth, async (req, res) => {
+app.put('/api/qr-notas/:id', requirePerm('ia:usar'), async (req, res) => {
   try {
     const nota = await QRNota.findByIdAndUpdate(req.params.id, { status: req.body.status }, { new: true });
     if (!nota) return res.status(404).json({ erro: 'Não encontrada' });
@@ -3426,7 +5815,7 @@ app.put('/api/qr-notas/:id', adminAuth, async (req, res) => {
 });
 
 // DELETE /api/qr-notas/:id — admin remove
-app.delete('/api/qr-notas/:id', adminAuth, async (req, res) => {
+app.delete('/api/qr-notas/:id', requirePerm('ia:gerenciar'), async (req, res) => {
   try {
     await QRNota.findByIdAndDelete(req.params.id);
     res.json({ ok: true });
@@ -3513,7 +5902,7 @@ app.delete('/api/push/unsubscribe', authMiddleware, async (req, res) => {
 });
 
 // POST admin envia push manual (promoção, aviso, etc.)
-app.post('/api/push/enviar', adminAuth, async (req, res) => {
+app.post('/api/push/enviar', requirePerm('push:enviar'), async (req, res) => {
   try {
     const { titulo, corpo, url } = req.body;
     if (!titulo || !corpo) return res.status(400).json({ erro: 'titulo e corpo obrigatórios' });
@@ -3542,13 +5931,13 @@ app.get('/api/propaganda', async (req, res) => {
 });
 
 // Admin — listar todas
-app.get('/api/admin/propagandas', adminAuth, async (req, res) => {
+app.get('/api/admin/propagandas', requirePerm('propagandas:gerenciar'), async (req, res) => {
   try { res.json(await Propaganda.find().sort({ createdAt: -1 })); }
   catch(e) { res.status(500).json({ erro: e.message }); }
 });
 
 // Admin — criar
-app.post('/api/admin/propagandas', adminAuth, async (req, res) => {
+app.post('/api/admin/propagandas', requirePerm('propagandas:gerenciar'), async (req, res) => {
   try {
     const { titulo, imagemUrl, linkUrl, anunciante, dataInicio, dataFim, tempoExibicao } = req.body;
     if (!titulo || !imagemUrl || !dataInicio || !dataFim)
@@ -3560,7 +5949,7 @@ app.post('/api/admin/propagandas', adminAuth, async (req, res) => {
 });
 
 // Admin — ativar/desativar
-app.patch('/api/admin/propagandas/:id/toggle', adminAuth, async (req, res) => {
+app.patch('/api/admin/propagandas/:id/toggle', requirePerm('propagandas:gerenciar'), async (req, res) => {
   try {
     const p = await Propaganda.findById(req.params.id);
     if (!p) return res.status(404).json({ erro: 'Não encontrada' });
@@ -3571,7 +5960,7 @@ app.patch('/api/admin/propagandas/:id/toggle', adminAuth, async (req, res) => {
 });
 
 // Admin — deletar
-app.delete('/api/admin/propagandas/:id', adminAuth, async (req, res) => {
+app.delete('/api/admin/propagandas/:id', requirePerm('propagandas:gerenciar'), async (req, res) => {
   try {
     await Propaganda.findByIdAndDelete(req.params.id);
     res.json({ ok: true });
@@ -3594,8 +5983,10 @@ app.delete('/api/cliente/excluir-conta', authMiddleware, async (req, res) => {
     const senhaOk = await bcrypt.compare(senha, cliente.senhaHash);
     if (!senhaOk) return res.status(401).json({ erro: 'Senha incorreta. Tente novamente.' });
 
-    // Remove o cliente
+    // Remove o cliente, as listas de compras e os alertas de preço dele
     await Cliente.findByIdAndDelete(cliente._id);
+    await ListaCompras.deleteMany({ clienteId: cliente._id });
+    await AlertaPreco.deleteMany({ clienteId: cliente._id });
 
     // Registra log de exclusão
     await registrarLog('auth', `Conta excluída pelo próprio usuário: ${cliente.login} (${cliente.telefone})`, cliente.login, getIP(req));